@@ -0,0 +1,108 @@
+const AnthropicProvider = require('../src/providers/anthropic-provider');
+
+describe('AnthropicProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new AnthropicProvider({ apiKey: 'test-key', model: 'claude-3-haiku-20240307', maxTokens: 256 });
+    provider.client.messages.create = jest.fn().mockResolvedValue({
+      model: 'claude-3-haiku-20240307',
+      content: [{ type: 'text', text: 'Hello' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 12, output_tokens: 2 }
+    });
+  });
+
+  describe('System prompt', () => {
+    test('should send system messages in the system parameter', async () => {
+      await provider.chat([
+        { role: 'system', content: 'You are terse.' },
+        { role: 'user', content: 'Hi' }
+      ]);
+
+      const params = provider.client.messages.create.mock.calls[0][0];
+      expect(params.system).toBe('You are terse.');
+      expect(params.messages).toEqual([{ role: 'user', content: 'Hi' }]);
+    });
+
+    test('should keep every system message, wherever it appears', async () => {
+      await provider.chat([
+        { role: 'system', content: 'You are terse.' },
+        { role: 'assistant', content: 'Ready.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'system', content: 'Answer in French.' }
+      ]);
+
+      const params = provider.client.messages.create.mock.calls[0][0];
+      expect(params.system).toBe('You are terse.\n\nAnswer in French.');
+      expect(params.messages).toEqual([
+        { role: 'assistant', content: 'Ready.' },
+        { role: 'user', content: 'Hi' }
+      ]);
+    });
+
+    test('should keep cache_control markers on system content blocks', async () => {
+      await provider.chat([
+        {
+          role: 'system',
+          content: [
+            { type: 'text', text: 'You answer questions about the manual.' },
+            { type: 'text', text: 'MANUAL TEXT', cache_control: { type: 'ephemeral' } }
+          ]
+        },
+        { role: 'system', content: 'Be brief.', cache_control: { type: 'ephemeral' } },
+        { role: 'user', content: 'How do I reset it?' }
+      ]);
+
+      const params = provider.client.messages.create.mock.calls[0][0];
+      expect(params.system).toEqual([
+        { type: 'text', text: 'You answer questions about the manual.' },
+        { type: 'text', text: 'MANUAL TEXT', cache_control: { type: 'ephemeral' } },
+        { type: 'text', text: 'Be brief.', cache_control: { type: 'ephemeral' } }
+      ]);
+      expect(params.messages).toEqual([{ role: 'user', content: 'How do I reset it?' }]);
+    });
+
+    test('should not reuse formatted messages that differ only in cache_control', async () => {
+      const messages = [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' }
+      ];
+      await provider.chat(messages);
+      await provider.chat([{ ...messages[0], cache_control: { type: 'ephemeral' } }, messages[1]]);
+
+      const [first, second] = provider.client.messages.create.mock.calls.map(call => call[0]);
+      expect(first.system).toBe('Be brief.');
+      expect(second.system).toEqual([{ type: 'text', text: 'Be brief.', cache_control: { type: 'ephemeral' } }]);
+    });
+
+    test('should send the system parameter with vision requests', async () => {
+      await provider.vision([
+        { role: 'system', content: 'Describe images in one sentence.' },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'What is this?' },
+            { type: 'image_url', image_url: 'data:image/png;base64,iVBORw0KGgo=' }
+          ]
+        }
+      ]);
+
+      const params = provider.client.messages.create.mock.calls[0][0];
+      expect(params.system).toBe('Describe images in one sentence.');
+      expect(params.messages).toHaveLength(1);
+      expect(params.messages[0].content[1]).toEqual({
+        type: 'image',
+        source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' }
+      });
+    });
+
+    test('should leave out the system parameter without system messages', async () => {
+      await provider.chat('Hi');
+
+      const params = provider.client.messages.create.mock.calls[0][0];
+      expect(params).not.toHaveProperty('system');
+      expect(params.messages).toEqual([{ role: 'user', content: 'Hi' }]);
+    });
+  });
+});
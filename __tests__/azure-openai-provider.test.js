@@ -0,0 +1,124 @@
+const http = require('http');
+const LLMClient = require('../src/llm-client');
+const AzureOpenAIProvider = require('../src/providers/azure-openai-provider');
+
+describe('AzureOpenAIProvider', () => {
+  let server;
+  let endpoint;
+  let requests;
+
+  // Local stand-in for an Azure OpenAI resource
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ path: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          id: 'chatcmpl-1',
+          model: 'gpt-4o-2024-08-06',
+          choices: [{ index: 0, message: { role: 'assistant', content: 'Hello from Azure' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 }
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  function createProvider (config = {}) {
+    return new AzureOpenAIProvider({
+      endpoint,
+      apiKey: 'azure-key',
+      apiVersion: '2024-10-21',
+      model: 'gpt-4o',
+      deployments: { 'gpt-4o': 'prod-gpt4o', 'gpt-4o-mini': 'prod-gpt4o-mini' },
+      ...config
+    });
+  }
+
+  test('should send requests to the deployment of the requested model', async () => {
+    const provider = createProvider();
+
+    const response = await provider.chat('Hello');
+    await provider.chat('Hello', { model: 'gpt-4o-mini' });
+    await provider.chat('Hello', { model: 'unmapped-deployment' });
+
+    expect(requests.map(request => request.path)).toEqual([
+      '/openai/deployments/prod-gpt4o/chat/completions?api-version=2024-10-21',
+      '/openai/deployments/prod-gpt4o-mini/chat/completions?api-version=2024-10-21',
+      '/openai/deployments/unmapped-deployment/chat/completions?api-version=2024-10-21'
+    ]);
+    expect(requests[0].headers['api-key']).toBe('azure-key');
+    expect(response.content).toBe('Hello from Azure');
+    expect(response.provider).toBe('azure');
+    expect(response.cost).toBeGreaterThan(0);
+  });
+
+  test('should authenticate with an Azure AD token', async () => {
+    const provider = createProvider({ apiKey: undefined, azureADTokenProvider: async () => 'aad-token' });
+
+    await provider.chat('Hello');
+
+    expect(requests[0].headers.authorization).toBe('Bearer aad-token');
+    expect(requests[0].headers['api-key']).toBeUndefined();
+  });
+
+  test('should use the vision deployment for see()', async () => {
+    process.env.AZURE_OPENAI_ENDPOINT = endpoint;
+    process.env.AZURE_OPENAI_API_KEY = 'env-key';
+    process.env.AZURE_OPENAI_MODEL = 'gpt-35-turbo';
+    process.env.AZURE_OPENAI_DEPLOYMENT = 'prod-gpt35';
+    process.env.AZURE_OPENAI_VISION_MODEL = 'gpt-4o';
+    process.env.AZURE_OPENAI_DEPLOYMENTS = '{"gpt-4o":"prod-gpt4o"}';
+    try {
+      const client = new LLMClient({ provider: 'azure' });
+      await client.chat('Hello');
+      await client.see('What is this?', 'data:image/png;base64,iVBORw0KGgo=');
+
+      expect(client.provider).toBeInstanceOf(AzureOpenAIProvider);
+      expect(requests[0].path).toContain('/deployments/prod-gpt35/');
+      expect(requests[1].path).toContain('/deployments/prod-gpt4o/');
+      expect(requests[1].body.messages[0].content[1].type).toBe('image_url');
+    } finally {
+      ['ENDPOINT', 'API_KEY', 'MODEL', 'DEPLOYMENT', 'VISION_MODEL', 'DEPLOYMENTS']
+        .forEach(key => delete process.env[`AZURE_OPENAI_${key}`]);
+    }
+  });
+
+  test('should list and switch between configured deployments', async () => {
+    const provider = createProvider();
+
+    const models = await provider.listModels();
+    expect(models.map(model => [model.name, model.deployment])).toEqual([
+      ['gpt-4o', 'prod-gpt4o'],
+      ['gpt-4o-mini', 'prod-gpt4o-mini']
+    ]);
+
+    await provider.switchModel('gpt-4o-mini');
+    await provider.chat('Hello');
+    expect(requests[0].path).toContain('/deployments/prod-gpt4o-mini/');
+  });
+
+  test('should validate the configuration', () => {
+    expect(() => new LLMClient({ provider: 'azure' })).toThrow('Provider azure requires an endpoint (AZURE_OPENAI_ENDPOINT)');
+
+    process.env.AZURE_OPENAI_ENDPOINT = endpoint;
+    process.env.AZURE_OPENAI_DEPLOYMENT = 'prod-gpt4o';
+    try {
+      expect(() => new LLMClient({ provider: 'azure' })).toThrow('API key or Azure AD token not found for provider: azure');
+    } finally {
+      delete process.env.AZURE_OPENAI_ENDPOINT;
+      delete process.env.AZURE_OPENAI_DEPLOYMENT;
+    }
+  });
+});
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const LLMClient = require('../src/llm-client');
+const BedrockProvider = require('../src/providers/bedrock-provider');
+const { signRequest, resolveCredentials } = require('../src/utils/aws-sigv4');
+const { encodeMessage } = require('./helpers/aws-event-stream');
+
+const CREDENTIALS = { accessKeyId: 'AKIDTEST', secretAccessKey: 'test-secret-key' };
+const MODEL = 'anthropic.claude-3-5-sonnet-20240620-v1:0';
+
+/**
+ * Recompute the signature the way AWS does, from what arrived on the wire
+ */
+function hasValidSignature (req, body) {
+  const match = (req.headers.authorization || '').match(
+    /^AWS4-HMAC-SHA256 Credential=([^/]+)\/\d{8}\/([^/]+)\/([^/]+)\/aws4_request, SignedHeaders=([^,]+), Signature=[0-9a-f]{64}$/
+  );
+  if (!match || match[1] !== CREDENTIALS.accessKeyId) {
+    return false;
+  }
+
+  const [, , region, service, signedHeaders] = match;
+  const headers = {};
+  signedHeaders.split(';')
+    .filter(name => !['host', 'x-amz-date', 'x-amz-security-token'].includes(name))
+    .forEach(name => { headers[name] = req.headers[name]; });
+
+  const amzDate = req.headers['x-amz-date'];
+  const expected = signRequest({
+    method: req.method,
+    url: `http://${req.headers.host}${req.url}`,
+    headers,
+    body,
+    region,
+    service,
+    credentials: { ...CREDENTIALS, sessionToken: req.headers['x-amz-security-token'] },
+    date: new Date(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'))
+  });
+  return expected.authorization === req.headers.authorization;
+}
+
+function converseReply (content, extra = {}) {
+  return {
+    output: { message: { role: 'assistant', content } },
+    stopReason: 'end_turn',
+    usage: { inputTokens: 20, outputTokens: 5, totalTokens: 25 },
+    ...extra
+  };
+}
+
+describe('BedrockProvider', () => {
+  let server;
+  let endpoint;
+  let requests;
+  let respond;
+
+  // Local stand-in for the Bedrock runtime and control plane APIs
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = { method: req.method, path: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+        requests.push(request);
+
+        if (!hasValidSignature(req, body)) {
+          res.statusCode = 403;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ message: 'The request signature we calculated does not match the signature you provided.' }));
+          return;
+        }
+
+        const { status = 200, json, events } = respond(request);
+        res.statusCode = status;
+        if (events) {
+          // Split frames across small chunks to exercise reassembly
+          res.setHeader('Content-Type', 'application/vnd.amazon.eventstream');
+          const bytes = Buffer.concat(events.map(([headers, payload]) => encodeMessage(headers, JSON.stringify(payload))));
+          for (let offset = 0; offset < bytes.length; offset += 7) {
+            res.write(bytes.subarray(offset, offset + 7));
+          }
+          res.end();
+        } else {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify(json));
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  let provider;
+
+  beforeEach(() => {
+    requests = [];
+    respond = () => ({ json: converseReply([{ text: 'Hello from Bedrock' }]) });
+    provider = new BedrockProvider({
+      ...CREDENTIALS,
+      region: 'eu-central-1',
+      endpoint,
+      controlEndpoint: endpoint,
+      model: MODEL,
+      temperature: 0.5,
+      maxTokens: 512
+    });
+  });
+
+  test('should sign requests as specified by SigV4', () => {
+    const headers = signRequest({
+      method: 'GET',
+      url: 'https://example.amazonaws.com/',
+      region: 'us-east-1',
+      service: 'service',
+      credentials: { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' },
+      date: new Date('2015-08-30T12:36:00Z')
+    });
+
+    // AWS SigV4 test suite: get-vanilla
+    expect(headers.authorization).toBe(
+      'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/service/aws4_request, ' +
+      'SignedHeaders=host;x-amz-date, Signature=5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31'
+    );
+    expect(headers['x-amz-date']).toBe('20150830T123600Z');
+  });
+
+  test('should send signed Converse requests', async () => {
+    const response = await provider.chat([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' }
+    ]);
+
+    const [request] = requests;
+    expect(request.path).toBe('/model/anthropic.claude-3-5-sonnet-20240620-v1%3A0/converse');
+    expect(request.headers.authorization).toContain('/eu-central-1/bedrock/aws4_request');
+    expect(request.body).toEqual({
+      messages: [{ role: 'user', content: [{ text: 'Hi' }] }],
+      system: [{ text: 'Be brief.' }],
+      inferenceConfig: { maxTokens: 512, temperature: 0.5 }
+    });
+
+    expect(response.content).toBe('Hello from Bedrock');
+    expect(response.model).toBe(MODEL);
+    expect(response.finishReason).toBe('end_turn');
+    expect(response.usage).toEqual({ input_tokens: 20, output_tokens: 5, total_tokens: 25 });
+    expect(response.cost).toBeGreaterThan(0);
+  });
+
+  test('should sign temporary credentials and reject a wrong secret', async () => {
+    const temporary = new BedrockProvider({ endpoint, model: MODEL, credentials: async () => ({ ...CREDENTIALS, sessionToken: 'session-token' }) });
+    await temporary.chat('Hi');
+    expect(requests[0].headers['x-amz-security-token']).toBe('session-token');
+
+    const wrong = new BedrockProvider({ endpoint, model: MODEL, accessKeyId: 'AKIDTEST', secretAccessKey: 'wrong' });
+    const error = await wrong.chat('Hi').catch(e => e);
+    expect(error.message).toContain('signature we calculated does not match');
+  });
+
+  test('should map tools, tool use and tool results', async () => {
+    respond = () => ({
+      json: converseReply([{ toolUse: { toolUseId: 'tooluse_1', name: 'get_weather', input: { city: 'Paris' } } }], { stopReason: 'tool_use' })
+    });
+    const tools = [{ name: 'get_weather', description: 'Weather for a city', parameters: { type: 'object', properties: { city: { type: 'string' } } } }];
+
+    const response = await provider.chat('Weather in Paris?', { tools, toolChoice: 'required' });
+    expect(response.toolCalls).toEqual([{ id: 'tooluse_1', name: 'get_weather', arguments: { city: 'Paris' } }]);
+    expect(requests[0].body.toolConfig).toEqual({
+      tools: [{ toolSpec: { name: 'get_weather', description: 'Weather for a city', inputSchema: { json: tools[0].parameters } } }],
+      toolChoice: { any: {} }
+    });
+
+    await provider.chat([
+      { role: 'user', content: 'Weather in Paris?' },
+      { role: 'assistant', content: '', toolCalls: response.toolCalls },
+      { role: 'tool', toolCallId: 'tooluse_1', name: 'get_weather', content: { temp: 21 } }
+    ], { tools });
+
+    expect(requests[1].body.messages.slice(1)).toEqual([
+      { role: 'assistant', content: [{ toolUse: { toolUseId: 'tooluse_1', name: 'get_weather', input: { city: 'Paris' } } }] },
+      { role: 'user', content: [{ toolResult: { toolUseId: 'tooluse_1', content: [{ json: { temp: 21 } }] } }] }
+    ]);
+  });
+
+  test('should send images as bytes', async () => {
+    const png = Buffer.from('89504e470d0a1a0a', 'hex').toString('base64');
+
+    await provider.vision([{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'What is this?' },
+        { type: 'image_url', image_url: { url: `data:image/png;base64,${png}` } }
+      ]
+    }]);
+
+    expect(requests[0].body.messages[0].content).toEqual([
+      { text: 'What is this?' },
+      { image: { format: 'png', source: { bytes: png } } }
+    ]);
+  });
+
+  test('should stream event-stream framed responses', async () => {
+    respond = () => ({
+      events: [
+        [{ ':event-type': 'messageStart', ':message-type': 'event' }, { role: 'assistant' }],
+        [{ ':event-type': 'contentBlockDelta', ':message-type': 'event' }, { contentBlockIndex: 0, delta: { text: 'Let me ' } }],
+        [{ ':event-type': 'contentBlockDelta', ':message-type': 'event' }, { contentBlockIndex: 0, delta: { text: 'check.' } }],
+        [{ ':event-type': 'contentBlockStop', ':message-type': 'event' }, { contentBlockIndex: 0 }],
+        [{ ':event-type': 'contentBlockStart', ':message-type': 'event' }, { contentBlockIndex: 1, start: { toolUse: { toolUseId: 'tooluse_2', name: 'get_weather' } } }],
+        [{ ':event-type': 'contentBlockDelta', ':message-type': 'event' }, { contentBlockIndex: 1, delta: { toolUse: { input: '{"city":' } } }],
+        [{ ':event-type': 'contentBlockDelta', ':message-type': 'event' }, { contentBlockIndex: 1, delta: { toolUse: { input: '"Paris"}' } } }],
+        [{ ':event-type': 'contentBlockStop', ':message-type': 'event' }, { contentBlockIndex: 1 }],
+        [{ ':event-type': 'messageStop', ':message-type': 'event' }, { stopReason: 'tool_use' }],
+        [{ ':event-type': 'metadata', ':message-type': 'event' }, { usage: { inputTokens: 30, outputTokens: 12 } }]
+      ]
+    });
+
+    const stream = await provider.streamChat('Weather in Paris?');
+    const texts = [];
+    for await (const event of stream) {
+      if (event.type === 'text') {
+        texts.push(event.text);
+      }
+    }
+    const response = await stream.finalResponse();
+
+    expect(requests[0].path).toBe('/model/anthropic.claude-3-5-sonnet-20240620-v1%3A0/converse-stream');
+    expect(requests[0].headers.accept).toBe('application/vnd.amazon.eventstream');
+    expect(texts).toEqual(['Let me ', 'check.']);
+    expect(response.content).toBe('Let me check.');
+    expect(response.toolCalls).toEqual([{ id: 'tooluse_2', name: 'get_weather', arguments: { city: 'Paris' } }]);
+    expect(response.finishReason).toBe('tool_use');
+    expect(response.usage).toEqual({ input_tokens: 30, output_tokens: 12, total_tokens: 42 });
+  });
+
+  test('should surface exceptions sent inside the stream', async () => {
+    respond = () => ({
+      events: [
+        [{ ':event-type': 'messageStart', ':message-type': 'event' }, { role: 'assistant' }],
+        [{ ':exception-type': 'throttlingException', ':message-type': 'exception' }, { message: 'Too many requests' }]
+      ]
+    });
+
+    const stream = await provider.streamChat('Hi');
+    const error = await stream.finalResponse().catch(e => e);
+
+    expect(error.message).toBe('throttlingException: Too many requests');
+    expect(provider.isRetryableError(error)).toBe(true);
+  });
+
+  test('should list text models from the control plane', async () => {
+    respond = () => ({
+      json: {
+        modelSummaries: [
+          { modelId: MODEL, providerName: 'Anthropic', modelName: 'Claude 3.5 Sonnet', inputModalities: ['TEXT', 'IMAGE'], outputModalities: ['TEXT'] },
+          { modelId: 'meta.llama3-1-8b-instruct-v1:0', providerName: 'Meta', modelName: 'Llama 3.1 8B Instruct', inputModalities: ['TEXT'], outputModalities: ['TEXT'] }
+        ]
+      }
+    });
+
+    const models = await provider.listModels();
+
+    expect(requests[0].path).toBe('/foundation-models?byOutputModality=TEXT');
+    expect(models).toEqual([
+      expect.objectContaining({ name: MODEL, context_length: 200000, supports_vision: true, description: 'Anthropic Claude 3.5 Sonnet' }),
+      expect.objectContaining({ name: 'meta.llama3-1-8b-instruct-v1:0', context_length: 128000, supports_vision: false })
+    ]);
+  });
+
+  test('should read credentials from the shared credentials file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bedrock-'));
+    const file = path.join(dir, 'credentials');
+    fs.writeFileSync(file, [
+      '[default]',
+      'aws_access_key_id = AKIDOTHER',
+      'aws_secret_access_key = other',
+      '',
+      '[bedrock]',
+      `aws_access_key_id = ${CREDENTIALS.accessKeyId}`,
+      `aws_secret_access_key = ${CREDENTIALS.secretAccessKey}`
+    ].join('\n'));
+
+    process.env.LLM_PROVIDER = 'bedrock';
+    process.env.BEDROCK_ENDPOINT = endpoint;
+    process.env.AWS_SHARED_CREDENTIALS_FILE = file;
+    process.env.AWS_PROFILE = 'bedrock';
+    try {
+      expect(resolveCredentials({}, process.env)).toEqual({ ...CREDENTIALS, sessionToken: undefined });
+
+      const client = new LLMClient();
+      const response = await client.chat('Hi');
+
+      expect(client.provider).toBeInstanceOf(BedrockProvider);
+      expect(response.content).toBe('Hello from Bedrock');
+      expect(requests[0].headers.authorization).toContain('/us-east-1/bedrock/aws4_request');
+
+      process.env.AWS_PROFILE = 'missing';
+      expect(() => new LLMClient()).toThrow('AWS credentials not found for provider: bedrock');
+    } finally {
+      ['LLM_PROVIDER', 'BEDROCK_ENDPOINT', 'AWS_SHARED_CREDENTIALS_FILE', 'AWS_PROFILE'].forEach(key => delete process.env[key]);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,166 @@
+const LLMClient = require('../src/llm-client');
+const CircuitBreaker = require('../src/utils/circuit-breaker');
+const OpenAICompatibleProvider = require('../src/providers/openai-compatible-provider');
+const ProviderRouter = require('../src/routing/provider-router');
+const { CircuitOpenError } = require('../src/errors');
+
+// Mock axios
+jest.mock('axios');
+
+function httpError (message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+const completion = { model: 'gpt-4', choices: [{ message: { content: 'Hello' }, finish_reason: 'stop' }] };
+
+describe('Circuit breaker', () => {
+  let now;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should open after the failure threshold and half-open after the cool-down', () => {
+    const breaker = new CircuitBreaker({ name: 'openai', failureThreshold: 2, cooldownMs: 1000 });
+    const changes = [];
+    breaker.on('stateChange', change => changes.push(change));
+
+    breaker.recordFailure(new Error('boom'));
+    expect(breaker.state).toBe('closed');
+    breaker.recordFailure(new Error('boom'));
+    expect(breaker.state).toBe('open');
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getRetryAfter()).toBe(1000);
+
+    now += 1000;
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+    // Only one trial request at a time
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(changes.map(change => change.to)).toEqual(['open', 'half-open', 'closed']);
+    expect(changes[0]).toEqual({ from: 'closed', to: 'open', provider: 'openai' });
+  });
+
+  test('should reopen when the trial request fails', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    const onOpen = jest.fn();
+    breaker.on('open', onOpen);
+
+    breaker.recordFailure();
+    now += 1000;
+    breaker.allowRequest();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.getRetryAfter()).toBe(1000);
+    expect(onOpen).toHaveBeenCalledTimes(2);
+  });
+
+  describe('Providers', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new OpenAICompatibleProvider({
+        apiKey: 'test-key',
+        model: 'gpt-4',
+        circuitBreaker: { failureThreshold: 2, cooldownMs: 5000 }
+      }, 'openai');
+      provider.client.chat.completions.create = jest.fn();
+    });
+
+    test('should fail fast while the circuit is open', async () => {
+      provider.client.chat.completions.create.mockRejectedValue(httpError('Service unavailable', 503));
+
+      await expect(provider.chat('Hello')).rejects.toThrow('Service unavailable');
+      await expect(provider.chat('Hello')).rejects.toThrow('Service unavailable');
+
+      const error = await provider.chat('Hello').catch(e => e);
+      expect(error).toBeInstanceOf(CircuitOpenError);
+      expect(error.provider).toBe('openai');
+      expect(error.retryAfterMs).toBe(5000);
+      expect(provider.client.chat.completions.create).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not count non-retryable errors', async () => {
+      provider.client.chat.completions.create.mockRejectedValue(httpError('Invalid API key', 401));
+
+      await expect(provider.chat('Hello')).rejects.toThrow('Invalid API key');
+      await expect(provider.chat('Hello')).rejects.toThrow('Invalid API key');
+
+      expect(provider.circuitBreaker.state).toBe('closed');
+    });
+
+    test('should close again after a successful trial request', async () => {
+      provider.client.chat.completions.create
+        .mockRejectedValueOnce(httpError('Service unavailable', 503))
+        .mockRejectedValueOnce(httpError('Service unavailable', 503))
+        .mockResolvedValue(completion);
+
+      await provider.chat('Hello').catch(() => {});
+      await provider.chat('Hello').catch(() => {});
+      now += 5000;
+
+      const response = await provider.chat('Hello');
+      expect(response.content).toBe('Hello');
+      expect(provider.circuitBreaker.state).toBe('closed');
+    });
+
+    test('should report the circuit in the health status', async () => {
+      provider.isHealthy = jest.fn().mockResolvedValue(true);
+      provider.listModels = jest.fn().mockResolvedValue(['gpt-4']);
+      provider.circuitBreaker.recordFailure(new Error('Service unavailable'));
+
+      const status = await provider.getHealthStatus();
+
+      expect(status.circuit).toMatchObject({
+        state: 'closed',
+        failures: 1,
+        failure_threshold: 2,
+        cooldown_ms: 5000,
+        last_failure: 'Service unavailable'
+      });
+    });
+  });
+
+  test('should take providers with an open circuit out of rotation', async () => {
+    const [primary, secondary] = ['primary', 'secondary'].map(name => {
+      const provider = new OpenAICompatibleProvider({ apiKey: 'test-key', model: 'gpt-4', circuitBreaker: { failureThreshold: 1 } }, 'openai');
+      provider.client.chat.completions.create = jest.fn().mockResolvedValue(completion);
+      return { name, provider };
+    });
+    primary.provider.client.chat.completions.create.mockRejectedValueOnce(httpError('Service unavailable', 503));
+    const router = new ProviderRouter([primary, secondary], { unhealthyThreshold: 10 });
+
+    const first = await router.chat('Hello');
+    expect(first.servedBy).toBe('secondary');
+    expect(router.isMemberHealthy(primary)).toBe(false);
+
+    const second = await router.chat('Hello');
+    expect(second.servedBy).toBe('secondary');
+    expect(second.failover).toEqual([]);
+    expect(primary.provider.client.chat.completions.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('should apply client circuit breaker settings to every provider', () => {
+    const client = new LLMClient({
+      providers: [
+        { provider: 'openai', config: { apiKey: 'test-key' } },
+        { provider: 'ollama', config: { circuitBreaker: { cooldownMs: 1000 } } }
+      ],
+      circuitBreaker: { failureThreshold: 2, cooldownMs: 10000 }
+    });
+
+    const [openai, ollama] = client.provider.members.map(member => member.provider.circuitBreaker);
+    expect([openai.failureThreshold, openai.cooldownMs]).toEqual([2, 10000]);
+    expect([ollama.failureThreshold, ollama.cooldownMs]).toEqual([2, 1000]);
+  });
+});
@@ -0,0 +1,204 @@
+const http = require('http');
+const LLMClient = require('../src/llm-client');
+const CohereProvider = require('../src/providers/cohere-provider');
+
+function chatReply (message, extra = {}) {
+  return {
+    id: 'chat-1',
+    finish_reason: 'COMPLETE',
+    message: { role: 'assistant', ...message },
+    usage: {
+      billed_units: { input_tokens: 10, output_tokens: 4 },
+      tokens: { input_tokens: 210, output_tokens: 4 }
+    },
+    ...extra
+  };
+}
+
+describe('CohereProvider', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let respond;
+
+  // Local stand-in for the Cohere API
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = { method: req.method, path: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+        requests.push(request);
+
+        const { status = 200, json, sse } = respond(request);
+        res.statusCode = status;
+        if (sse) {
+          res.setHeader('Content-Type', 'text/event-stream');
+          sse.forEach(event => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`));
+          res.end();
+        } else {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify(json));
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  let provider;
+
+  beforeEach(() => {
+    requests = [];
+    respond = () => ({ json: chatReply({ content: [{ type: 'text', text: 'Hello from Cohere' }] }) });
+    provider = new CohereProvider({ apiKey: 'cohere-key', baseURL, model: 'command-r-plus', temperature: 0.3, maxTokens: 256 });
+  });
+
+  test('should send v2 chat requests and bill by billed units', async () => {
+    const response = await provider.chat([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' }
+    ]);
+
+    const [request] = requests;
+    expect(request.path).toBe('/v2/chat');
+    expect(request.headers.authorization).toBe('Bearer cohere-key');
+    expect(request.body).toEqual({
+      model: 'command-r-plus',
+      messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }],
+      temperature: 0.3,
+      max_tokens: 256,
+      stream: false
+    });
+
+    expect(response.content).toBe('Hello from Cohere');
+    expect(response.model).toBe('command-r-plus');
+    expect(response.finishReason).toBe('COMPLETE');
+    expect(response.usage).toEqual({ input_tokens: 10, output_tokens: 4, total_tokens: 14 });
+    expect(response.cost).toBeGreaterThan(0);
+  });
+
+  test('should force a named tool and send tool plans and results', async () => {
+    respond = () => ({
+      json: chatReply({
+        tool_plan: 'I will look up the weather.',
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+      }, { finish_reason: 'TOOL_CALL' })
+    });
+    const tools = [
+      { name: 'get_weather', description: 'Weather for a city', parameters: { type: 'object', properties: { city: { type: 'string' } } } },
+      { name: 'get_time', description: 'Time in a city', parameters: { type: 'object', properties: { city: { type: 'string' } } } }
+    ];
+
+    const response = await provider.chat('Weather in Paris?', { tools, toolChoice: { name: 'get_weather' } });
+    expect(requests[0].body.tool_choice).toBe('REQUIRED');
+    expect(requests[0].body.tools).toEqual([{ type: 'function', function: tools[0] }]);
+    expect(response.toolCalls).toEqual([{ id: 'call_1', name: 'get_weather', arguments: { city: 'Paris' } }]);
+
+    await provider.chat([
+      { role: 'user', content: 'Weather in Paris?' },
+      { role: 'assistant', content: 'I will look up the weather.', toolCalls: response.toolCalls },
+      { role: 'tool', toolCallId: 'call_1', name: 'get_weather', content: { temp: 21 } }
+    ], { tools });
+
+    expect(requests[1].body.tool_choice).toBeUndefined();
+    expect(requests[1].body.messages.slice(1)).toEqual([
+      {
+        role: 'assistant',
+        tool_plan: 'I will look up the weather.',
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"temp":21}' }
+    ]);
+  });
+
+  test('should pass JSON mode, safety mode and documents', async () => {
+    const schema = { type: 'object', properties: { answer: { type: 'string' } }, required: ['answer'] };
+    const documents = [{ id: 'doc1', data: { text: 'The office is in Paris.' } }];
+
+    await provider.chat('Where is the office?', {
+      responseFormat: { type: 'json_schema', schema },
+      safetyMode: 'STRICT',
+      documents
+    });
+
+    expect(requests[0].body).toMatchObject({
+      response_format: { type: 'json_object', json_schema: schema },
+      safety_mode: 'STRICT',
+      documents
+    });
+  });
+
+  test('should stream typed events', async () => {
+    respond = () => ({
+      sse: [
+        { type: 'message-start', id: 'chat-2', delta: { message: { role: 'assistant' } } },
+        { type: 'content-start', index: 0, delta: { message: { content: { type: 'text', text: '' } } } },
+        { type: 'content-delta', index: 0, delta: { message: { content: { text: 'Hel' } } } },
+        { type: 'content-delta', index: 0, delta: { message: { content: { text: 'lo' } } } },
+        { type: 'content-end', index: 0 },
+        { type: 'tool-call-start', index: 0, delta: { message: { tool_calls: { id: 'call_2', type: 'function', function: { name: 'get_weather', arguments: '' } } } } },
+        { type: 'tool-call-delta', index: 0, delta: { message: { tool_calls: { function: { arguments: '{"city":' } } } } },
+        { type: 'tool-call-delta', index: 0, delta: { message: { tool_calls: { function: { arguments: '"Paris"}' } } } } },
+        { type: 'tool-call-end', index: 0 },
+        { type: 'message-end', delta: { finish_reason: 'TOOL_CALL', usage: { billed_units: { input_tokens: 8, output_tokens: 3 } } } }
+      ]
+    });
+
+    const stream = await provider.streamChat('Hi');
+    const texts = [];
+    for await (const event of stream) {
+      if (event.type === 'text') {
+        texts.push(event.text);
+      }
+    }
+    const response = await stream.finalResponse();
+
+    expect(texts).toEqual(['Hel', 'lo']);
+    expect(response.content).toBe('Hello');
+    expect(response.toolCalls).toEqual([{ id: 'call_2', name: 'get_weather', arguments: { city: 'Paris' } }]);
+    expect(response.finishReason).toBe('TOOL_CALL');
+    expect(response.usage).toEqual({ input_tokens: 8, output_tokens: 3, total_tokens: 11 });
+  });
+
+  test('should list chat models', async () => {
+    respond = () => ({
+      json: {
+        models: [
+          { name: 'command-r-plus', endpoints: ['chat'], context_length: 128000, features: ['tools', 'json_mode'] },
+          { name: 'command-a-vision', endpoints: ['chat'], context_length: 128000, features: ['vision'], supports_vision: true }
+        ]
+      }
+    });
+
+    const models = await provider.listModels();
+
+    expect(requests[0].path).toBe('/v1/models?endpoint=chat');
+    expect(models).toEqual([
+      expect.objectContaining({ name: 'command-r-plus', context_length: 128000, supports_vision: false, supports_tools: true }),
+      expect.objectContaining({ name: 'command-a-vision', supports_vision: true })
+    ]);
+  });
+
+  test('should be configured from the environment', async () => {
+    process.env.LLM_PROVIDER = 'cohere';
+    process.env.CO_API_KEY = 'env-key';
+    process.env.COHERE_BASE_URL = baseURL;
+    try {
+      const client = new LLMClient();
+      const response = await client.chat('Hi');
+
+      expect(client.provider).toBeInstanceOf(CohereProvider);
+      expect(response.provider).toBe('cohere');
+      expect(requests[0].headers.authorization).toBe('Bearer env-key');
+    } finally {
+      delete process.env.LLM_PROVIDER;
+      delete process.env.CO_API_KEY;
+      delete process.env.COHERE_BASE_URL;
+    }
+  });
+});
@@ -0,0 +1,203 @@
+const http = require('http');
+const LLMClient = require('../src/llm-client');
+const OpenAICompatibleProvider = require('../src/providers/openai-compatible-provider');
+const MistralProvider = require('../src/providers/mistral-provider');
+const AnthropicProvider = require('../src/providers/anthropic-provider');
+const { UnsupportedCapabilityError } = require('../src/errors');
+
+describe('Raw completions', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let respond;
+
+  // Local stand-in for the OpenAI, Mistral and Ollama completion endpoints
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = { path: req.url, body: body ? JSON.parse(body) : null };
+        requests.push(request);
+
+        const { json, sse, lines } = respond(request);
+        if (sse) {
+          res.setHeader('Content-Type', 'text/event-stream');
+          sse.forEach(event => res.write(`data: ${JSON.stringify(event)}\n\n`));
+          res.end('data: [DONE]\n\n');
+        } else if (lines) {
+          res.setHeader('Content-Type', 'application/x-ndjson');
+          res.end(lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+        } else {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify(json));
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  function openAIProvider (capabilities) {
+    return new OpenAICompatibleProvider({
+      apiKey: 'test-key',
+      baseURL: `${baseURL}/v1`,
+      model: 'gpt-3.5-turbo-instruct',
+      temperature: 0.2,
+      maxTokens: 64,
+      capabilities
+    }, 'openai');
+  }
+
+  test('should complete with fill-in-the-middle through /completions', async () => {
+    respond = () => ({
+      json: {
+        object: 'text_completion',
+        model: 'gpt-3.5-turbo-instruct',
+        choices: [{ index: 0, text: '  return a + b;', finish_reason: 'stop' }],
+        usage: { prompt_tokens: 12, completion_tokens: 6, total_tokens: 18 }
+      }
+    });
+
+    const response = await openAIProvider().complete('function add(a, b) {\n', { suffix: '\n}', stop: ['\n\n'] });
+
+    expect(requests[0].path).toBe('/v1/completions');
+    expect(requests[0].body).toEqual({
+      model: 'gpt-3.5-turbo-instruct',
+      prompt: 'function add(a, b) {\n',
+      suffix: '\n}',
+      stop: ['\n\n'],
+      temperature: 0.2,
+      max_tokens: 64,
+      stream: false
+    });
+    expect(response.content).toBe('  return a + b;');
+    expect(response.finishReason).toBe('stop');
+    expect(response.usage).toEqual({ input_tokens: 12, output_tokens: 6, total_tokens: 18 });
+  });
+
+  test('should stream completion text from OpenAI-compatible endpoints', async () => {
+    respond = () => ({
+      sse: [
+        { model: 'gpt-3.5-turbo-instruct', choices: [{ index: 0, text: 'Once upon', finish_reason: null }] },
+        { model: 'gpt-3.5-turbo-instruct', choices: [{ index: 0, text: ' a time', finish_reason: 'length' }] }
+      ]
+    });
+
+    const stream = await openAIProvider().streamComplete('Tell a story:');
+    const texts = [];
+    for await (const event of stream) {
+      if (event.type === 'text') texts.push(event.text);
+    }
+    const final = await stream.finalResponse();
+
+    expect(requests[0].body.stream).toBe(true);
+    expect(texts).toEqual(['Once upon', ' a time']);
+    expect(final.content).toBe('Once upon a time');
+    expect(final.finishReason).toBe('length');
+  });
+
+  test('should send raw prompts to Ollama /api/generate and return the context', async () => {
+    respond = () => ({
+      json: {
+        model: 'codellama:7b-code',
+        response: 'return a + b',
+        done: true,
+        done_reason: 'stop',
+        context: [1, 2, 3],
+        prompt_eval_count: 9,
+        eval_count: 4
+      }
+    });
+
+    process.env.OLLAMA_BASE_URL = baseURL;
+    let client;
+    try {
+      client = new LLMClient({ provider: 'ollama' });
+    } finally {
+      delete process.env.OLLAMA_BASE_URL;
+    }
+    const response = await client.complete('<PRE> def add(a, b): <SUF> <MID>', {
+      model: 'codellama:7b-code',
+      raw: true,
+      stop: '<EOT>',
+      context: [7, 8],
+      keepAlive: '5m'
+    });
+
+    expect(requests[0].path).toBe('/api/generate');
+    expect(requests[0].body).toMatchObject({
+      model: 'codellama:7b-code',
+      prompt: '<PRE> def add(a, b): <SUF> <MID>',
+      raw: true,
+      context: [7, 8],
+      options: { stop: ['<EOT>'] },
+      keep_alive: '5m',
+      stream: false
+    });
+    expect(response.content).toBe('return a + b');
+    expect(response.context).toEqual([1, 2, 3]);
+    expect(response.usage).toEqual({ input_tokens: 9, output_tokens: 4, total_tokens: 13 });
+  });
+
+  test('should stream Ollama completions with a suffix', async () => {
+    respond = () => ({
+      lines: [
+        { model: 'qwen2.5-coder', response: 'a + ', done: false },
+        { model: 'qwen2.5-coder', response: 'b', done: false },
+        { model: 'qwen2.5-coder', response: '', done: true, done_reason: 'stop', prompt_eval_count: 11, eval_count: 2 }
+      ]
+    });
+
+    process.env.OLLAMA_BASE_URL = baseURL;
+    let client;
+    try {
+      client = new LLMClient({ provider: 'ollama' });
+    } finally {
+      delete process.env.OLLAMA_BASE_URL;
+    }
+    const stream = await client.streamComplete('def add(a, b):\n    return ', { model: 'qwen2.5-coder', suffix: '\n' });
+    const final = await stream.finalResponse();
+
+    expect(requests[0].path).toBe('/api/generate');
+    expect(requests[0].body).toMatchObject({ suffix: '\n', stream: true });
+    expect(final.content).toBe('a + b');
+    expect(final.usage).toEqual({ input_tokens: 11, output_tokens: 2, total_tokens: 13 });
+  });
+
+  test('should use Mistral fill-in-the-middle with Codestral', async () => {
+    respond = () => ({
+      json: {
+        model: 'codestral-2501',
+        choices: [{ index: 0, message: { role: 'assistant', content: 'a + b' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 8, completion_tokens: 3, total_tokens: 11 }
+      }
+    });
+    const provider = new MistralProvider({ apiKey: 'mistral-key', baseURL: `${baseURL}/v1`, model: 'mistral-large-latest' });
+
+    const response = await provider.complete('def add(a, b):\n    return ', { suffix: '\n' });
+
+    expect(requests[0].path).toBe('/v1/fim/completions');
+    expect(requests[0].body).toMatchObject({ model: 'codestral-latest', prompt: 'def add(a, b):\n    return ', suffix: '\n' });
+    expect(response.content).toBe('a + b');
+    expect(response.model).toBe('codestral-2501');
+  });
+
+  test('should reject providers without a completion API', async () => {
+    const provider = new AnthropicProvider({ apiKey: 'test-key', model: 'claude-3-haiku-20240307' });
+
+    await expect(provider.complete('Once upon a time')).rejects.toBeInstanceOf(UnsupportedCapabilityError);
+    await expect(provider.streamComplete('Once upon a time')).rejects.toMatchObject({ provider: 'anthropic', capability: 'completions' });
+    await expect(openAIProvider({ completions: false }).complete('x')).rejects.toBeInstanceOf(UnsupportedCapabilityError);
+    await expect(openAIProvider().complete(['x'])).rejects.toThrow('Prompt must be a string');
+    expect(requests).toHaveLength(0);
+  });
+});
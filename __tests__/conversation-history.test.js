@@ -0,0 +1,227 @@
+const OpenAICompatibleProvider = require('../src/providers/openai-compatible-provider');
+const AnthropicProvider = require('../src/providers/anthropic-provider');
+
+describe('Conversation history', () => {
+  describe('getHistoryMessages', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new OpenAICompatibleProvider({ apiKey: 'test-key', model: 'gpt-4' }, 'openai');
+    });
+
+    test('should turn stored text content back into strings', () => {
+      provider.addToHistory('user', 'My name is Alice');
+      provider.addToHistory('assistant', 'Nice to meet you, Alice');
+
+      expect(provider.getHistoryMessages()).toEqual([
+        { role: 'user', content: 'My name is Alice' },
+        { role: 'assistant', content: 'Nice to meet you, Alice' }
+      ]);
+    });
+
+    test('should restore messages recorded from message arrays', () => {
+      provider.addToHistory('user', [
+        { role: 'system', content: 'Be brief' },
+        'Hello'
+      ]);
+
+      expect(provider.getHistoryMessages()).toEqual([
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'Hello' }
+      ]);
+    });
+
+    test('should keep tool calls and tool results', () => {
+      const toolCalls = [{ id: 'call_1', name: 'get_weather', arguments: { city: 'Paris' } }];
+      provider.addToHistory('assistant', '', { toolCalls });
+      provider.addToHistory('tool', '{"temp":21}', { toolCallId: 'call_1', name: 'get_weather' });
+
+      expect(provider.getHistoryMessages()).toEqual([
+        { role: 'assistant', content: '', toolCalls },
+        { role: 'tool', content: '{"temp":21}', toolCallId: 'call_1', name: 'get_weather' }
+      ]);
+    });
+  });
+
+  describe('useHistory', () => {
+    test('should send previous turns as context for OpenAI', async () => {
+      const provider = new OpenAICompatibleProvider({ apiKey: 'test-key', model: 'gpt-4', contextLength: 8192 }, 'openai');
+      provider.client.chat.completions.create = jest.fn()
+        .mockResolvedValueOnce({ model: 'gpt-4', choices: [{ message: { content: 'Hi Alice' }, finish_reason: 'stop' }] })
+        .mockResolvedValueOnce({ model: 'gpt-4', choices: [{ message: { content: 'Alice' }, finish_reason: 'stop' }] });
+
+      await provider.sendChat('My name is Alice', { useHistory: true });
+      await provider.sendChat('What is my name?', { useHistory: true });
+
+      const params = provider.client.chat.completions.create.mock.calls[1][0];
+      expect(params.messages).toEqual([
+        { role: 'user', content: 'My name is Alice' },
+        { role: 'assistant', content: 'Hi Alice' },
+        { role: 'user', content: 'What is my name?' }
+      ]);
+      expect(params.useHistory).toBeUndefined();
+    });
+
+    test('should only send the new message without useHistory', async () => {
+      const provider = new OpenAICompatibleProvider({ apiKey: 'test-key', model: 'gpt-4' }, 'openai');
+      provider.client.chat.completions.create = jest.fn()
+        .mockResolvedValue({ model: 'gpt-4', choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }] });
+
+      await provider.sendChat('My name is Alice');
+      await provider.sendChat('What is my name?');
+
+      expect(provider.client.chat.completions.create.mock.calls[1][0].messages).toEqual([
+        { role: 'user', content: 'What is my name?' }
+      ]);
+    });
+
+    test('should convert history into Anthropic messages', async () => {
+      const provider = new AnthropicProvider({ apiKey: 'test-key', model: 'claude-3-sonnet-20240229', maxTokens: 1000 });
+      // Context length comes from getModelInfo() (200k for Claude)
+      provider.client.messages.create = jest.fn().mockResolvedValue({
+        model: 'claude-3-sonnet-20240229',
+        content: [{ type: 'text', text: 'Hi Alice' }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 5, output_tokens: 2 }
+      });
+
+      await provider.sendChat('My name is Alice', { useHistory: true });
+      await provider.sendChat('What is my name?', { useHistory: true });
+
+      const params = provider.client.messages.create.mock.calls[1][0];
+      expect(params.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+      expect(JSON.stringify(params.messages[1].content)).toContain('Hi Alice');
+    });
+
+    test('should stay within the Anthropic message limit with a full history', async () => {
+      const provider = new AnthropicProvider({ apiKey: 'test-key', model: 'claude-3-sonnet-20240229', maxTokens: 1000 });
+      provider.client.messages.create = jest.fn().mockResolvedValue({
+        model: 'claude-3-sonnet-20240229',
+        content: [{ type: 'text', text: 'Noted' }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 5, output_tokens: 2 }
+      });
+      provider.addToHistory('system', 'You are helpful');
+      for (let turn = 1; turn < 50; turn++) {
+        provider.addToHistory('user', `Fact ${turn}`);
+        provider.addToHistory('assistant', 'Noted');
+      }
+      // A 100-entry history: the new message makes 101
+      provider.addToHistory('user', 'Fact 50');
+
+      await provider.sendChat('What was fact 49?', { useHistory: true });
+
+      const params = provider.client.messages.create.mock.calls[0][0];
+      expect(params.system).toBe('You are helpful');
+      expect(params.messages.length).toBeLessThanOrEqual(100);
+      expect(params.messages[params.messages.length - 1]).toEqual({ role: 'user', content: 'What was fact 49?' });
+      expect(params.messages[0]).toEqual({ role: 'user', content: 'Fact 2' });
+    });
+  });
+
+  describe('Stored history limit', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new OpenAICompatibleProvider({ apiKey: 'test-key', model: 'gpt-4' }, 'openai');
+    });
+
+    test('should keep pinned system messages when trimming past 100 entries', () => {
+      provider.addToHistory('system', 'You are helpful');
+      provider.addToHistory('user', [{ role: 'system', content: 'Answer in French' }, 'Bonjour']);
+      for (let turn = 1; turn <= 60; turn++) {
+        provider.addToHistory('user', `Question ${turn}`);
+        provider.addToHistory('assistant', `Answer ${turn}`);
+      }
+
+      const history = provider.getHistory();
+      expect(history.length).toBeLessThanOrEqual(100);
+      expect(provider.getHistoryMessages().slice(0, 3)).toEqual([
+        { role: 'system', content: 'You are helpful' },
+        { role: 'system', content: 'Answer in French' },
+        { role: 'user', content: expect.stringMatching(/^Question \d+$/) }
+      ]);
+      expect(history[history.length - 1].content[0].text).toBe('Answer 60');
+    });
+
+    test('should keep the rolling summary and drop system messages when not pinned', () => {
+      provider.config.history = { pinSystemMessages: false };
+      provider.addToHistory('system', 'You are helpful');
+      provider.addToHistory('system', 'Summary of the earlier conversation: hello', { summary: true });
+      for (let turn = 1; turn <= 60; turn++) {
+        provider.addToHistory('user', `Question ${turn}`);
+        provider.addToHistory('assistant', `Answer ${turn}`);
+      }
+
+      const history = provider.getHistory();
+      expect(history[0].summary).toBe(true);
+      expect(history.filter(entry => entry.role === 'system')).toHaveLength(1);
+    });
+  });
+
+  describe('Context window', () => {
+    let provider;
+    const longText = 'lorem '.repeat(70); // about 70 tokens
+
+    beforeEach(() => {
+      provider = new OpenAICompatibleProvider({ apiKey: 'test-key', model: 'local-model', maxTokens: 100 }, 'openai');
+      provider.getModelInfo = jest.fn().mockResolvedValue({ context_length: 300 });
+      provider.addToHistory('user', [{ role: 'system', content: 'You are helpful' }, 'First question ' + longText]);
+      provider.addToHistory('assistant', 'First answer ' + longText);
+      provider.addToHistory('user', 'Second question');
+      provider.addToHistory('assistant', 'Second answer');
+    });
+
+    test('should use the context length from getModelInfo', async () => {
+      expect(await provider.getContextLength()).toBe(300);
+      expect(await provider.getContextLength()).toBe(300);
+      expect(provider.getModelInfo).toHaveBeenCalledTimes(1);
+    });
+
+    test('should drop the oldest turns but keep pinned system messages', async () => {
+      const messages = await provider.withHistory('Third question ' + longText, { useHistory: true });
+
+      expect(messages).toEqual([
+        { role: 'system', content: 'You are helpful' },
+        { role: 'user', content: 'Second question' },
+        { role: 'assistant', content: 'Second answer' },
+        { role: 'user', content: 'Third question ' + longText }
+      ]);
+    });
+
+    test('should not pin system messages when disabled', async () => {
+      const messages = await provider.withHistory('Third question ' + longText, {
+        useHistory: { pinSystemMessages: false }
+      });
+
+      expect(messages[0]).toEqual({ role: 'user', content: 'Second question' });
+    });
+
+    test('should keep everything while it fits', async () => {
+      const messages = await provider.withHistory('Third question', { useHistory: { contextLength: 100000 } });
+
+      expect(messages).toHaveLength(6);
+      expect(provider.getModelInfo).not.toHaveBeenCalled();
+    });
+
+    test('should summarize the oldest turns into a rolling summary', async () => {
+      provider.chat = jest.fn().mockResolvedValue({ content: 'The user asked a first question.' });
+
+      const messages = await provider.withHistory('Third question ' + longText, {
+        useHistory: { strategy: 'summarize', summarizeTurns: 1 }
+      });
+
+      const summaryRequest = provider.chat.mock.calls[0][0];
+      expect(summaryRequest[1].content).toContain('user: First question');
+      expect(summaryRequest[1].content).not.toContain('Second question');
+
+      expect(messages.map(message => message.role)).toEqual(['system', 'system', 'user', 'assistant', 'user']);
+      expect(messages[1].content).toBe('Summary of the earlier conversation: The user asked a first question.');
+
+      // The summary replaces the summarized turns in stored history
+      const history = provider.getHistory();
+      expect(history).toHaveLength(4);
+      expect(history[1].summary).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const LLMClient = require('../src/llm-client');
+const Config = require('../src/config');
+const OpenAICompatibleProvider = require('../src/providers/openai-compatible-provider');
+const CostTracker = require('../src/utils/cost-tracker');
+const { BudgetExceededError } = require('../src/errors');
+
+describe('Cost tracking', () => {
+  describe('Usage normalization', () => {
+    test('should normalize OpenAI and Anthropic usage shapes', () => {
+      const provider = new OpenAICompatibleProvider({ apiKey: 'test-key', model: 'gpt-4' }, 'openai');
+
+      expect(provider.normalizeUsage({ prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }))
+        .toEqual({ input_tokens: 10, output_tokens: 5, total_tokens: 15 });
+      expect(provider.normalizeUsage({ input_tokens: 7, output_tokens: 3 }))
+        .toEqual({ input_tokens: 7, output_tokens: 3, total_tokens: 10 });
+      expect(provider.normalizeUsage(undefined))
+        .toEqual({ input_tokens: 0, output_tokens: 0, total_tokens: 0 });
+    });
+  });
+
+  describe('CostTracker', () => {
+    let tracker;
+
+    beforeEach(() => {
+      tracker = new CostTracker();
+    });
+
+    test('should price requests from the pricing table', () => {
+      const cost = tracker.record({
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        usage: { input_tokens: 1000000, output_tokens: 1000000 }
+      });
+
+      expect(cost).toBeCloseTo(0.75);
+      expect(tracker.calculateCost('ollama', 'llama3.2', { input_tokens: 500, output_tokens: 500 })).toBe(0);
+      expect(tracker.calculateCost('custom', 'my-model', { input_tokens: 500 })).toBeNull();
+    });
+
+    test('should let custom pricing override the defaults', () => {
+      tracker.setPricing('openai', 'gpt-4', { input: 1, output: 2 });
+
+      expect(tracker.calculateCost('openai', 'gpt-4', { input_tokens: 1000000, output_tokens: 1000000 })).toBe(3);
+      expect(() => tracker.setPricing('openai', 'gpt-4', { input: 1 })).toThrow('numeric input and output');
+    });
+
+    test('should accumulate spend per conversation and tag', () => {
+      const usage = { input_tokens: 1000000, output_tokens: 0 };
+      tracker.record({ provider: 'anthropic', model: 'claude-3-haiku-20240307', usage, conversationId: 'c1', tags: ['search'] });
+      tracker.record({ provider: 'anthropic', model: 'claude-3-haiku-20240307', usage, conversationId: 'c2', tags: 'search' });
+      tracker.record({ provider: 'custom', model: 'unknown', usage, conversationId: 'c1' });
+
+      expect(tracker.getSpend()).toBeCloseTo(0.5);
+      expect(tracker.getSpend({ conversationId: 'c1' })).toBeCloseTo(0.25);
+      expect(tracker.getSpend({ tag: 'search' })).toBeCloseTo(0.5);
+
+      const report = tracker.getReport();
+      expect(report.requests).toBe(3);
+      expect(report.unpricedRequests).toBe(1);
+      expect(report.byTag.search.requests).toBe(2);
+      expect(report.byModel['anthropic/claude-3-haiku-20240307'].costUSD).toBeCloseTo(0.5);
+    });
+
+    test('should reject once the budget is exceeded', () => {
+      tracker.setBudget({ maxUSD: 1, period: 'day' });
+      tracker.assertWithinBudget();
+
+      tracker.record({ provider: 'openai', model: 'gpt-4', usage: { input_tokens: 40000, output_tokens: 0 } });
+
+      expect(() => tracker.assertWithinBudget()).toThrow(BudgetExceededError);
+      expect(tracker.getBudgetStatus()).toMatchObject({ maxUSD: 1, period: 'day', remainingUSD: 0 });
+
+      tracker.setBudget(null);
+      expect(() => tracker.assertWithinBudget()).not.toThrow();
+    });
+
+    test('should validate budgets', () => {
+      expect(() => tracker.setBudget({ maxUSD: -1 })).toThrow('non-negative');
+      expect(() => tracker.setBudget({ maxUSD: 5, period: 'year' })).toThrow('day, week, month, total');
+    });
+  });
+
+  describe('Providers', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new OpenAICompatibleProvider({ apiKey: 'test-key', model: 'gpt-4' }, 'openai');
+      provider.client.chat.completions.create = jest.fn().mockResolvedValue({
+        model: 'gpt-4',
+        choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 }
+      });
+    });
+
+    test('should attach normalized usage and cost to responses', async () => {
+      const response = await provider.chat('Hello', { tags: ['greeting'], conversationId: 'abc' });
+
+      expect(response.usage).toEqual({ input_tokens: 1000, output_tokens: 500, total_tokens: 1500 });
+      expect(response.cost).toBeCloseTo(0.06);
+      expect(provider.costTracker.getSpend({ tag: 'greeting' })).toBeCloseTo(0.06);
+      expect(provider.costTracker.getSpend({ conversationId: 'abc' })).toBeCloseTo(0.06);
+    });
+
+    test('should reject requests once the budget is exceeded', async () => {
+      provider.costTracker.setBudget({ maxUSD: 0.05, period: 'month' });
+
+      await provider.sendChat('Hello');
+      await expect(provider.sendChat('Hello again')).rejects.toBeInstanceOf(BudgetExceededError);
+      expect(provider.client.chat.completions.create).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('LLMClient', () => {
+    beforeEach(() => {
+      jest.spyOn(Config.prototype, 'validate').mockReturnValue(true);
+      jest.spyOn(Config.prototype, 'getProviderConfig').mockReturnValue({ apiKey: 'test-key', model: 'gpt-4' });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should report spend across the client', async () => {
+      const client = new LLMClient({ provider: 'openai' });
+      client.provider.client.chat.completions.create = jest.fn().mockResolvedValue({
+        model: 'gpt-4',
+        choices: [{ message: { content: 'Hi' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 1000, completion_tokens: 0 }
+      });
+
+      client.setBudget({ maxUSD: 10 }).setPricing('openai', 'gpt-4', { input: 10, output: 10 });
+      await client.chat('Hello', { tags: 'onboarding' });
+
+      expect(client.getSpend()).toBeCloseTo(0.01);
+      expect(client.getCostReport()).toMatchObject({
+        requests: 1,
+        byTag: { onboarding: { requests: 1 } },
+        budget: { maxUSD: 10, period: 'month' }
+      });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const http = require('http');
+const LLMClient = require('../src/llm-client');
+const OpenAICompatibleProvider = require('../src/providers/openai-compatible-provider');
+
+describe('Custom OpenAI-compatible endpoints', () => {
+  let server;
+  let baseURL;
+  let requests;
+
+  // Minimal OpenAI-compatible server recording what it receives
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = { path: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+        requests.push(request);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          id: 'chatcmpl-1',
+          model: request.body?.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: 'Served locally' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    delete process.env.CUSTOM_API_KEY;
+    delete process.env.CUSTOM_HEADERS;
+  });
+
+  afterEach(() => {
+    delete process.env.CUSTOM_BASE_URL;
+    delete process.env.CUSTOM_MODEL;
+  });
+
+  test('should create the custom provider from the environment without an API key', async () => {
+    process.env.CUSTOM_BASE_URL = baseURL;
+    process.env.CUSTOM_MODEL = 'qwen2.5-7b-instruct';
+
+    const client = new LLMClient({ provider: 'custom' });
+    const response = await client.chat('Hello');
+
+    expect(client.provider).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(client.provider.name).toBe('custom');
+    expect(response.content).toBe('Served locally');
+    expect(requests[0].path).toBe('/v1/chat/completions');
+    expect(requests[0].body.model).toBe('qwen2.5-7b-instruct');
+  });
+
+  test('should require a base URL', () => {
+    expect(() => new LLMClient({ provider: 'custom' })).toThrow('Custom provider requires CUSTOM_BASE_URL to be set');
+    expect(() => new LLMClient({ provider: 'vllm', customProviders: { vllm: { model: 'llama' } } }))
+      .toThrow('Custom provider vllm requires a baseURL');
+  });
+
+  test('should name CUSTOM_HEADERS when it is not valid JSON', () => {
+    process.env.CUSTOM_BASE_URL = baseURL;
+    process.env.CUSTOM_HEADERS = '{"X-Team": search}';
+
+    expect(() => new LLMClient({ provider: 'custom' })).toThrow(/^Invalid JSON in CUSTOM_HEADERS: /);
+  });
+
+  test('should send each named endpoint\'s headers and switch between endpoints', async () => {
+    const client = new LLMClient({
+      provider: 'litellm',
+      customProviders: {
+        litellm: { baseURL, apiKey: 'sk-proxy', model: 'gpt-4o-mini', headers: { 'X-Team': 'search' } },
+        lmstudio: { baseURL, model: 'mistral-7b-instruct' }
+      }
+    });
+
+    await client.chat('Hello');
+    client.switchProvider('lmstudio');
+    await client.chat('Hello');
+
+    expect(requests[0].headers['x-team']).toBe('search');
+    expect(requests[0].headers.authorization).toBe('Bearer sk-proxy');
+    expect(requests[0].body.model).toBe('gpt-4o-mini');
+    expect(client.provider.name).toBe('lmstudio');
+    expect(requests[1].headers['x-team']).toBeUndefined();
+    expect(requests[1].body.model).toBe('mistral-7b-instruct');
+  });
+
+  test('should route between named endpoints', async () => {
+    const client = new LLMClient({
+      customProviders: { vllm: { baseURL, model: 'meta-llama/Llama-3.1-8B-Instruct' } },
+      providers: [{ provider: 'vllm' }, { provider: 'custom', name: 'llamacpp', config: { baseURL } }]
+    });
+
+    const response = await client.chat('Hello');
+
+    expect(client.provider.members.map(member => member.provider.name)).toEqual(['vllm', 'custom']);
+    expect(response.servedBy).toBe('vllm');
+  });
+
+  describe('Capabilities', () => {
+    test('should use the declared vision model', async () => {
+      const client = new LLMClient({
+        provider: 'vllm',
+        customProviders: {
+          vllm: { baseURL, model: 'llama-3.1-8b', defaultVisionModel: 'qwen2-vl-7b', capabilities: { vision: true } }
+        }
+      });
+
+      await client.vision('Describe this', 'data:image/png;base64,iVBORw0KGgo=');
+
+      expect(client.provider.supportsVision()).toBe(true);
+      expect(client.provider.checkVisionSupport('qwen2-vl-7b')).toBe(true);
+      expect(requests[0].body.model).toBe('qwen2-vl-7b');
+    });
+
+    test('should reject tools when the endpoint has no tool calling', async () => {
+      const provider = new OpenAICompatibleProvider({ baseURL, model: 'phi-3', capabilities: { tools: false } }, 'llamacpp');
+      const tools = [{ name: 'get_weather', parameters: { type: 'object', properties: {} } }];
+
+      await expect(provider.chat('Weather?', { tools })).rejects.toThrow('llamacpp does not support tool calling');
+      expect(requests).toHaveLength(0);
+    });
+
+    test('should downgrade JSON mode to what the endpoint supports', () => {
+      const schemaFormat = { responseFormat: { type: 'json_schema', schema: { type: 'object' } } };
+      const jsonObject = new OpenAICompatibleProvider({ baseURL, capabilities: { structuredOutput: 'json_object' } }, 'lmstudio');
+      const none = new OpenAICompatibleProvider({ baseURL, capabilities: { structuredOutput: false } }, 'llamacpp');
+
+      expect(jsonObject.formatResponseFormatOptions(schemaFormat)).toEqual({ response_format: { type: 'json_object' } });
+      expect(none.formatResponseFormatOptions(schemaFormat)).toEqual({});
+    });
+  });
+});
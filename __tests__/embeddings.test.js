@@ -0,0 +1,152 @@
+const http = require('http');
+const LLMClient = require('../src/llm-client');
+const OpenAICompatibleProvider = require('../src/providers/openai-compatible-provider');
+const OllamaProvider = require('../src/providers/ollama-provider');
+const AnthropicProvider = require('../src/providers/anthropic-provider');
+const { UnsupportedCapabilityError } = require('../src/errors');
+
+// Deterministic vector so each text can be told apart
+function vectorFor (text) {
+  return [text.length, text.charCodeAt(0) / 100, 0.5];
+}
+
+describe('Embeddings', () => {
+  let server;
+  let baseURL;
+  let requests;
+
+  // Local stand-in serving both the OpenAI and Ollama embedding endpoints
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = { path: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+        requests.push(request);
+        res.setHeader('Content-Type', 'application/json');
+
+        const input = request.body.input;
+        if (req.url === '/api/embed') {
+          res.end(JSON.stringify({
+            model: request.body.model,
+            embeddings: input.map(vectorFor),
+            prompt_eval_count: input.length * 2
+          }));
+          return;
+        }
+
+        // Returned out of order to check that results are sorted by index
+        res.end(JSON.stringify({
+          object: 'list',
+          model: request.body.model,
+          data: input.map((text, index) => ({ object: 'embedding', index, embedding: vectorFor(text) })).reverse(),
+          usage: { prompt_tokens: input.length * 1000, total_tokens: input.length * 1000 }
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  test('should embed through the OpenAI-compatible embeddings endpoint', async () => {
+    const provider = new OpenAICompatibleProvider({
+      apiKey: 'test-key',
+      baseURL: `${baseURL}/v1`,
+      model: 'gpt-4o-mini',
+      embeddingModel: 'text-embedding-3-small'
+    }, 'openai');
+
+    const response = await provider.embed(['alpha', 'beta'], { dimensions: 3 });
+
+    expect(requests[0].path).toBe('/v1/embeddings');
+    expect(requests[0].body).toEqual({
+      model: 'text-embedding-3-small',
+      input: ['alpha', 'beta'],
+      encoding_format: 'float',
+      dimensions: 3
+    });
+    expect(response.embeddings).toEqual([vectorFor('alpha'), vectorFor('beta')]);
+    expect(response.model).toBe('text-embedding-3-small');
+    expect(response.provider).toBe('openai');
+    expect(response.usage).toEqual({ input_tokens: 2000, output_tokens: 0, total_tokens: 2000 });
+    expect(response.cost).toBeCloseTo(2000 * 0.02 / 1000000);
+  });
+
+  test('should batch inputs and reuse cached vectors for identical texts', async () => {
+    const provider = new OpenAICompatibleProvider({
+      apiKey: 'test-key',
+      baseURL: `${baseURL}/v1`,
+      model: 'gpt-4o-mini',
+      embeddingModel: 'text-embedding-3-small',
+      embeddingBatchSize: 2
+    }, 'openai');
+
+    const first = await provider.embed(['a', 'b', 'a', 'c']);
+    expect(requests.map(request => request.body.input)).toEqual([['a', 'b'], ['c']]);
+    expect(first.embeddings).toEqual(['a', 'b', 'a', 'c'].map(vectorFor));
+    expect(first.cached).toBe(0);
+
+    const second = await provider.embed(['c', 'd', 'a']);
+    expect(requests[2].body.input).toEqual(['d']);
+    expect(second.embeddings).toEqual(['c', 'd', 'a'].map(vectorFor));
+    expect(second.cached).toBe(2);
+
+    // Different dimensions are different vectors
+    await provider.embed('a', { dimensions: 3 });
+    expect(requests[3].body.input).toEqual(['a']);
+
+    await provider.embed('a', { cache: false });
+    expect(requests).toHaveLength(5);
+  });
+
+  test('should embed with Ollama through /api/embed', async () => {
+    process.env.OLLAMA_BASE_URL = baseURL;
+    let client;
+    let response;
+    try {
+      client = new LLMClient({ provider: 'ollama' });
+      response = await client.embed('hello world');
+    } finally {
+      delete process.env.OLLAMA_BASE_URL;
+    }
+
+    expect(client.provider).toBeInstanceOf(OllamaProvider);
+    expect(requests[0].path).toBe('/api/embed');
+    expect(requests[0].body).toEqual({ model: 'nomic-embed-text', input: ['hello world'] });
+    expect(response.embeddings).toEqual([vectorFor('hello world')]);
+    expect(response.usage.input_tokens).toBe(2);
+    expect(response.cost).toBe(0);
+  });
+
+  test('should reject providers without an embeddings API', async () => {
+    const provider = new AnthropicProvider({ apiKey: 'test-key', model: 'claude-3-haiku-20240307' });
+
+    await expect(provider.embed('hello')).rejects.toBeInstanceOf(UnsupportedCapabilityError);
+    await expect(provider.embed('hello')).rejects.toMatchObject({ provider: 'anthropic', capability: 'embeddings' });
+    await expect(provider.embed([])).rejects.toThrow('Texts must be a string or a non-empty array of strings');
+  });
+
+  test('should route past providers that cannot embed', async () => {
+    const client = new LLMClient({
+      providers: [
+        { provider: 'anthropic', config: { apiKey: 'test-key', model: 'claude-3-haiku-20240307' } },
+        { provider: 'ollama', config: { baseURL, model: 'llama3.2' } }
+      ],
+      strategy: 'fallback'
+    });
+
+    const response = await client.embed(['one', 'two']);
+
+    expect(response.provider).toBe('ollama');
+    expect(response.embeddings).toEqual([vectorFor('one'), vectorFor('two')]);
+    expect(client.provider.members[0].provider._healthStatus?.consecutiveFailures || 0).toBe(0);
+  });
+});
@@ -0,0 +1,228 @@
+const http = require('http');
+const LLMClient = require('../src/llm-client');
+const GeminiProvider = require('../src/providers/gemini-provider');
+
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+function reply (text, extra = {}) {
+  return {
+    candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }],
+    usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 4, totalTokenCount: 16 },
+    modelVersion: 'gemini-1.5-flash-002',
+    ...extra
+  };
+}
+
+describe('GeminiProvider', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let respond;
+
+  // Local stand-in for the Generative Language API
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = { method: req.method, path: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+        requests.push(request);
+
+        if (req.url === '/images/cat.png') {
+          res.setHeader('Content-Type', 'image/png');
+          res.end(PNG);
+          return;
+        }
+
+        const { status = 200, json, sse } = respond(request);
+        res.statusCode = status;
+        if (sse) {
+          res.setHeader('Content-Type', 'text/event-stream');
+          sse.forEach(event => res.write(`data: ${JSON.stringify(event)}\r\n\r\n`));
+          res.end();
+        } else {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify(json));
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1beta`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  let provider;
+
+  beforeEach(() => {
+    requests = [];
+    respond = () => ({ json: reply('Hello from Gemini') });
+    provider = new GeminiProvider({ apiKey: 'gemini-key', baseURL, model: 'gemini-1.5-flash', temperature: 0.7, maxTokens: 256 });
+  });
+
+  test('should map messages to contents with a system instruction', async () => {
+    const response = await provider.chat([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'How are you?' },
+      { role: 'user', content: 'And the weather?' }
+    ], { safetySettings: [{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ONLY_HIGH' }] });
+
+    const [request] = requests;
+    expect(request.path).toBe('/v1beta/models/gemini-1.5-flash:generateContent');
+    expect(request.headers['x-goog-api-key']).toBe('gemini-key');
+    expect(request.body.systemInstruction).toEqual({ parts: [{ text: 'Be brief.' }] });
+    expect(request.body.contents).toEqual([
+      { role: 'user', parts: [{ text: 'Hi' }] },
+      { role: 'model', parts: [{ text: 'Hello!' }] },
+      { role: 'user', parts: [{ text: 'How are you?' }, { text: 'And the weather?' }] }
+    ]);
+    expect(request.body.generationConfig).toEqual({ temperature: 0.7, maxOutputTokens: 256 });
+    expect(request.body.safetySettings).toEqual([{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ONLY_HIGH' }]);
+
+    expect(response.content).toBe('Hello from Gemini');
+    expect(response.model).toBe('gemini-1.5-flash-002');
+    expect(response.finishReason).toBe('STOP');
+    expect(response.usage).toEqual({ input_tokens: 12, output_tokens: 4, total_tokens: 16 });
+  });
+
+  test('should inline data URL and remote images', async () => {
+    const dataUrl = `data:image/png;base64,${PNG.toString('base64')}`;
+    await provider.vision([{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'Compare these' },
+        { type: 'image_url', image_url: { url: dataUrl } },
+        { type: 'image_url', image_url: `${baseURL.replace('/v1beta', '')}/images/cat.png` }
+      ]
+    }]);
+
+    const request = requests.find(r => r.path.includes(':generateContent'));
+    expect(request.body.contents[0].parts).toEqual([
+      { text: 'Compare these' },
+      { inlineData: { mimeType: 'image/png', data: PNG.toString('base64') } },
+      { inlineData: { mimeType: 'image/png', data: PNG.toString('base64') } }
+    ]);
+  });
+
+  test('should stream server-sent events', async () => {
+    respond = () => ({
+      sse: [
+        { candidates: [{ content: { role: 'model', parts: [{ text: 'Hel' }] } }], modelVersion: 'gemini-1.5-flash-002' },
+        { candidates: [{ content: { role: 'model', parts: [{ text: 'lo' }] }, finishReason: 'STOP' }], usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 2 } }
+      ]
+    });
+
+    const stream = await provider.streamChat('Hi');
+    const texts = [];
+    for await (const event of stream) {
+      if (event.type === 'text') {
+        texts.push(event.text);
+      }
+    }
+    const response = await stream.finalResponse();
+
+    expect(requests[0].path).toBe('/v1beta/models/gemini-1.5-flash:streamGenerateContent?alt=sse');
+    expect(texts).toEqual(['Hel', 'lo']);
+    expect(response.content).toBe('Hello');
+    expect(response.finishReason).toBe('STOP');
+    expect(response.usage).toEqual({ input_tokens: 3, output_tokens: 2, total_tokens: 5 });
+  });
+
+  test('should map tools, function calls and function responses', async () => {
+    respond = () => ({
+      json: {
+        candidates: [{
+          content: { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+          finishReason: 'STOP'
+        }]
+      }
+    });
+    const tools = [{ name: 'get_weather', description: 'Weather for a city', parameters: { type: 'object', properties: { city: { type: 'string' } } } }];
+
+    const response = await provider.chat('Weather in Paris?', { tools, toolChoice: 'required' });
+    expect(response.toolCalls).toEqual([{ id: expect.any(String), name: 'get_weather', arguments: { city: 'Paris' } }]);
+    expect(requests[0].body.tools).toEqual([{ functionDeclarations: tools }]);
+    expect(requests[0].body.toolConfig).toEqual({ functionCallingConfig: { mode: 'ANY' } });
+
+    await provider.chat([
+      { role: 'user', content: 'Weather in Paris?' },
+      { role: 'assistant', content: '', toolCalls: response.toolCalls },
+      { role: 'tool', toolCallId: response.toolCalls[0].id, name: 'get_weather', content: { temp: 21 } }
+    ], { tools });
+
+    expect(requests[1].body.contents.slice(1)).toEqual([
+      { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+      { role: 'user', parts: [{ functionResponse: { name: 'get_weather', response: { content: { temp: 21 } } } }] }
+    ]);
+  });
+
+  test('should use JSON mode for structured output', async () => {
+    respond = () => ({ json: reply('{"city":"Paris"}') });
+    const schema = { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] };
+
+    await provider.chat('Which city?', { responseFormat: { type: 'json_schema', schema } });
+
+    expect(requests[0].body.generationConfig).toMatchObject({ responseMimeType: 'application/json', responseSchema: schema });
+  });
+
+  test('should put sampling options in the generation config', async () => {
+    await provider.chat('Hi', { topP: 0.9, topK: 40, stop: 'END', seed: 7, n: 2, responseFormat: { type: 'json' } });
+
+    expect(requests[0].body.generationConfig).toEqual({
+      temperature: 0.7,
+      maxOutputTokens: 256,
+      topP: 0.9,
+      topK: 40,
+      stopSequences: ['END'],
+      seed: 7,
+      candidateCount: 2,
+      responseMimeType: 'application/json'
+    });
+  });
+
+  test('should surface API errors as retryable when the service is overloaded', async () => {
+    respond = () => ({ status: 503, json: { error: { code: 503, message: 'The model is overloaded.' } } });
+
+    const error = await provider.chat('Hi').catch(e => e);
+
+    expect(error.message).toContain('The model is overloaded.');
+    expect(provider.isRetryableError(error)).toBe(true);
+  });
+
+  test('should list generateContent models with their context length', async () => {
+    respond = () => ({
+      json: {
+        models: [
+          { name: 'models/gemini-1.5-pro', displayName: 'Gemini 1.5 Pro', inputTokenLimit: 2097152, outputTokenLimit: 8192, supportedGenerationMethods: ['generateContent', 'countTokens'] },
+          { name: 'models/text-embedding-004', supportedGenerationMethods: ['embedContent'] }
+        ]
+      }
+    });
+
+    const models = await provider.listModels();
+
+    expect(models).toEqual([expect.objectContaining({ name: 'gemini-1.5-pro', context_length: 2097152, supports_vision: true })]);
+  });
+
+  test('should be configured from the environment', async () => {
+    process.env.LLM_PROVIDER = 'gemini';
+    process.env.GEMINI_API_KEY = 'env-key';
+    process.env.GEMINI_BASE_URL = baseURL;
+    try {
+      const client = new LLMClient();
+      const response = await client.chat('Hi');
+
+      expect(client.provider).toBeInstanceOf(GeminiProvider);
+      expect(response.provider).toBe('gemini');
+      expect(requests[0].headers['x-goog-api-key']).toBe('env-key');
+    } finally {
+      delete process.env.LLM_PROVIDER;
+      delete process.env.GEMINI_API_KEY;
+      delete process.env.GEMINI_BASE_URL;
+    }
+  });
+});
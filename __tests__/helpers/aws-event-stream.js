@@ -0,0 +1,57 @@
+/**
+ * AWS Event Stream encoder for tests
+ *
+ * Builds the binary messages Bedrock's ConverseStream sends, so stub servers can
+ * stream them. Only string headers are supported.
+ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32 (buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode a message with string headers
+ * @param {Object} headers - Header names to string values
+ * @param {Buffer|string} payload - Message payload
+ * @returns {Buffer} Encoded message
+ */
+function encodeMessage (headers, payload) {
+  const headerBuffers = Object.entries(headers).map(([name, value]) => {
+    const nameBuffer = Buffer.from(name);
+    const valueBuffer = Buffer.from(String(value));
+    const header = Buffer.alloc(1 + nameBuffer.length + 3 + valueBuffer.length);
+    header.writeUInt8(nameBuffer.length, 0);
+    nameBuffer.copy(header, 1);
+    header.writeUInt8(7, 1 + nameBuffer.length);
+    header.writeUInt16BE(valueBuffer.length, 2 + nameBuffer.length);
+    valueBuffer.copy(header, 4 + nameBuffer.length);
+    return header;
+  });
+  const headersBuffer = Buffer.concat(headerBuffers);
+  const payloadBuffer = Buffer.from(payload);
+
+  // total length | headers length | prelude CRC | headers | payload | message CRC
+  const totalLength = 12 + headersBuffer.length + payloadBuffer.length + 4;
+  const message = Buffer.alloc(totalLength);
+  message.writeUInt32BE(totalLength, 0);
+  message.writeUInt32BE(headersBuffer.length, 4);
+  message.writeUInt32BE(crc32(message.subarray(0, 8)), 8);
+  headersBuffer.copy(message, 12);
+  payloadBuffer.copy(message, 12 + headersBuffer.length);
+  message.writeUInt32BE(crc32(message.subarray(0, totalLength - 4)), totalLength - 4);
+  return message;
+}
+
+module.exports = { encodeMessage };
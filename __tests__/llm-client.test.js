@@ -1,5 +1,6 @@
 const LLMClient = require('../src/llm-client');
 const Config = require('../src/config');
+const { ToolLoopLimitError } = require('../src/errors');
 
 describe('LLMClient', () => {
   let client;
@@ -237,7 +238,7 @@ describe('LLMClient', () => {
       const result = await client.switchModel('new-model');
       
       expect(result).toBe(true);
-      expect(client.provider.switchModel).toHaveBeenCalledWith('new-model');
+      expect(client.provider.switchModel).toHaveBeenCalledWith('new-model', undefined);
     });
 
     test('should throw error when provider does not support model switching', async () => {
@@ -282,4 +283,151 @@ describe('LLMClient', () => {
       await expect(client.getModelInfo()).rejects.toThrow('Provider openai does not support model information retrieval');
     });
   });
+  describe('Tool execution loop', () => {
+    beforeEach(() => {
+      client = new LLMClient();
+      client.provider.addToHistory = jest.fn();
+      client.provider.stringifyToolResult = result => JSON.stringify(result);
+      client.registerTool('add', {
+        description: 'Add two numbers',
+        parameters: {
+          type: 'object',
+          properties: { a: { type: 'number' }, b: { type: 'number' } }
+        }
+      }, ({ a, b }) => a + b);
+    });
+
+    test('should expose registered tool definitions', () => {
+      expect(client.getTools()).toEqual([{
+        name: 'add',
+        description: 'Add two numbers',
+        parameters: {
+          type: 'object',
+          properties: { a: { type: 'number' }, b: { type: 'number' } }
+        }
+      }]);
+    });
+
+    test('should execute tool calls and feed results back until a final answer', async () => {
+      client.provider.chat = jest.fn()
+        .mockResolvedValueOnce({ content: '', toolCalls: [{ id: 'call_1', name: 'add', arguments: { a: 2, b: 3 } }] })
+        .mockResolvedValueOnce({ content: 'The answer is 5', toolCalls: [] });
+
+      const response = await client.run('What is 2 + 3?');
+
+      expect(response.content).toBe('The answer is 5');
+      expect(response.steps).toHaveLength(1);
+      expect(response.steps[0].results[0]).toMatchObject({ name: 'add', content: 5, isError: false });
+
+      const secondCall = client.provider.chat.mock.calls[1];
+      expect(secondCall[0]).toEqual([
+        { role: 'user', content: 'What is 2 + 3?' },
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'add', arguments: { a: 2, b: 3 } }] },
+        { role: 'tool', toolCallId: 'call_1', name: 'add', content: 5, isError: false }
+      ]);
+      expect(secondCall[1].tools).toEqual(client.getTools());
+    });
+
+    test('should record every step in conversation history', async () => {
+      client.provider.chat = jest.fn()
+        .mockResolvedValueOnce({ content: '', toolCalls: [{ id: 'call_1', name: 'add', arguments: { a: 1, b: 1 } }] })
+        .mockResolvedValueOnce({ content: '2', toolCalls: [] });
+
+      await client.run('1 + 1?');
+
+      expect(client.provider.addToHistory.mock.calls.map(call => call[0])).toEqual(['user', 'assistant', 'tool', 'assistant']);
+      expect(client.provider.addToHistory.mock.calls[2][2]).toEqual({ toolCallId: 'call_1', name: 'add', isError: false });
+    });
+
+    test('should record each input message with its own role', async () => {
+      client.provider.chat = jest.fn().mockResolvedValueOnce({ content: 'Hi Alice', toolCalls: [] });
+
+      await client.run([
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'My name is Alice' },
+        'Hello'
+      ]);
+
+      expect(client.provider.addToHistory.mock.calls).toEqual([
+        ['system', 'Be brief', {}],
+        ['user', 'My name is Alice', {}],
+        ['user', 'Hello', {}],
+        ['assistant', 'Hi Alice']
+      ]);
+    });
+
+    test('should report handler errors and unknown tools back to the model', async () => {
+      client.registerTool('fail', { type: 'object', properties: {} }, () => {
+        throw new Error('boom');
+      });
+      client.provider.chat = jest.fn()
+        .mockResolvedValueOnce({
+          content: '',
+          toolCalls: [
+            { id: 'call_1', name: 'fail', arguments: {} },
+            { id: 'call_2', name: 'missing', arguments: {} }
+          ]
+        })
+        .mockResolvedValueOnce({ content: 'Sorry', toolCalls: [] });
+
+      const response = await client.run('Try it');
+
+      expect(response.steps[0].results.map(result => result.content)).toEqual([
+        { error: 'boom' },
+        { error: 'Unknown tool: missing' }
+      ]);
+      // Failed calls keep their error flag in history so later requests replay them as failures
+      const toolEntries = client.provider.addToHistory.mock.calls.filter(([role]) => role === 'tool');
+      expect(toolEntries.map(([, , extra]) => extra)).toEqual([
+        { toolCallId: 'call_1', name: 'fail', isError: true },
+        { toolCallId: 'call_2', name: 'missing', isError: true }
+      ]);
+    });
+
+    test('should time out slow tools', async () => {
+      client.registerTool('slow', { type: 'object', properties: {} }, () => new Promise(() => {}), { timeout: 20 });
+      client.provider.chat = jest.fn()
+        .mockResolvedValueOnce({ content: '', toolCalls: [{ id: 'call_1', name: 'slow', arguments: {} }] })
+        .mockResolvedValueOnce({ content: 'Gave up', toolCalls: [] });
+
+      const response = await client.run('Go slow');
+
+      expect(response.steps[0].results[0]).toMatchObject({
+        isError: true,
+        content: { error: 'Tool \'slow\' timed out after 20ms' }
+      });
+    });
+
+    test('should abort the handler signal when a tool times out', async () => {
+      let context;
+      client.registerTool('slow', { type: 'object', properties: {} }, (args, toolContext) => {
+        context = toolContext;
+        return new Promise(() => {});
+      }, { timeout: 20 });
+      client.provider.chat = jest.fn()
+        .mockResolvedValueOnce({ content: '', toolCalls: [{ id: 'call_1', name: 'slow', arguments: {} }] })
+        .mockResolvedValueOnce({ content: 'Gave up', toolCalls: [] });
+
+      await client.run('Go slow');
+
+      expect(context).toMatchObject({ step: 1, client });
+      expect(context.signal.aborted).toBe(true);
+      expect(context.signal.reason.message).toBe('Tool \'slow\' timed out after 20ms');
+    });
+
+    test('should stop when the step budget is exhausted', async () => {
+      client.provider.chat = jest.fn().mockResolvedValue({
+        content: '',
+        toolCalls: [{ id: 'call_1', name: 'add', arguments: { a: 1, b: 1 } }]
+      });
+
+      const error = await client.run('Loop forever', { maxSteps: 2 }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(ToolLoopLimitError);
+      expect(error.message).toBe('Tool loop did not finish within 2 steps');
+      expect(error.maxSteps).toBe(2);
+      expect(error.steps).toHaveLength(2);
+      expect(client.provider.chat).toHaveBeenCalledTimes(2);
+    });
+  });
 });
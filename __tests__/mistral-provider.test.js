@@ -0,0 +1,166 @@
+const http = require('http');
+const LLMClient = require('../src/llm-client');
+const MistralProvider = require('../src/providers/mistral-provider');
+
+function completion (message, extra = {}) {
+  return {
+    id: 'cmpl-1',
+    model: 'mistral-large-2411',
+    choices: [{ index: 0, message: { role: 'assistant', ...message }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 14, completion_tokens: 6, total_tokens: 20 },
+    ...extra
+  };
+}
+
+describe('MistralProvider', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let respond;
+
+  // Local stand-in for La Plateforme
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const request = { method: req.method, path: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+        requests.push(request);
+
+        const { status = 200, json, sse } = respond(request);
+        res.statusCode = status;
+        if (sse) {
+          res.setHeader('Content-Type', 'text/event-stream');
+          sse.forEach(event => res.write(`data: ${JSON.stringify(event)}\n\n`));
+          res.end('data: [DONE]\n\n');
+        } else {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify(json));
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  let provider;
+
+  beforeEach(() => {
+    requests = [];
+    respond = () => ({ json: completion({ content: 'Bonjour!' }) });
+    provider = new MistralProvider({ apiKey: 'mistral-key', baseURL, model: 'mistral-large-latest', temperature: 0.3, maxTokens: 128, safePrompt: true });
+  });
+
+  test('should send chat completions with the safe prompt setting', async () => {
+    const response = await provider.chat('Hello');
+    await provider.chat('Hello', { safePrompt: false });
+
+    const [request] = requests;
+    expect(request.path).toBe('/v1/chat/completions');
+    expect(request.headers.authorization).toBe('Bearer mistral-key');
+    expect(request.body).toEqual({
+      model: 'mistral-large-latest',
+      messages: [{ role: 'user', content: 'Hello' }],
+      temperature: 0.3,
+      max_tokens: 128,
+      stream: false,
+      safe_prompt: true
+    });
+    expect(requests[1].body.safe_prompt).toBe(false);
+
+    expect(response.content).toBe('Bonjour!');
+    expect(response.model).toBe('mistral-large-2411');
+    expect(response.finishReason).toBe('stop');
+    expect(response.usage).toEqual({ input_tokens: 14, output_tokens: 6, total_tokens: 20 });
+    expect(response.cost).toBeGreaterThan(0);
+  });
+
+  test('should use JSON mode for structured output', async () => {
+    respond = () => ({ json: completion({ content: '{"city":"Paris"}' }) });
+
+    await provider.chat('Which city?', { responseFormat: { type: 'json' } });
+    const schema = { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] };
+    await provider.chat('Which city?', { responseFormat: { type: 'json_schema', name: 'city', schema } });
+
+    expect(requests[0].body.response_format).toEqual({ type: 'json_object' });
+    expect(requests[1].body.response_format).toEqual({ type: 'json_schema', json_schema: { name: 'city', schema } });
+  });
+
+  test('should send images to the vision model as data URLs', async () => {
+    const png = Buffer.from('89504e470d0a1a0a', 'hex').toString('base64');
+
+    await provider.vision([{
+      role: 'user',
+      content: [
+        { type: 'text', text: 'What is this?' },
+        { type: 'image_url', image_url: { url: `data:image/png;base64,${png}` } }
+      ]
+    }]);
+
+    expect(requests[0].body.model).toBe('pixtral-12b-2409');
+    expect(requests[0].body.messages[0].content[1]).toEqual({ type: 'image_url', image_url: `data:image/png;base64,${png}` });
+  });
+
+  test('should stream text and tool calls', async () => {
+    respond = () => ({
+      sse: [
+        { model: 'mistral-large-2411', choices: [{ index: 0, delta: { role: 'assistant', content: 'Checking' } }] },
+        { choices: [{ index: 0, delta: { tool_calls: [{ id: 'abc123def', function: { name: 'get_weather', arguments: '{"city": "Paris"}' } }] } }] },
+        { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }], usage: { prompt_tokens: 40, completion_tokens: 9, total_tokens: 49 } }
+      ]
+    });
+
+    const stream = await provider.streamChat('Weather in Paris?', {
+      tools: [{ name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } }]
+    });
+    const response = await stream.finalResponse();
+
+    expect(requests[0].body.stream).toBe(true);
+    expect(requests[0].body.tools[0]).toEqual({ type: 'function', function: expect.objectContaining({ name: 'get_weather' }) });
+    expect(response.content).toBe('Checking');
+    expect(response.toolCalls).toEqual([{ id: 'abc123def', name: 'get_weather', arguments: { city: 'Paris' } }]);
+    expect(response.finishReason).toBe('tool_calls');
+    expect(response.usage).toEqual({ input_tokens: 40, output_tokens: 9, total_tokens: 49 });
+  });
+
+  test('should list chat models with their capabilities', async () => {
+    respond = () => ({
+      json: {
+        object: 'list',
+        data: [
+          { id: 'pixtral-large-latest', max_context_length: 131072, capabilities: { completion_chat: true, function_calling: true, vision: true } },
+          { id: 'mistral-embed', max_context_length: 8192, capabilities: { completion_chat: false } }
+        ]
+      }
+    });
+
+    const models = await provider.listModels();
+
+    expect(models).toEqual([
+      expect.objectContaining({ name: 'pixtral-large-latest', context_length: 131072, supports_vision: true, supports_tools: true })
+    ]);
+  });
+
+  test('should be configured from the environment', async () => {
+    process.env.LLM_PROVIDER = 'mistral';
+    process.env.MISTRAL_API_KEY = 'env-key';
+    process.env.MISTRAL_BASE_URL = baseURL;
+    try {
+      const client = new LLMClient();
+      const response = await client.chat('Hello');
+
+      expect(client.provider).toBeInstanceOf(MistralProvider);
+      expect(response.provider).toBe('mistral');
+      expect(requests[0].body.model).toBe('mistral-large-latest');
+      expect(requests[0].body.safe_prompt).toBeUndefined();
+    } finally {
+      delete process.env.LLM_PROVIDER;
+      delete process.env.MISTRAL_API_KEY;
+      delete process.env.MISTRAL_BASE_URL;
+    }
+  });
+});
@@ -225,11 +225,10 @@ describe('Mixins', () => {
       ];
       
       const result = messageMixin.formatMessagesForAnthropic(messages);
+      const { system, messages: conversation } = messageMixin.extractAnthropicSystem(result);
       
-      expect(result).toHaveLength(1);
-      expect(result[0].role).toBe('user');
-      expect(result[0].content).toContain('System: You are helpful');
-      expect(result[0].content).toContain('User: Hello');
+      expect(system).toBe('You are helpful');
+      expect(conversation).toEqual([{ role: 'user', content: 'Hello' }]);
     });
 
     test('should format vision messages', () => {
@@ -1,3 +1,7 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LLMClient = require('../src/llm-client');
 const OllamaProvider = require('../src/providers/ollama-provider');
 
 // Mock axios
@@ -237,13 +241,28 @@ describe('OllamaProvider', () => {
         quantization: 'Q4_0',
         family: 'llama',
         modified_at: '2024-01-01T00:00:00Z',
-        digest: 'sha256:abc123'
+        digest: 'sha256:abc123',
+        context_length: null,
+        capabilities: [],
+        supports_vision: false
       });
       expect(axios.post).toHaveBeenCalledWith('http://localhost:11434/api/show', {
         name: 'llama3.2'
       });
     });
 
+    test('should read the context length from model info and num_ctx', async () => {
+      axios.post.mockResolvedValue({
+        data: { name: 'llama3.2:latest', model_info: { 'llama.context_length': 131072 } }
+      });
+      expect((await provider.getModelInfo()).context_length).toBe(131072);
+
+      axios.post.mockResolvedValue({
+        data: { name: 'llama3.2:latest', parameters: 'num_ctx 8192\nstop "<|eot_id|>"', model_info: { 'llama.context_length': 131072 } }
+      });
+      expect((await provider.getModelInfo()).context_length).toBe(8192);
+    });
+
     test('should fail to get model info without model in config', async () => {
       provider.config.model = null;
 
@@ -475,6 +494,309 @@ describe('OllamaProvider', () => {
     });
   });
 
+  // ============================================================================
+  // VISION TESTS
+  // ============================================================================
+
+  describe('Vision', () => {
+    const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+    const reply = { data: JSON.stringify({ model: 'llava', message: { content: 'A cat' }, done: true }) };
+
+    test('should send images as raw base64 in the images field', async () => {
+      const file = path.join(os.tmpdir(), `ollama-vision-${process.pid}.png`);
+      fs.writeFileSync(file, png);
+      axios.get.mockResolvedValue({ data: png, headers: { 'content-type': 'image/png' } });
+      axios.post.mockResolvedValue(reply);
+
+      try {
+        const vision = new OllamaProvider({ baseURL: 'http://localhost:11434', model: 'llama3.2', defaultVisionModel: 'llava' });
+        const result = await vision.vision([{
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Compare these' },
+            { type: 'image_url', image_url: `data:image/png;base64,${png.toString('base64')}` },
+            { type: 'image_url', image_url: { url: file } },
+            { type: 'image_url', image_url: 'https://example.com/cat.png' }
+          ]
+        }]);
+
+        expect(result.content).toBe('A cat');
+        expect(axios.get).toHaveBeenCalledWith('https://example.com/cat.png', expect.objectContaining({ responseType: 'arraybuffer' }));
+        const [url, body] = axios.post.mock.calls[0];
+        expect(url).toBe('http://localhost:11434/api/chat');
+        expect(body.model).toBe('llava');
+        expect(body.messages).toEqual([{
+          role: 'user',
+          content: 'Compare these',
+          images: [png.toString('base64'), png.toString('base64'), png.toString('base64')]
+        }]);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    test('should pick a local model with the vision capability', async () => {
+      const capabilities = {
+        'llama3.2': ['completion', 'tools'],
+        'qwen2.5:7b': ['completion'],
+        'llava:7b': ['completion', 'vision']
+      };
+      axios.get.mockResolvedValue({ data: { models: [{ name: 'qwen2.5:7b', size: 1 }, { name: 'llava:7b', size: 1 }] } });
+      axios.post.mockImplementation(async (url, body) => (url.endsWith('/api/show')
+        ? { data: { name: body.name, capabilities: capabilities[body.name] } }
+        : reply));
+
+      await provider.vision([{ role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: `data:image/png;base64,${png.toString('base64')}` }] }]);
+      await provider.vision([{ role: 'user', content: [{ type: 'text', text: 'And this?' }, { type: 'image_url', image_url: `data:image/png;base64,${png.toString('base64')}` }] }]);
+
+      const chats = axios.post.mock.calls.filter(([url]) => url.endsWith('/api/chat'));
+      expect(chats.map(([, body]) => body.model)).toEqual(['llava:7b', 'llava:7b']);
+      // Capabilities are cached between requests
+      expect(axios.post.mock.calls.filter(([url]) => url.endsWith('/api/show'))).toHaveLength(3);
+    });
+
+    test('should skip models whose details cannot be read', async () => {
+      axios.get.mockResolvedValue({ data: { models: [{ name: 'broken:7b', size: 1 }, { name: 'llava:7b', size: 1 }] } });
+      axios.post.mockImplementation(async (url, body) => {
+        if (!url.endsWith('/api/show')) {
+          return reply;
+        }
+        if (body.name === 'broken:7b') {
+          throw new Error('Request failed with status code 500');
+        }
+        return { data: { name: body.name, capabilities: body.name === 'llava:7b' ? ['completion', 'vision'] : ['completion'] } };
+      });
+
+      await provider.vision([{ role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: `data:image/png;base64,${png.toString('base64')}` }] }]);
+
+      const chat = axios.post.mock.calls.find(([url]) => url.endsWith('/api/chat'));
+      expect(chat[1].model).toBe('llava:7b');
+    });
+
+    test('should detect vision from a CLIP projector on older Ollama versions', async () => {
+      axios.post.mockResolvedValue({ data: { name: 'llava:7b', details: { families: ['llama', 'clip'] } } });
+
+      expect(await provider.getModelCapabilities('llava:7b')).toEqual(['vision']);
+      expect((await provider.getModelInfo('llava:7b')).supports_vision).toBe(true);
+    });
+
+    test('should fail clearly without a vision-capable model', async () => {
+      axios.get.mockResolvedValue({ data: { models: [{ name: 'llama3.2', size: 1 }] } });
+      axios.post.mockResolvedValue({ data: { capabilities: ['completion'] } });
+
+      await expect(provider.vision([{ role: 'user', content: [{ type: 'image_url', image_url: 'data:image/png;base64,iVBORw0KGgo=' }] }]))
+        .rejects.toThrow('No vision-capable Ollama model found');
+    });
+
+    test('should answer client.see() with the configured vision model', async () => {
+      process.env.OLLAMA_VISION_MODEL = 'llama3.2-vision';
+      axios.post.mockResolvedValue(reply);
+      try {
+        const client = new LLMClient({ provider: 'ollama' });
+        const response = await client.see('Describe this image', `data:image/png;base64,${png.toString('base64')}`);
+
+        expect(response.content).toBe('A cat');
+        const [, body] = axios.post.mock.calls[0];
+        expect(body.model).toBe('llama3.2-vision');
+        expect(body.messages[0]).toEqual({ role: 'user', content: 'Describe this image', images: [png.toString('base64')] });
+      } finally {
+        delete process.env.OLLAMA_VISION_MODEL;
+      }
+    });
+  });
+
+  // ============================================================================
+  // MODEL LIFECYCLE TESTS
+  // ============================================================================
+
+  describe('Model Lifecycle', () => {
+    // Newline-delimited status lines as Ollama streams them
+    const statusLines = lines => ({ data: lines.map(line => Buffer.from(`${JSON.stringify(line)}\n`)) });
+
+    test('should pull a model with byte and percent progress', async () => {
+      axios.post.mockResolvedValue(statusLines([
+        { status: 'pulling manifest' },
+        { status: 'pulling 8eeb52dfb3bb', digest: 'sha256:8eeb52dfb3bb', total: 2000, completed: 500 },
+        { status: 'pulling 8eeb52dfb3bb', digest: 'sha256:8eeb52dfb3bb', total: 2000, completed: 2000 },
+        { status: 'verifying sha256 digest' },
+        { status: 'success' }
+      ]));
+
+      const progress = await provider.pullModel('qwen2.5:7b');
+      const events = [];
+      for await (const event of progress) {
+        events.push(event);
+      }
+
+      expect(axios.post).toHaveBeenCalledWith('http://localhost:11434/api/pull', { model: 'qwen2.5:7b', stream: true }, expect.objectContaining({
+        timeout: 5 * 60 * 1000,
+        responseType: 'stream',
+        signal: expect.any(AbortSignal)
+      }));
+      expect(events.map(event => event.percent)).toEqual([null, 25, 100, null, null, undefined]);
+      expect(events[1]).toEqual({ type: 'progress', status: 'pulling 8eeb52dfb3bb', digest: 'sha256:8eeb52dfb3bb', completed: 500, total: 2000, percent: 25 });
+      expect(events[5]).toEqual({ type: 'done', status: 'success', model: 'qwen2.5:7b' });
+      await expect(progress.finished()).resolves.toEqual({ status: 'success', model: 'qwen2.5:7b' });
+    });
+
+    test('should reject when the pull reports an error', async () => {
+      axios.post.mockResolvedValue(statusLines([
+        { status: 'pulling manifest' },
+        { error: 'pull model manifest: file does not exist' }
+      ]));
+
+      const progress = await provider.pullModel('missing-model');
+
+      await expect(progress.finished()).rejects.toThrow('pull model manifest: file does not exist');
+    });
+
+    test('should create a model from a Modelfile', async () => {
+      axios.post.mockResolvedValue(statusLines([{ status: 'using existing layer sha256:abc' }, { status: 'success' }]));
+
+      const progress = await provider.createModel('mario', [
+        'FROM llama3.2',
+        'PARAMETER temperature 1',
+        'PARAMETER stop "<|eot_id|>"',
+        'SYSTEM """You are Mario.',
+        'Stay in character."""'
+      ].join('\n'));
+      await progress.finished();
+
+      expect(axios.post).toHaveBeenCalledWith('http://localhost:11434/api/create', {
+        model: 'mario',
+        from: 'llama3.2',
+        parameters: { temperature: 1, stop: ['<|eot_id|>'] },
+        system: 'You are Mario.\nStay in character.',
+        stream: true
+      }, expect.any(Object));
+      await expect(provider.createModel('broken', 'SYSTEM hi')).rejects.toThrow('Modelfile must contain a FROM instruction');
+    });
+
+    test('should copy and delete models', async () => {
+      axios.post.mockResolvedValue({ status: 200, data: '' });
+      axios.delete.mockResolvedValue({ status: 200, data: '' });
+
+      expect(await provider.copyModel('llama3.2', 'llama3.2-backup')).toBe(true);
+      expect(await provider.deleteModel('llama3.2-backup')).toBe(true);
+
+      expect(axios.post).toHaveBeenCalledWith('http://localhost:11434/api/copy', { source: 'llama3.2', destination: 'llama3.2-backup' }, expect.any(Object));
+      expect(axios.delete).toHaveBeenCalledWith('http://localhost:11434/api/delete', expect.objectContaining({ data: { model: 'llama3.2-backup' } }));
+
+      axios.delete.mockRejectedValue(Object.assign(new Error('Request failed with status code 404'), {
+        response: { status: 404, data: { error: 'model \'nope\' not found' } }
+      }));
+      await expect(provider.deleteModel('nope')).rejects.toThrow('Failed to delete model: model \'nope\' not found');
+    });
+
+    test('should list running models', async () => {
+      axios.get.mockResolvedValue({
+        data: {
+          models: [{ name: 'llama3.2:latest', size: 2147483648, size_vram: 1073741824, expires_at: '2024-06-04T14:38:31Z', digest: 'sha256:abc', context_length: 4096 }]
+        }
+      });
+
+      const running = await provider.listRunningModels();
+
+      expect(axios.get).toHaveBeenCalledWith('http://localhost:11434/api/ps', expect.any(Object));
+      expect(running).toEqual([{
+        name: 'llama3.2:latest',
+        size: '2 GB',
+        size_vram: '1 GB',
+        expires_at: '2024-06-04T14:38:31Z',
+        digest: 'sha256:abc',
+        context_length: 4096
+      }]);
+    });
+
+    test('should pull a missing model when switching with auto-pull', async () => {
+      axios.get.mockResolvedValue({ data: { models: [{ name: 'llama3.2:latest', size: 1 }] } });
+      axios.post.mockResolvedValue(statusLines([{ status: 'success' }]));
+      const onProgress = jest.fn();
+
+      await expect(provider.switchModel('gemma3')).rejects.toThrow('Model \'gemma3\' not found');
+      expect(provider.config.model).toBe('llama3.2');
+
+      expect(await provider.switchModel('gemma3', { pull: true, onProgress })).toBe(true);
+      expect(axios.post).toHaveBeenCalledWith('http://localhost:11434/api/pull', { model: 'gemma3', stream: true }, expect.any(Object));
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ status: 'success' }));
+      expect(provider.config.model).toBe('gemma3');
+
+      // Tags without :latest match the installed model
+      axios.post.mockClear();
+      expect(await provider.switchModel('llama3.2')).toBe(true);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // KEEP-ALIVE TESTS
+  // ============================================================================
+
+  describe('Keep Alive', () => {
+    const reply = { data: JSON.stringify({ model: 'llama3.2', message: { content: 'Hi' }, done: true }) };
+
+    test('should send keep_alive per client and per request', async () => {
+      axios.post.mockResolvedValue(reply);
+      const warm = new OllamaProvider({ baseURL: 'http://localhost:11434', model: 'llama3.2', maxTokens: 256, keepAlive: '30m' });
+
+      await warm.chat('Hello');
+      await warm.chat('Hello', { keepAlive: -1, topK: 20 });
+      await provider.chat('Hello');
+
+      const [first, second, third] = axios.post.mock.calls.map(([, body]) => body);
+      expect(first.keep_alive).toBe('30m');
+      expect(first.options).toEqual({ temperature: 0.7, num_predict: 256, stream: false });
+      expect(second.keep_alive).toBe(-1);
+      expect(second.options.top_k).toBe(20);
+      expect(third).not.toHaveProperty('keep_alive');
+    });
+
+    test('should send keep_alive with streaming requests', async () => {
+      axios.post.mockResolvedValue({ data: { on: jest.fn(), once: jest.fn() } });
+
+      await provider.streamChat('Hello', { keepAlive: '5m' });
+
+      const [, body] = axios.post.mock.calls[0];
+      expect(body.keep_alive).toBe('5m');
+      expect(body.stream).toBe(true);
+      expect(body.options).not.toHaveProperty('keep_alive');
+    });
+
+    test('should preload and unload models', async () => {
+      axios.post.mockResolvedValue({ data: { model: 'llama3.2', response: '', done: true } });
+
+      expect(await provider.preloadModel(null, { keepAlive: -1 })).toBe(true);
+      expect(await provider.unloadModel('gemma3')).toBe(true);
+
+      expect(axios.post.mock.calls[0].slice(0, 2)).toEqual(['http://localhost:11434/api/generate', { model: 'llama3.2', keep_alive: -1 }]);
+      expect(axios.post.mock.calls[1].slice(0, 2)).toEqual(['http://localhost:11434/api/generate', { model: 'gemma3', keep_alive: 0 }]);
+
+      axios.post.mockRejectedValue(Object.assign(new Error('Request failed with status code 404'), {
+        response: { status: 404, data: { error: 'model "nope" not found, try pulling it first' } }
+      }));
+      await expect(provider.preloadModel('nope')).rejects.toThrow('Failed to preload model: model "nope" not found');
+    });
+
+    test('should preload the model when warming up the client on request', async () => {
+      process.env.OLLAMA_KEEP_ALIVE = '3600';
+      axios.get.mockResolvedValue({ status: 200, data: { models: [] } });
+      axios.post.mockResolvedValue({ data: { done: true } });
+      try {
+        const client = new LLMClient({ provider: 'ollama' });
+
+        expect(await client.warmupCaches({ preload: true })).toBe(true);
+        expect(axios.post).toHaveBeenCalledWith('http://localhost:11434/api/generate', { model: 'llama3.2', keep_alive: 3600 }, expect.any(Object));
+
+        // Loading the model can take minutes, so plain warmups skip it
+        axios.post.mockClear();
+        await client.warmupCaches();
+        expect(axios.post).not.toHaveBeenCalled();
+      } finally {
+        delete process.env.OLLAMA_KEEP_ALIVE;
+      }
+    });
+  });
+
   // ============================================================================
   // ERROR HANDLING TESTS
   // ============================================================================
@@ -503,5 +825,14 @@ describe('OllamaProvider', () => {
 
       expect(result.content).toBe('');
     });
+
+    test('should give raw completions the configured timeout', async () => {
+      axios.post.mockResolvedValue({ data: { model: 'llama3.2', response: 'Hi', done: true } });
+      const timed = new OllamaProvider({ baseURL: 'http://localhost:11434', model: 'llama3.2', timeout: 30000 });
+
+      await timed.complete('Hello');
+
+      expect(axios.post).toHaveBeenCalledWith('http://localhost:11434/api/generate', expect.any(Object), { timeout: 30000 });
+    });
   });
 });
@@ -0,0 +1,108 @@
+const LLMClient = require('../src/llm-client');
+const BaseProvider = require('../src/providers/base-provider');
+const { getProvider } = require('../src/providers/registry');
+
+// A provider as a separate package would ship it
+class EchoProvider extends BaseProvider {
+  constructor (config, name) {
+    super(config, name, { providerType: 'sdk' });
+  }
+
+  async createMessage (params) {
+    const last = params.messages[params.messages.length - 1];
+    return { model: params.model, text: `${this.config.prefix}${last.content}` };
+  }
+
+  extractContentFromSDK (response) {
+    return response.text;
+  }
+
+  extractUsageFromSDK () {
+    return { input_tokens: 1, output_tokens: 1 };
+  }
+
+  extractFinishReason () {
+    return 'stop';
+  }
+}
+
+describe('Provider registry', () => {
+  beforeAll(() => {
+    LLMClient.registerProvider('echo', {
+      ProviderClass: EchoProvider,
+      configFromEnv: (env) => ({ model: 'echo-1', prefix: env.ECHO_PREFIX || 'echo: ' }),
+      validate: (config) => {
+        if (!config.prefix) {
+          throw new Error('Echo provider requires a prefix');
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.ECHO_PREFIX;
+  });
+
+  test('should register the built-in providers', () => {
+    expect(LLMClient.getRegisteredProviders()).toEqual(
+      expect.arrayContaining(['openai', 'groq', 'grok', 'anthropic', 'ollama', 'custom', 'echo'])
+    );
+    expect(getProvider('OpenAI').configFromEnv({ OPENAI_API_KEY: 'sk-test' })).toMatchObject({
+      apiKey: 'sk-test',
+      model: 'gpt-4',
+      defaultVisionModel: 'gpt-4-vision-preview'
+    });
+  });
+
+  test('should name JSON environment variables that fail to parse', () => {
+    const azure = { AZURE_OPENAI_ENDPOINT: 'https://example.openai.azure.com', AZURE_OPENAI_DEPLOYMENTS: '{"gpt-4o":"prod-gpt4o"}' };
+    expect(getProvider('azure').configFromEnv(azure).deployments).toEqual({ 'gpt-4o': 'prod-gpt4o' });
+    expect(() => getProvider('azure').configFromEnv({ ...azure, AZURE_OPENAI_DEPLOYMENTS: '{gpt-4o: prod-gpt4o}' }))
+      .toThrow(/^Invalid JSON in AZURE_OPENAI_DEPLOYMENTS: /);
+    expect(() => getProvider('gemini').configFromEnv({ GEMINI_SAFETY_SETTINGS: '[{"category":' }))
+      .toThrow(/^Invalid JSON in GEMINI_SAFETY_SETTINGS: /);
+  });
+
+  test('should create a registered provider with its environment configuration', async () => {
+    process.env.ECHO_PREFIX = '> ';
+    const client = new LLMClient({ provider: 'echo' });
+
+    const response = await client.chat('Hello');
+
+    expect(client.provider).toBeInstanceOf(EchoProvider);
+    expect(client.provider.name).toBe('echo');
+    expect(response.content).toBe('> Hello');
+    expect(response.model).toBe('echo-1');
+  });
+
+  test('should validate registered providers', () => {
+    process.env.ECHO_PREFIX = '';
+    LLMClient.registerProvider('strict-echo', {
+      ProviderClass: EchoProvider,
+      configFromEnv: () => ({ model: 'echo-1' }),
+      validate: () => { throw new Error('Echo provider requires a prefix'); }
+    });
+
+    expect(() => new LLMClient({ provider: 'strict-echo' })).toThrow('Echo provider requires a prefix');
+    expect(() => new LLMClient({ provider: 'unknown' })).toThrow('Unsupported provider: unknown');
+  });
+
+  test('should switch to and route through registered providers', async () => {
+    const client = new LLMClient({ provider: 'ollama' });
+    client.switchProvider('echo');
+    expect(client.provider.name).toBe('echo');
+
+    const routed = new LLMClient({ providers: [{ provider: 'echo', config: { prefix: 'routed: ' } }] });
+    const response = await routed.chat('Hello');
+    expect(response.content).toBe('routed: Hello');
+    expect(response.servedBy).toBe('echo');
+  });
+
+  test('should reject invalid registrations', () => {
+    expect(() => LLMClient.registerProvider('', { ProviderClass: EchoProvider })).toThrow('Provider name must be a non-empty string');
+    expect(() => LLMClient.registerProvider('plain', { ProviderClass: class {} }))
+      .toThrow('Provider plain must have a ProviderClass extending BaseProvider');
+    expect(() => LLMClient.registerProvider('plain', { ProviderClass: EchoProvider, configFromEnv: {} }))
+      .toThrow('Provider plain configFromEnv and validate must be functions');
+  });
+});
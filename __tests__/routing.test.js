@@ -0,0 +1,202 @@
+const LLMClient = require('../src/llm-client');
+const ProviderRouter = require('../src/routing/provider-router');
+const BaseProvider = require('../src/providers/base-provider');
+const { AllProvidersFailedError } = require('../src/errors');
+
+// Mock axios
+jest.mock('axios');
+const axios = require('axios');
+
+function httpError (message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+describe('Provider routing', () => {
+  let client;
+  let openai;
+  let anthropic;
+  let ollama;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    client = new LLMClient({
+      providers: [
+        { provider: 'openai', config: { apiKey: 'test-key', model: 'gpt-4' } },
+        { provider: 'anthropic', config: { apiKey: 'test-key', model: 'claude-3-haiku-20240307' } },
+        { provider: 'ollama', config: { baseURL: 'http://localhost:11434', model: 'llama3.2' } }
+      ],
+      strategy: 'fallback'
+    });
+
+    [openai, anthropic, ollama] = client.provider.members.map(member => member.provider);
+    ollama._retryDelay = 0;
+    openai.client.chat.completions.create = jest.fn();
+    anthropic.client.messages.create = jest.fn();
+  });
+
+  test('should create a router with one member per provider', () => {
+    expect(client.provider).toBeInstanceOf(ProviderRouter);
+    expect(client.provider.members.map(member => member.name)).toEqual(['openai', 'anthropic', 'ollama']);
+    expect(() => new LLMClient({ providers: [{ provider: 'ollama' }], strategy: 'random' }))
+      .toThrow('Unsupported routing strategy: random');
+  });
+
+  test('should fail over to the next provider on retryable errors', async () => {
+    openai.client.chat.completions.create.mockRejectedValue(httpError('Service unavailable', 503));
+    anthropic.client.messages.create.mockRejectedValue(Object.assign(new Error('Connection error.'), { cause: { code: 'ECONNREFUSED' } }));
+    axios.post.mockResolvedValue({
+      data: '{"model":"llama3.2","message":{"content":"Local answer"},"done":true,"prompt_eval_count":3,"eval_count":2}'
+    });
+
+    const response = await client.chat('Hello');
+
+    expect(response.content).toBe('Local answer');
+    expect(response.provider).toBe('ollama');
+    expect(response.servedBy).toBe('ollama');
+    expect(response.failover.map(attempt => attempt.provider)).toEqual(['openai', 'anthropic']);
+  });
+
+  test('should not fail over on non-retryable errors', async () => {
+    openai.client.chat.completions.create.mockRejectedValue(httpError('Invalid API key', 401));
+
+    await expect(client.chat('Hello')).rejects.toThrow('Invalid API key');
+    expect(anthropic.client.messages.create).not.toHaveBeenCalled();
+  });
+
+  test('should report every attempt when all providers fail', async () => {
+    openai.client.chat.completions.create.mockRejectedValue(httpError('Rate limited', 429));
+    anthropic.client.messages.create.mockRejectedValue(httpError('Overloaded', 500));
+    axios.post.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    const error = await client.provider.chat('Hello').catch(e => e);
+
+    expect(error).toBeInstanceOf(AllProvidersFailedError);
+    expect(error.attempts.map(attempt => attempt.provider)).toEqual(['openai', 'anthropic', 'ollama']);
+  });
+
+  test('should keep conversation history across providers', async () => {
+    openai.client.chat.completions.create
+      .mockResolvedValueOnce({ model: 'gpt-4', choices: [{ message: { content: 'Hi Alice' }, finish_reason: 'stop' }] })
+      .mockRejectedValueOnce(httpError('Service unavailable', 503));
+    anthropic.client.messages.create.mockResolvedValue({
+      model: 'claude-3-haiku-20240307',
+      content: [{ type: 'text', text: 'Your name is Alice' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 10, output_tokens: 5 }
+    });
+
+    await client.chat('My name is Alice', { useHistory: true });
+    const response = await client.chat('What is my name?', { useHistory: true });
+
+    expect(response.servedBy).toBe('anthropic');
+    const sent = anthropic.client.messages.create.mock.calls[0][0].messages;
+    expect(JSON.stringify(sent)).toContain('Hi Alice');
+    expect(client.getHistory()).toHaveLength(4);
+  });
+
+  test('should fail over when opening a stream fails', async () => {
+    async function * events () {
+      yield { model: 'claude-3-haiku-20240307', type: 'content_block_delta', delta: { type: 'text_delta', text: 'Streamed' } };
+    }
+    openai.client.chat.completions.create.mockRejectedValue(httpError('Bad gateway', 502));
+    anthropic.client.messages.create.mockResolvedValue(events());
+
+    const stream = await client.streamChat('Hello');
+    const response = await stream.finalResponse();
+
+    expect(stream.servedBy).toBe('anthropic');
+    expect(response.content).toBe('Streamed');
+  });
+
+  describe('Strategies', () => {
+    function member (name, options = {}) {
+      const provider = new BaseProvider({ model: name }, name);
+      provider.chat = jest.fn(async () => {
+        if (options.fail) {
+          throw Object.assign(new Error(`${name} down`), { code: 'ECONNREFUSED' });
+        }
+        return { content: name };
+      });
+      provider._performanceMetrics.averageResponseTime = options.latency || 0;
+      return { name, provider, weight: options.weight };
+    }
+
+    async function servedBy (router, count) {
+      const served = [];
+      for (let i = 0; i < count; i++) {
+        served.push((await router.chat('Hello')).servedBy);
+      }
+      return served;
+    }
+
+    test('should rotate members with round-robin', async () => {
+      const router = new ProviderRouter([member('a'), member('b'), member('c')], { strategy: 'round-robin' });
+
+      expect(await servedBy(router, 4)).toEqual(['a', 'b', 'c', 'a']);
+    });
+
+    test('should pick members in proportion to their weight', () => {
+      // Weights 1 and 3: a draw below 0.25 picks a, anything above picks b
+      const random = jest.fn()
+        .mockReturnValueOnce(0.1)
+        .mockReturnValue(0.9);
+      const router = new ProviderRouter([member('a', { weight: 1 }), member('b', { weight: 3 })], {
+        strategy: 'weighted',
+        random
+      });
+
+      expect(router.getCandidates().map(m => m.name)).toEqual(['a', 'b']);
+      expect(router.getCandidates().map(m => m.name)).toEqual(['b', 'a']);
+    });
+
+    test('should prefer the member with the fewest requests in flight', async () => {
+      const router = new ProviderRouter([member('a'), member('b')], { strategy: 'least-in-flight' });
+      router.members[0].inFlight = 2;
+
+      expect(await servedBy(router, 1)).toEqual(['b']);
+    });
+
+    test('should prefer the member with the lowest observed latency', async () => {
+      const router = new ProviderRouter([member('slow', { latency: 900 }), member('fast', { latency: 100 })], {
+        strategy: 'latency'
+      });
+
+      expect(await servedBy(router, 1)).toEqual(['fast']);
+    });
+
+    test('should take members out of rotation after consecutive failures', async () => {
+      const flaky = member('flaky', { fail: true });
+      const router = new ProviderRouter([flaky, member('steady')], { strategy: 'round-robin', unhealthyThreshold: 2 });
+
+      await servedBy(router, 4);
+
+      expect(flaky.provider._healthStatus.consecutiveFailures).toBe(2);
+      expect(router.getCandidates().map(m => m.name)).toEqual(['steady', 'flaky']);
+      expect(flaky.provider.chat).toHaveBeenCalledTimes(2);
+    });
+
+    test('should probe members that left the rotation and bring them back once they recover', async () => {
+      let now = 1000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const flaky = member('flaky', { fail: true });
+      const router = new ProviderRouter([flaky, member('steady')], { strategy: 'round-robin', recoveryMs: 30000 });
+
+      try {
+        await servedBy(router, 6);
+        expect(flaky.provider._healthStatus.consecutiveFailures).toBe(3);
+
+        flaky.provider.chat.mockResolvedValue({ content: 'flaky' });
+        expect(await servedBy(router, 2)).toEqual(['steady', 'steady']);
+        expect(flaky.provider.chat).toHaveBeenCalledTimes(3);
+
+        now += 30000;
+        expect(await servedBy(router, 4)).toEqual(['flaky', 'steady', 'flaky', 'steady']);
+        expect(flaky.provider._healthStatus.consecutiveFailures).toBe(0);
+        expect(router.isMemberHealthy(router.members[0])).toBe(true);
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const axios = require('axios');
+const LLMClient = require('../src/llm-client');
+const OpenAICompatibleProvider = require('../src/providers/openai-compatible-provider');
+const AnthropicProvider = require('../src/providers/anthropic-provider');
+const OllamaProvider = require('../src/providers/ollama-provider');
+const { UnsupportedCapabilityError } = require('../src/errors');
+
+describe('Sampling options', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function openAIProvider (config = {}) {
+    const provider = new OpenAICompatibleProvider({ apiKey: 'test-key', model: 'gpt-4o-mini', maxTokens: 100, ...config }, 'openai');
+    provider.client.chat.completions.create = jest.fn().mockResolvedValue({
+      model: 'gpt-4o-mini',
+      choices: [{ message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 5, completion_tokens: 1 }
+    });
+    return provider;
+  }
+
+  test('should pass every OpenAI sampling parameter through', async () => {
+    const provider = openAIProvider();
+
+    await provider.chat('Hello', {
+      topP: 0.9,
+      stop: ['\n'],
+      seed: 42,
+      presencePenalty: 0.5,
+      frequencyPenalty: 0.25,
+      logitBias: { 50256: -100 },
+      n: 2,
+      user: 'user-123',
+      metadata: { feature: 'search' }
+    });
+
+    expect(provider.client.chat.completions.create.mock.calls[0][0]).toMatchObject({
+      top_p: 0.9,
+      stop: ['\n'],
+      seed: 42,
+      presence_penalty: 0.5,
+      frequency_penalty: 0.25,
+      logit_bias: { 50256: -100 },
+      n: 2,
+      user: 'user-123',
+      metadata: { feature: 'search' }
+    });
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('should drop unsupported options with a single warning', async () => {
+    const provider = openAIProvider();
+
+    await provider.chat('Hello', { topK: 40, topP: 0.8 });
+    await provider.chat('Hello', { topK: 40 });
+
+    const params = provider.client.chat.completions.create.mock.calls[0][0];
+    expect(params).not.toHaveProperty('top_k');
+    expect(params.top_p).toBe(0.8);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith('openai does not support topK; ignoring');
+  });
+
+  test('should reject unsupported options in strict mode', async () => {
+    const provider = openAIProvider({ strictOptions: true });
+
+    await expect(provider.chat('Hello', { topK: 40, topP: 0.8 })).rejects.toBeInstanceOf(UnsupportedCapabilityError);
+    await expect(provider.chat('Hello', { topK: 40 })).rejects.toMatchObject({
+      provider: 'openai',
+      capability: 'samplingOptions',
+      options: ['topK']
+    });
+    expect(provider.client.chat.completions.create).not.toHaveBeenCalled();
+
+    // A request can opt out of the configured strict mode
+    await provider.chat('Hello', { topK: 40, strictOptions: false });
+    expect(provider.client.chat.completions.create).toHaveBeenCalledTimes(1);
+  });
+
+  test('should apply strictOptions from the client to its providers', () => {
+    process.env.OPENAI_API_KEY = 'test-key';
+    try {
+      const client = new LLMClient({ provider: 'openai', strictOptions: true });
+      expect(client.provider.config.strictOptions).toBe(true);
+    } finally {
+      delete process.env.OPENAI_API_KEY;
+    }
+  });
+
+  test('should map sampling options to Anthropic parameters', async () => {
+    const provider = new AnthropicProvider({ apiKey: 'test-key', model: 'claude-3-haiku-20240307', maxTokens: 256 });
+    provider.client.messages.create = jest.fn().mockResolvedValue({
+      model: 'claude-3-haiku-20240307',
+      content: [{ type: 'text', text: 'Hello' }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 12, output_tokens: 2 }
+    });
+
+    await provider.chat('Hi', { topP: 0.9, topK: 40, stop: 'END', user: 'user-123', seed: 1, presencePenalty: 0.5 });
+
+    const params = provider.client.messages.create.mock.calls[0][0];
+    expect(params).toMatchObject({
+      top_p: 0.9,
+      top_k: 40,
+      stop_sequences: ['END'],
+      metadata: { user_id: 'user-123' }
+    });
+    expect(params).not.toHaveProperty('seed');
+    expect(params).not.toHaveProperty('presence_penalty');
+    expect(warn).toHaveBeenCalledWith('anthropic does not support seed, presencePenalty; ignoring');
+  });
+
+  test('should send sampling options as Ollama model options', async () => {
+    const provider = new OllamaProvider({ baseURL: 'http://localhost:11434', model: 'llama3.2' });
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: JSON.stringify({ model: 'llama3.2', message: { role: 'assistant', content: 'Hi' }, done: true })
+    });
+
+    await provider.chat('Hello', { topK: 20, stop: '###', presencePenalty: 0.3, user: 'user-123' });
+
+    expect(axios.post.mock.calls[0][1].options).toMatchObject({ top_k: 20, stop: ['###'], presence_penalty: 0.3 });
+    expect(warn).toHaveBeenCalledWith('ollama does not support user; ignoring');
+  });
+});
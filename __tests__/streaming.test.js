@@ -0,0 +1,254 @@
+const { Readable } = require('stream');
+const OpenAICompatibleProvider = require('../src/providers/openai-compatible-provider');
+const AnthropicProvider = require('../src/providers/anthropic-provider');
+const OllamaProvider = require('../src/providers/ollama-provider');
+const StreamResponse = require('../src/providers/stream-response');
+
+// Mock axios
+jest.mock('axios');
+const axios = require('axios');
+
+async function * fromArray (items) {
+  for (const item of items) {
+    yield item;
+  }
+}
+
+async function collect (stream) {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+}
+
+describe('Streaming', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('StreamResponse.jsonLines', () => {
+    test('should reassemble lines split across chunks', async () => {
+      const readable = Readable.from([
+        Buffer.from('{"a":1}\n{"b"'),
+        Buffer.from(':2}\n\n{"c":3}')
+      ]);
+
+      const parsed = [];
+      for await (const item of StreamResponse.jsonLines(readable)) {
+        parsed.push(item);
+      }
+
+      expect(parsed).toEqual([{ a: 1 }, { b: 2 }, { c: 3 }]);
+    });
+
+    test('should parse server-sent events and skip the [DONE] marker', async () => {
+      const readable = Readable.from([Buffer.from(': ping\ndata: {"a":1}\n\ndata: [DONE]\n')]);
+
+      const parsed = [];
+      for await (const item of StreamResponse.jsonLines(readable)) {
+        parsed.push(item);
+      }
+
+      expect(parsed).toEqual([{ a: 1 }]);
+    });
+  });
+
+  describe('OllamaProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new OllamaProvider({
+        baseURL: 'http://localhost:11434',
+        model: 'llama3.2',
+        temperature: 0.7,
+        maxTokens: 4096
+      });
+
+      axios.post.mockResolvedValue({
+        data: Readable.from([
+          Buffer.from('{"model":"llama3.2","message":{"content":"Hel"},"done":false}\n'),
+          Buffer.from('{"model":"llama3.2","message":{"content":"lo"},"done":false}\n'),
+          Buffer.from('{"model":"llama3.2","message":{"content":""},"done":true,"done_reason":"stop","prompt_eval_count":5,"eval_count":2}\n')
+        ])
+      });
+    });
+
+    test('should yield normalized events when iterated', async () => {
+      const stream = await provider.streamChat('Hello', { topK: 40 });
+      const events = await collect(stream);
+
+      expect(events.map(event => event.type)).toEqual(['text', 'text', 'usage', 'done']);
+      expect(events[2].usage).toEqual({ input_tokens: 5, output_tokens: 2 });
+      expect(events[3].response.content).toBe('Hello');
+
+      const requestData = axios.post.mock.calls[0][1];
+      expect(requestData.stream).toBe(true);
+      expect(requestData.options.top_k).toBe(40);
+      expect(axios.post.mock.calls[0][2]).toEqual({
+        timeout: 5 * 60 * 1000,
+        responseType: 'stream',
+        signal: expect.any(AbortSignal)
+      });
+    });
+
+    test('should abort the underlying request when the stream is aborted', async () => {
+      const stream = await provider.streamChat('Hello');
+      const { signal } = axios.post.mock.calls[0][2];
+
+      expect(signal.aborted).toBe(false);
+      stream.abort();
+
+      expect(signal.aborted).toBe(true);
+      await expect(stream.finalResponse()).rejects.toMatchObject({ aborted: true });
+    });
+
+    test('should use the configured request timeout', async () => {
+      provider = new OllamaProvider({ baseURL: 'http://localhost:11434', model: 'llama3.2', timeout: 30000 });
+
+      await provider.streamChat('Hello');
+
+      expect(axios.post.mock.calls[0][2].timeout).toBe(30000);
+    });
+
+    test('should resolve finalResponse in the formatResponse shape', async () => {
+      const stream = await provider.streamChat('Hello');
+      const response = await stream.finalResponse();
+
+      expect(response).toMatchObject({
+        provider: 'ollama',
+        model: 'llama3.2',
+        content: 'Hello',
+        finishReason: 'stop',
+        toolCalls: []
+      });
+    });
+
+    test('should keep emitting legacy data and end events', async () => {
+      const stream = await provider.streamChat('Hello');
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+
+      const final = await new Promise(resolve => stream.on('end', resolve));
+
+      expect(chunks.filter(chunk => !chunk.done).map(chunk => chunk.content)).toEqual(['Hel', 'lo']);
+      expect(final.content).toBe('Hello');
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    test('should assemble tool call fragments from SDK chunks', async () => {
+      const provider = new OpenAICompatibleProvider({ apiKey: 'test-key', model: 'gpt-4' }, 'openai');
+      provider.client.chat.completions.create = jest.fn().mockResolvedValue(fromArray([
+        { model: 'gpt-4', choices: [{ delta: { content: 'Checking' } }] },
+        { model: 'gpt-4', choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'get_weather', arguments: '{"ci' } }] } }] },
+        { model: 'gpt-4', choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'ty":"Paris"}' } }] } }] },
+        { model: 'gpt-4', choices: [{ delta: {}, finish_reason: 'tool_calls' }] }
+      ]));
+
+      const stream = await provider.streamChat('Weather in Paris?');
+      const events = await collect(stream);
+
+      expect(events.map(event => event.type)).toEqual(['text', 'tool_call', 'done']);
+      expect(events[1].toolCall).toEqual({ id: 'call_1', name: 'get_weather', arguments: { city: 'Paris' } });
+      expect(events[2].response).toMatchObject({ content: 'Checking', finishReason: 'tool_calls' });
+    });
+  });
+
+  describe('AnthropicProvider', () => {
+    test('should normalize Anthropic stream events', async () => {
+      const provider = new AnthropicProvider({ apiKey: 'test-key', model: 'claude-3-sonnet-20240229', maxTokens: 1000 });
+      provider.client.messages.create = jest.fn().mockResolvedValue(fromArray([
+        { type: 'message_start', message: { model: 'claude-3-sonnet-20240229', usage: { input_tokens: 12 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'lookup' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"q":' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"x"}' } },
+        { type: 'content_block_stop', index: 1 },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 7 } },
+        { type: 'message_stop' }
+      ]));
+
+      const stream = await provider.streamChat('Hello');
+      const response = await stream.finalResponse();
+
+      expect(response).toMatchObject({
+        content: 'Hi',
+        finishReason: 'tool_use',
+        usage: { input_tokens: 12, output_tokens: 7 },
+        toolCalls: [{ id: 'toolu_1', name: 'lookup', arguments: { q: 'x' } }]
+      });
+    });
+  });
+
+  describe('Conversation history', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new OllamaProvider({ baseURL: 'http://localhost:11434', model: 'llama3.2' });
+    });
+
+    test('should record the streamed assistant reply when the stream completes', async () => {
+      axios.post.mockResolvedValue({
+        data: Readable.from([
+          Buffer.from('{"message":{"content":"Hi there"},"done":false}\n'),
+          Buffer.from('{"message":{"content":""},"done":true,"prompt_eval_count":3,"eval_count":2}\n')
+        ])
+      });
+
+      const stream = await provider.getStreamChat('Hello');
+      await stream.finalResponse();
+
+      const history = provider.getHistory();
+      expect(history.map(msg => msg.role)).toEqual(['user', 'assistant']);
+      expect(history[1].content).toEqual([{ type: 'text', text: 'Hi there' }]);
+      expect(history[1].usage).toEqual({ input_tokens: 3, output_tokens: 2, total_tokens: 5 });
+    });
+
+    test('should record partial replies from aborted streams as incomplete', async () => {
+      provider.streamChat = jest.fn(async () => {
+        const stream = provider.createStreamResponse(fromArray([{ message: { content: 'Par' } }]));
+        stream.on('text', () => stream.abort());
+        return stream;
+      });
+
+      const stream = await provider.getStreamChat('Hello');
+      await expect(stream.finalResponse()).rejects.toMatchObject({ aborted: true });
+
+      const last = provider.getHistory().pop();
+      expect(last).toMatchObject({ role: 'assistant', incomplete: true });
+      expect(last.content).toEqual([{ type: 'text', text: 'Par' }]);
+    });
+
+    test('should skip recording incomplete replies when asked', async () => {
+      provider.streamChat = jest.fn(async () => {
+        const stream = provider.createStreamResponse(fromArray([{ message: { content: 'Par' } }]));
+        stream.on('text', () => stream.abort());
+        return stream;
+      });
+
+      const stream = await provider.getStreamChat('Hello', { recordIncomplete: false });
+      await expect(stream.finalResponse()).rejects.toThrow('Stream aborted');
+
+      expect(provider.getHistory().map(msg => msg.role)).toEqual(['user']);
+      expect(provider.streamChat.mock.calls[0][1]).toEqual({});
+    });
+  });
+
+  describe('Abort', () => {
+    test('should reject finalResponse and stop iteration when aborted', async () => {
+      const provider = new OllamaProvider({ baseURL: 'http://localhost:11434', model: 'llama3.2' });
+      const onAbort = jest.fn();
+      const stream = provider.createStreamResponse(fromArray([{ message: { content: 'never' } }]), { onAbort });
+
+      stream.abort();
+
+      await expect(stream.finalResponse()).rejects.toMatchObject({ aborted: true });
+      await expect(collect(stream)).rejects.toThrow('Stream aborted');
+      expect(onAbort).toHaveBeenCalled();
+      expect(stream.aborted).toBe(true);
+    });
+  });
+});
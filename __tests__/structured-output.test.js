@@ -0,0 +1,145 @@
+const LLMClient = require('../src/llm-client');
+const Config = require('../src/config');
+const SchemaValidator = require('../src/utils/schema-validator');
+const OpenAICompatibleProvider = require('../src/providers/openai-compatible-provider');
+const AnthropicProvider = require('../src/providers/anthropic-provider');
+const OllamaProvider = require('../src/providers/ollama-provider');
+const { StructuredOutputError } = require('../src/errors');
+
+const personSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    age: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['name', 'age'],
+  additionalProperties: false
+};
+
+describe('Structured Output', () => {
+  describe('SchemaValidator', () => {
+    const validator = new SchemaValidator();
+
+    test('should accept valid values', () => {
+      expect(validator.validate({ name: 'Ada', age: 36, tags: ['math'] }, personSchema)).toEqual([]);
+    });
+
+    test('should report missing, mistyped and unexpected properties', () => {
+      const errors = validator.validate({ age: 3.5, tags: [1], extra: true }, personSchema);
+
+      expect(errors).toEqual([
+        '$: missing required property \'name\'',
+        '$.age: expected integer, got number',
+        '$.tags[0]: expected string, got number',
+        '$: unexpected property \'extra\''
+      ]);
+    });
+
+    test('should support enum, nullable types and anyOf', () => {
+      expect(validator.isValid('red', { enum: ['red', 'green'] })).toBe(true);
+      expect(validator.isValid(null, { type: ['string', 'null'] })).toBe(true);
+      expect(validator.isValid(5, { anyOf: [{ type: 'string' }, { type: 'number' }] })).toBe(true);
+      expect(validator.isValid(true, { anyOf: [{ type: 'string' }, { type: 'number' }] })).toBe(false);
+    });
+  });
+
+  describe('Native JSON modes', () => {
+    const responseFormat = { type: 'json_schema', name: 'person', schema: personSchema };
+
+    test('should use response_format for OpenAI-compatible providers', () => {
+      const provider = new OpenAICompatibleProvider({ apiKey: 'test-key', model: 'gpt-4' }, 'openai');
+
+      expect(provider.formatResponseFormatOptions({ responseFormat })).toEqual({
+        response_format: { type: 'json_schema', json_schema: { name: 'person', schema: personSchema } }
+      });
+      expect(provider.formatResponseFormatOptions({ responseFormat: { type: 'json' } })).toEqual({
+        response_format: { type: 'json_object' }
+      });
+    });
+
+    test('should use the format field for Ollama', () => {
+      const provider = new OllamaProvider({ baseURL: 'http://localhost:11434', model: 'llama3.2' });
+
+      expect(provider.formatResponseFormatOptions({ responseFormat })).toEqual({ format: personSchema });
+      expect(provider.formatRequestData('llama3.2', [], { responseFormat: { type: 'json' } }, false).format).toBe('json');
+    });
+
+    test('should force a tool call for Anthropic', () => {
+      const provider = new AnthropicProvider({ apiKey: 'test-key', model: 'claude-3-sonnet-20240229' });
+      const params = provider.formatResponseFormatOptions({ responseFormat });
+
+      expect(params.tools[0]).toMatchObject({ name: 'person', input_schema: personSchema });
+      expect(params.tool_choice).toEqual({ type: 'tool', name: 'person' });
+    });
+  });
+
+  describe('LLMClient.generateObject', () => {
+    let client;
+
+    beforeEach(() => {
+      jest.spyOn(Config.prototype, 'validate').mockReturnValue(true);
+      jest.spyOn(Config.prototype, 'getProviderConfig').mockReturnValue({
+        apiKey: 'test-key',
+        model: 'test-model'
+      });
+      jest.spyOn(LLMClient.prototype, 'initializeProvider').mockReturnValue({
+        name: 'openai',
+        chat: jest.fn()
+      });
+
+      client = new LLMClient();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should return the parsed object when it matches the schema', async () => {
+      client.provider.chat.mockResolvedValue({ content: '```json\n{"name":"Ada","age":36}\n```', toolCalls: [] });
+
+      const response = await client.generateObject('Describe Ada Lovelace', personSchema);
+
+      expect(response.object).toEqual({ name: 'Ada', age: 36 });
+      expect(response.attempts).toBe(1);
+      expect(client.provider.chat.mock.calls[0][1].responseFormat).toEqual({
+        type: 'json_schema',
+        name: 'structured_output',
+        schema: personSchema
+      });
+    });
+
+    test('should read the object from a forced tool call', async () => {
+      client.provider.chat.mockResolvedValue({
+        content: '',
+        toolCalls: [{ id: 'toolu_1', name: 'structured_output', arguments: { name: 'Ada', age: 36 } }]
+      });
+
+      const response = await client.generateObject('Describe Ada Lovelace', personSchema);
+
+      expect(response.object).toEqual({ name: 'Ada', age: 36 });
+    });
+
+    test('should re-prompt with validation errors', async () => {
+      client.provider.chat
+        .mockResolvedValueOnce({ content: '{"name":"Ada"}', toolCalls: [] })
+        .mockResolvedValueOnce({ content: '{"name":"Ada","age":36}', toolCalls: [] });
+
+      const response = await client.generateObject('Describe Ada Lovelace', personSchema);
+
+      expect(response.attempts).toBe(2);
+      const retryMessages = client.provider.chat.mock.calls[1][0];
+      expect(retryMessages[retryMessages.length - 1].content).toContain('missing required property \'age\'');
+    });
+
+    test('should throw a StructuredOutputError after exhausting retries', async () => {
+      client.provider.chat.mockResolvedValue({ content: 'not json', toolCalls: [] });
+
+      const promise = client.generateObject('Describe Ada Lovelace', personSchema, { maxRetries: 1 });
+
+      await expect(promise).rejects.toBeInstanceOf(StructuredOutputError);
+      await expect(promise).rejects.toMatchObject({ attempts: 2 });
+      expect(client.provider.chat).toHaveBeenCalledTimes(2);
+    });
+  });
+});
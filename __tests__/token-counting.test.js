@@ -0,0 +1,100 @@
+const LLMClient = require('../src/llm-client');
+const Config = require('../src/config');
+const OpenAICompatibleProvider = require('../src/providers/openai-compatible-provider');
+const AnthropicProvider = require('../src/providers/anthropic-provider');
+const { TokenCounter, getKnownContextLength } = require('../src/utils/token-counter');
+const { ContextLengthExceededError } = require('../src/errors');
+
+describe('Token counting', () => {
+  describe('TokenCounter', () => {
+    const counter = new TokenCounter();
+
+    test('should pick a tokenizer by model and provider', () => {
+      expect(counter.getTokenizer('gpt-4', 'openai').name).toBe('cl100k_base');
+      expect(counter.getTokenizer('gpt-4o-mini', 'openai').name).toBe('o200k_base');
+      expect(counter.getTokenizer('claude-3-sonnet-20240229', 'anthropic').name).toBe('claude-estimate');
+      expect(counter.getTokenizer('llama3.2', 'ollama').name).toBe('open-weights-estimate');
+      expect(counter.getTokenizer('unknown', 'custom').name).toBe('estimate');
+    });
+
+    test('should count OpenAI tokens with BPE', () => {
+      // 3 reply tokens + 3 per message + 2 for "hello world"
+      expect(counter.countMessages('hello world', { model: 'gpt-4' })).toBe(8);
+    });
+
+    test('should estimate Claude tokens from characters', () => {
+      const tokens = counter.countMessages([{ role: 'user', content: 'a'.repeat(35) }], { model: 'claude-3-haiku-20240307' });
+      expect(tokens).toBe(3 + 4 + 10);
+    });
+
+    test('should account for image parts', () => {
+      const message = (detail) => [{
+        role: 'user',
+        content: [{ type: 'image_url', image_url: { url: 'https://example.com/a.png', detail } }]
+      }];
+
+      expect(counter.countMessages(message('low'), { model: 'gpt-4o' })).toBe(3 + 3 + 85);
+      expect(counter.countMessages(message('high'), { model: 'gpt-4o' })).toBe(3 + 3 + 765);
+      expect(counter.countMessages(message(), { model: 'claude-3-opus-20240229' })).toBe(3 + 4 + 1600);
+    });
+
+    test('should prefer registered tokenizers', () => {
+      const custom = new TokenCounter().register(/^my-model/, { count: text => text.split(' ').length, messageOverhead: 0 });
+      expect(custom.countMessages('one two three', { model: 'my-model-v1' })).toBe(3 + 3);
+      expect(() => custom.register(/x/, {})).toThrow('Tokenizer must implement count(text)');
+    });
+
+    test('should know common context lengths', () => {
+      expect(getKnownContextLength('gpt-4')).toBe(8192);
+      expect(getKnownContextLength('gpt-4o-2024-08-06')).toBe(128000);
+      expect(getKnownContextLength('claude-3-5-sonnet-20240620')).toBe(200000);
+      expect(getKnownContextLength('llama3-70b-8192')).toBe(8192);
+      expect(getKnownContextLength('llama3.2')).toBeNull();
+    });
+  });
+
+  describe('Context length check', () => {
+    test('should fail fast before calling the API', async () => {
+      const provider = new OpenAICompatibleProvider({ apiKey: 'test-key', model: 'gpt-4', maxTokens: 4096 }, 'openai');
+      provider.client.chat.completions.create = jest.fn();
+
+      const promise = provider.sendChat('hello '.repeat(5000));
+
+      await expect(promise).rejects.toBeInstanceOf(ContextLengthExceededError);
+      await expect(promise).rejects.toMatchObject({ contextLength: 8192, maxTokens: 4096, model: 'gpt-4' });
+      expect(provider.client.chat.completions.create).not.toHaveBeenCalled();
+    });
+
+    test('should allow requests that fit', async () => {
+      const provider = new AnthropicProvider({ apiKey: 'test-key', model: 'claude-3-sonnet-20240229', maxTokens: 1000 });
+      provider.client.messages.create = jest.fn().mockResolvedValue({
+        model: 'claude-3-sonnet-20240229',
+        content: [{ type: 'text', text: 'Hi' }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 1, output_tokens: 1 }
+      });
+
+      await expect(provider.chat('hello')).resolves.toMatchObject({ content: 'Hi' });
+    });
+  });
+
+  describe('LLMClient', () => {
+    beforeEach(() => {
+      jest.spyOn(Config.prototype, 'validate').mockReturnValue(true);
+      jest.spyOn(Config.prototype, 'getProviderConfig').mockReturnValue({ apiKey: 'test-key', model: 'gpt-4' });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should count tokens and share registered tokenizers with the provider', () => {
+      const client = new LLMClient({ provider: 'openai' });
+
+      expect(client.countTokens('hello world')).toBe(8);
+
+      client.registerTokenizer(/^gpt-4$/, { count: () => 1, messageOverhead: 0 });
+      expect(client.countTokens('hello world')).toBe(4);
+    });
+  });
+});
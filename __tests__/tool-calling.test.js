@@ -0,0 +1,232 @@
+const OpenAICompatibleProvider = require('../src/providers/openai-compatible-provider');
+const AnthropicProvider = require('../src/providers/anthropic-provider');
+const OllamaProvider = require('../src/providers/ollama-provider');
+
+// Mock axios
+jest.mock('axios');
+const axios = require('axios');
+
+const weatherTool = {
+  name: 'get_weather',
+  description: 'Get the current weather for a city',
+  parameters: {
+    type: 'object',
+    properties: { city: { type: 'string' } },
+    required: ['city']
+  }
+};
+
+describe('Tool Calling', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new OpenAICompatibleProvider({
+        apiKey: 'test-key',
+        model: 'gpt-4',
+        temperature: 0.7,
+        maxTokens: 1000
+      }, 'openai', 'gpt-4-vision-preview');
+      provider.client.chat.completions.create = jest.fn().mockResolvedValue({
+        model: 'gpt-4',
+        choices: [{
+          message: {
+            content: null,
+            tool_calls: [{
+              id: 'call_1',
+              type: 'function',
+              function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+            }]
+          },
+          finish_reason: 'tool_calls'
+        }],
+        usage: { prompt_tokens: 10, completion_tokens: 5 }
+      });
+    });
+
+    test('should send tools in OpenAI function format', async () => {
+      await provider.chat('Weather in Paris?', { tools: [weatherTool], toolChoice: 'auto' });
+
+      const params = provider.client.chat.completions.create.mock.calls[0][0];
+      expect(params.tools).toEqual([{ type: 'function', function: weatherTool }]);
+      expect(params.tool_choice).toBe('auto');
+    });
+
+    test('should return normalized tool calls', async () => {
+      const response = await provider.chat('Weather in Paris?', { tools: [weatherTool] });
+
+      expect(response.content).toBe('');
+      expect(response.finishReason).toBe('tool_calls');
+      expect(response.toolCalls).toEqual([
+        { id: 'call_1', name: 'get_weather', arguments: { city: 'Paris' } }
+      ]);
+    });
+
+    test('should convert tool round-trip messages', () => {
+      const formatted = provider.formatMessages([
+        { role: 'user', content: 'Weather in Paris?' },
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'get_weather', arguments: { city: 'Paris' } }] },
+        { role: 'tool', toolCallId: 'call_1', name: 'get_weather', content: { temp: 21 } }
+      ]);
+
+      expect(formatted[1]).toEqual({
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+      });
+      expect(formatted[2]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '{"temp":21}' });
+    });
+
+    test('should not send tool parameters when no tools are given', async () => {
+      await provider.chat('Hello');
+
+      const params = provider.client.chat.completions.create.mock.calls[0][0];
+      expect(params).not.toHaveProperty('tools');
+    });
+  });
+
+  describe('AnthropicProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new AnthropicProvider({
+        apiKey: 'test-key',
+        model: 'claude-3-sonnet-20240229',
+        temperature: 0.7,
+        maxTokens: 1000
+      });
+      provider.client.messages.create = jest.fn().mockResolvedValue({
+        model: 'claude-3-sonnet-20240229',
+        content: [
+          { type: 'text', text: 'Let me check.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+        ],
+        usage: { input_tokens: 10, output_tokens: 5 },
+        stop_reason: 'tool_use'
+      });
+    });
+
+    test('should send tools with input_schema and typed tool_choice', async () => {
+      await provider.chat('Weather in Paris?', { tools: [weatherTool], toolChoice: { name: 'get_weather' } });
+
+      const params = provider.client.messages.create.mock.calls[0][0];
+      expect(params.tools).toEqual([{
+        name: 'get_weather',
+        description: 'Get the current weather for a city',
+        input_schema: weatherTool.parameters
+      }]);
+      expect(params.tool_choice).toEqual({ type: 'tool', name: 'get_weather' });
+    });
+
+    test('should return text and normalized tool calls', async () => {
+      const response = await provider.chat('Weather in Paris?', { tools: [weatherTool] });
+
+      expect(response.content).toBe('Let me check.');
+      expect(response.toolCalls).toEqual([
+        { id: 'toolu_1', name: 'get_weather', arguments: { city: 'Paris' } }
+      ]);
+    });
+
+    test('should merge consecutive tool results into one user turn', () => {
+      const formatted = provider.formatMessages([
+        { role: 'user', content: 'Weather in Paris and Rome?' },
+        {
+          role: 'assistant',
+          content: '',
+          toolCalls: [
+            { id: 'toolu_1', name: 'get_weather', arguments: { city: 'Paris' } },
+            { id: 'toolu_2', name: 'get_weather', arguments: { city: 'Rome' } }
+          ]
+        },
+        { role: 'tool', toolCallId: 'toolu_1', content: 'sunny' },
+        { role: 'tool', toolCallId: 'toolu_2', content: 'rainy' }
+      ]);
+
+      expect(formatted).toHaveLength(3);
+      expect(formatted[1].content.map(block => block.type)).toEqual(['tool_use', 'tool_use']);
+      expect(formatted[2]).toEqual({
+        role: 'user',
+        content: [
+          { type: 'tool_result', tool_use_id: 'toolu_1', content: 'sunny' },
+          { type: 'tool_result', tool_use_id: 'toolu_2', content: 'rainy' }
+        ]
+      });
+    });
+  });
+
+  describe('OllamaProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new OllamaProvider({
+        baseURL: 'http://localhost:11434',
+        model: 'llama3.2',
+        temperature: 0.7,
+        maxTokens: 4096
+      });
+    });
+
+    test('should send tools and return normalized tool calls', async () => {
+      axios.post.mockResolvedValue({
+        data: JSON.stringify({
+          model: 'llama3.2',
+          message: {
+            role: 'assistant',
+            content: '',
+            tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }]
+          },
+          done: true
+        })
+      });
+
+      const response = await provider.chat('Weather in Paris?', { tools: [weatherTool], toolChoice: 'auto' });
+
+      const requestData = axios.post.mock.calls[0][1];
+      expect(requestData.tools).toEqual([{ type: 'function', function: weatherTool }]);
+      expect(requestData).not.toHaveProperty('tool_choice');
+      expect(response.toolCalls).toHaveLength(1);
+      expect(response.toolCalls[0]).toMatchObject({ name: 'get_weather', arguments: { city: 'Paris' } });
+      expect(typeof response.toolCalls[0].id).toBe('string');
+    });
+
+    test('should collect tool calls from streamed chunks', async () => {
+      axios.post.mockResolvedValue({
+        data: '{"model":"llama3.2","message":{"role":"assistant","content":"","tool_calls":[{"function":{"name":"get_weather","arguments":{"city":"Rome"}}}]},"done":false}\n' +
+          '{"model":"llama3.2","message":{"role":"assistant","content":""},"done":true}'
+      });
+
+      const response = await provider.chat('Weather in Rome?', { tools: [weatherTool] });
+
+      expect(response.toolCalls).toHaveLength(1);
+      expect(response.toolCalls[0].arguments).toEqual({ city: 'Rome' });
+    });
+
+    test('should format tool results with the tool name', () => {
+      const formatted = provider.formatMessages([
+        { role: 'assistant', content: '', toolCalls: [{ id: '1', name: 'get_weather', arguments: { city: 'Paris' } }] },
+        { role: 'tool', toolCallId: '1', name: 'get_weather', content: 'sunny' }
+      ]);
+
+      expect(formatted[0].tool_calls).toEqual([{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }]);
+      expect(formatted[1]).toEqual({ role: 'tool', content: 'sunny', tool_name: 'get_weather' });
+    });
+  });
+
+  describe('Tool definition normalization', () => {
+    test('should accept OpenAI-style tool definitions', () => {
+      const provider = new OllamaProvider({ baseURL: 'http://localhost:11434', model: 'llama3.2' });
+
+      expect(provider.normalizeTools([{ type: 'function', function: weatherTool }])).toEqual([weatherTool]);
+    });
+
+    test('should reject tools without a name', () => {
+      const provider = new OllamaProvider({ baseURL: 'http://localhost:11434', model: 'llama3.2' });
+
+      expect(() => provider.normalizeTools([{ description: 'nameless' }])).toThrow('Tool definition is missing a name');
+    });
+  });
+});
@@ -148,40 +148,25 @@ async function demonstrateOllamaFeatures() {
       maxTokens: 200
     });
 
-    let streamedContent = '';
     let chunkCount = 0;
 
     console.log('   Streaming response:\n   ');
 
-    return new Promise((resolve) => {
-      stream.on('data', (chunk) => {
-        if (chunk.done) {
-          console.log(`\n   ✅ Stream complete!`);
-          console.log(`   Final content: ${chunk.final_content}`);
-          console.log(`   Total tokens: ${chunk.total_tokens}`);
-        } else {
-          process.stdout.write(chunk.content);
-          streamedContent += chunk.content;
-          chunkCount++;
-        }
-      });
-
-      stream.on('end', (final) => {
-        console.log(`\n   📊 Stream Summary:`);
+    // Every provider's stream yields the same normalized events
+    for await (const event of stream) {
+      if (event.type === 'text') {
+        process.stdout.write(event.text);
+        chunkCount++;
+      } else if (event.type === 'done') {
+        const final = event.response;
+        console.log('\n   📊 Stream Summary:');
         console.log(`   Chunks received: ${chunkCount}`);
-        console.log(`   Total content length: ${streamedContent.length} characters`);
+        console.log(`   Total content length: ${final.content.length} characters`);
         console.log(`   Model used: ${final.model}`);
         console.log(`   Input tokens: ${final.usage.input_tokens}`);
         console.log(`   Output tokens: ${final.usage.output_tokens}\n`);
-        resolve();
-      });
-
-      stream.on('error', (error) => {
-        console.log(`\n   ❌ Stream error: ${error.message}\n`);
-        resolve();
-      });
-    });
-
+      }
+    }
   } catch (error) {
     console.error('❌ Error during demo:', error.message);
     console.error(error.stack);
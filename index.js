@@ -1,8 +1,15 @@
 const LLMClient = require('./src/llm-client');
+const BaseProvider = require('./src/providers/base-provider');
+const errors = require('./src/errors');
 
 // Export the main client
 module.exports = LLMClient;
 
+// Named exports for destructuring and typed error checks
+module.exports.LLMClient = LLMClient;
+module.exports.BaseProvider = BaseProvider;
+Object.assign(module.exports, errors);
+
 // Example usage
 if (require.main === module) {
   (async () => {
@@ -0,0 +1,68 @@
+/**
+ * Error Types
+ *
+ * Typed errors for failures callers are expected to handle programmatically.
+ * Extra context is attached as properties, like the errors from handleError().
+ */
+
+class LLMError extends Error {
+  constructor (message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Thrown when generateObject() cannot get schema-valid output within its retries
+ * Details: validationErrors, attempts, response
+ */
+class StructuredOutputError extends LLMError {}
+
+/**
+ * Thrown before sending a request whose prompt plus maxTokens exceeds the model's context length
+ * Details: promptTokens, maxTokens, contextLength, model, provider
+ */
+class ContextLengthExceededError extends LLMError {}
+
+/**
+ * Thrown when run() reaches maxSteps while the model still requests tool calls
+ * Details: steps (the executed steps), maxSteps
+ */
+class ToolLoopLimitError extends LLMError {}
+
+/**
+ * Thrown before sending a request once the spend budget for the current period is used up
+ * Details: maxUSD, spentUSD, period
+ */
+class BudgetExceededError extends LLMError {}
+
+/**
+ * Thrown when every provider in a routed client failed with a retryable error
+ * Details: attempts ([{ provider, error }])
+ */
+class AllProvidersFailedError extends LLMError {}
+
+/**
+ * Thrown instead of sending a request while a provider's circuit breaker is open
+ * Details: provider, state, retryAfterMs
+ */
+class CircuitOpenError extends LLMError {}
+
+/**
+ * Thrown when a provider has no API for the requested capability, e.g. embeddings,
+ * or, with strictOptions, doesn't support a sampling option
+ * Details: provider, capability, options (unsupported option names, for capability 'samplingOptions')
+ */
+class UnsupportedCapabilityError extends LLMError {}
+
+module.exports = {
+  LLMError,
+  StructuredOutputError,
+  ToolLoopLimitError,
+  ContextLengthExceededError,
+  BudgetExceededError,
+  AllProvidersFailedError,
+  CircuitOpenError,
+  UnsupportedCapabilityError
+};
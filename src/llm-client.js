@@ -1,17 +1,43 @@
 const Config = require('./config');
-const OpenAICompatibleProvider = require('./providers/openai-compatible-provider');
-const AnthropicProvider = require('./providers/anthropic-provider');
-const OllamaProvider = require('./providers/ollama-provider');
+const { registerProvider, getProvider, listProviders } = require('./providers/registry');
+const ProviderRouter = require('./routing/provider-router');
+const SchemaValidator = require('./utils/schema-validator');
+const { TokenCounter } = require('./utils/token-counter');
+const CostTracker = require('./utils/cost-tracker');
+const { StructuredOutputError, ToolLoopLimitError } = require('./errors');
 
 class LLMClient {
   constructor (options = {}) {
     this.config = new Config();
 
+    // Named OpenAI-compatible endpoints, e.g. { lmstudio: { baseURL: 'http://localhost:1234/v1' } }
+    if (options.customProviders) {
+      this.config.customProviders = options.customProviders;
+    }
+
     // Override config with options if provided
     if (options.provider) {
       this.config.provider = options.provider;
     }
 
+    // Several providers behind one client, e.g. [{ provider: 'openai' }, { provider: 'ollama' }]
+    this._routing = null;
+    if (options.providers) {
+      this._routing = {
+        providers: options.providers,
+        strategy: options.strategy || 'fallback',
+        unhealthyThreshold: options.unhealthyThreshold,
+        recoveryMs: options.recoveryMs
+      };
+      this.config.provider = options.providers[0]?.provider || this.config.provider;
+    }
+
+    // Circuit breaker settings for every provider, e.g. { failureThreshold, cooldownMs }
+    this._circuitBreakerOptions = options.circuitBreaker || null;
+
+    // Reject sampling options a provider doesn't support instead of dropping them with a warning
+    this._strictOptions = Boolean(options.strictOptions);
+
     // Merge custom configuration options into the config
     if (options.config) {
       // Merge the custom config with the provider config
@@ -25,8 +51,20 @@ class LLMClient {
       this._mergedConfig = mergedConfig;
     }
 
-    // Validate configuration
-    this.config.validate();
+    // Validate configuration (routed providers are validated one by one)
+    if (!this._routing) {
+      this.config.validate();
+    }
+
+    // Registered tool handlers for run()
+    this._tools = new Map();
+
+    // Schema validation for generateObject()
+    this._schemaValidator = new SchemaValidator();
+
+    // Tokenizers and spend tracking shared by every provider this client creates
+    this._tokenCounter = new TokenCounter();
+    this._costTracker = new CostTracker();
 
     // Performance optimizations
     this._providerCache = new Map();
@@ -78,6 +116,10 @@ class LLMClient {
   }
 
   initializeProvider () {
+    if (this._routing) {
+      return this._createRouter();
+    }
+
     const providerConfig = this.config.getProviderConfig();
     const providerKey = `${this.config.provider}-${JSON.stringify(providerConfig)}`;
 
@@ -86,31 +128,7 @@ class LLMClient {
       return this._providerCache.get(providerKey);
     }
 
-    let provider;
-    switch (this.config.provider.toLowerCase()) {
-    case 'openai':
-      provider = new OpenAICompatibleProvider(providerConfig, 'openai', 'gpt-4-vision-preview');
-      break;
-
-    case 'anthropic':
-      provider = new AnthropicProvider(providerConfig);
-      break;
-
-    case 'ollama':
-      provider = new OllamaProvider(providerConfig);
-      break;
-
-    case 'groq':
-      provider = new OpenAICompatibleProvider(providerConfig, 'groq', null);
-      break;
-
-    case 'grok':
-      provider = new OpenAICompatibleProvider(providerConfig, 'grok', 'grok-vision');
-      break;
-
-    default:
-      throw new Error(`Unsupported provider: ${this.config.provider}`);
-    }
+    const provider = this.createProvider(this.config.provider, providerConfig);
 
     // Cache the provider instance
     this._providerCache.set(providerKey, provider);
@@ -124,6 +142,73 @@ class LLMClient {
     return provider;
   }
 
+  /**
+   * Create a provider instance sharing this client's tokenizers and spend tracking
+   * @param {string} providerName - Provider name such as 'openai' or 'ollama'
+   * @param {Object} providerConfig - Provider configuration
+   * @returns {BaseProvider} Provider instance
+   */
+  createProvider (providerName, providerConfig) {
+    if (this._circuitBreakerOptions) {
+      providerConfig = {
+        ...providerConfig,
+        circuitBreaker: { ...this._circuitBreakerOptions, ...providerConfig.circuitBreaker }
+      };
+    }
+
+    if (this._strictOptions && providerConfig.strictOptions === undefined) {
+      providerConfig = { ...providerConfig, strictOptions: true };
+    }
+
+    // Named custom endpoints are served by the 'custom' provider under their own name
+    const custom = this.config.isCustomProvider(providerName);
+    const definition = getProvider(custom ? 'custom' : providerName);
+    if (!definition) {
+      throw new Error(`Unsupported provider: ${providerName}`);
+    }
+
+    const provider = new definition.ProviderClass(providerConfig, custom ? providerName : providerName.toLowerCase());
+    provider.tokenCounter = this._tokenCounter;
+    provider.costTracker = this._costTracker;
+
+    return provider;
+  }
+
+  /**
+   * Create the router for the providers option
+   * Each entry is { provider, name?, config?, weight? }; config overrides the environment configuration
+   * @private
+   */
+  _createRouter () {
+    const names = new Set();
+    const members = this._routing.providers.map((entry, index) => {
+      const config = new Config();
+      config.provider = entry.provider;
+      config.customProviders = this.config.customProviders;
+      const providerConfig = { ...config.getProviderConfig(), ...entry.config };
+      config.validate(providerConfig);
+
+      // Several instances of one provider get numbered names, e.g. 'ollama-2'
+      const name = entry.name || (names.has(entry.provider) ? `${entry.provider}-${index + 1}` : entry.provider);
+      names.add(name);
+
+      return {
+        name,
+        provider: this.createProvider(entry.provider, providerConfig),
+        weight: entry.weight
+      };
+    });
+
+    const router = new ProviderRouter(members, {
+      strategy: this._routing.strategy,
+      unhealthyThreshold: this._routing.unhealthyThreshold,
+      recoveryMs: this._routing.recoveryMs
+    });
+    router.tokenCounter = this._tokenCounter;
+    router.costTracker = this._costTracker;
+    return router;
+  }
+
   // ============================================================================
   // CHAT METHODS - Using base provider's generic features with performance optimizations
   // ============================================================================
@@ -131,7 +216,7 @@ class LLMClient {
   /**
    * Send a chat message
    * @param {string|Array} messages - Message or array of messages
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options; useHistory: true sends the stored conversation
    * @returns {Promise<Object>} Response from LLM
    */
   async chat (messages, options = {}) {
@@ -148,6 +233,353 @@ class LLMClient {
     return this.provider.sendChat(message, options);
   }
 
+  // ============================================================================
+  // TOOL EXECUTION - Registry of JavaScript handlers and the automatic tool loop
+  // ============================================================================
+
+  /**
+   * Register a tool the model can call during run()
+   * @param {string} name - Tool name
+   * @param {Object} schema - JSON Schema for the arguments, or { description, parameters }
+   * @param {Function} handler - Async function receiving (args, { toolCall, step, client, signal }); signal aborts on timeout
+   * @param {Object} options - Tool options such as { timeout }
+   * @returns {LLMClient} The client, for chaining
+   */
+  registerTool (name, schema, handler, options = {}) {
+    if (!name) {
+      throw new Error('Tool name is required');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for tool '${name}' must be a function`);
+    }
+
+    // A bare JSON Schema has a type; otherwise expect { description, parameters }
+    const isJsonSchema = schema && schema.type !== undefined;
+    const definition = {
+      name,
+      description: schema?.description || '',
+      parameters: (isJsonSchema ? schema : schema?.parameters) || { type: 'object', properties: {} }
+    };
+
+    this._tools.set(name, {
+      definition,
+      handler,
+      timeout: options.timeout || null
+    });
+
+    return this;
+  }
+
+  /**
+   * Remove a registered tool
+   * @param {string} name - Tool name
+   * @returns {boolean} Whether a tool was removed
+   */
+  unregisterTool (name) {
+    return this._tools.delete(name);
+  }
+
+  /**
+   * Get the definitions of all registered tools
+   * @returns {Array} Tool definitions
+   */
+  getTools () {
+    return Array.from(this._tools.values()).map(tool => tool.definition);
+  }
+
+  /**
+   * Call the model, execute requested tools and feed results back until it answers
+   * @param {string|Array} messages - Message or array of messages
+   * @param {Object} options - Chat options plus maxSteps and toolTimeout
+   * @returns {Promise<Object>} Final response with the executed steps
+   * @throws {ToolLoopLimitError} When the model still calls tools after maxSteps
+   */
+  async run (messages, options = {}) {
+    const { maxSteps = 10, toolTimeout = 30000, ...chatOptions } = options;
+    const tools = this.getTools();
+    const conversation = typeof messages === 'string'
+      ? [{ role: 'user', content: messages }]
+      : [...messages];
+    const steps = [];
+
+    // Each input message is recorded with its own role
+    conversation.forEach(message => {
+      const { role, content, ...extra } = typeof message === 'string' ? { role: 'user', content: message } : message;
+      this.provider.addToHistory(role, content, extra);
+    });
+
+    for (let step = 1; step <= maxSteps; step++) {
+      const response = await this.provider.chat(conversation, { ...chatOptions, tools });
+
+      if (!response.toolCalls || response.toolCalls.length === 0) {
+        this.provider.addToHistory('assistant', response.content);
+        return { ...response, steps };
+      }
+
+      conversation.push({ role: 'assistant', content: response.content, toolCalls: response.toolCalls });
+      this.provider.addToHistory('assistant', response.content, { toolCalls: response.toolCalls });
+
+      const results = [];
+      for (const toolCall of response.toolCalls) {
+        const result = await this._executeTool(toolCall, { step, timeout: toolTimeout });
+        results.push(result);
+
+        conversation.push({
+          role: 'tool',
+          toolCallId: toolCall.id,
+          name: toolCall.name,
+          content: result.content,
+          isError: result.isError
+        });
+        this.provider.addToHistory('tool', this.provider.stringifyToolResult(result.content), {
+          toolCallId: toolCall.id,
+          name: toolCall.name,
+          isError: result.isError
+        });
+      }
+
+      steps.push({ step, content: response.content, toolCalls: response.toolCalls, results });
+    }
+
+    throw new ToolLoopLimitError(`Tool loop did not finish within ${maxSteps} steps`, { steps, maxSteps });
+  }
+
+  /**
+   * Execute one tool call, turning failures and timeouts into error results
+   * so the model can see what went wrong
+   * @private
+   */
+  async _executeTool (toolCall, { step, timeout }) {
+    const tool = this._tools.get(toolCall.name);
+    const startTime = Date.now();
+
+    if (!tool) {
+      return {
+        toolCallId: toolCall.id,
+        name: toolCall.name,
+        content: { error: `Unknown tool: ${toolCall.name}` },
+        isError: true,
+        duration: 0
+      };
+    }
+
+    const limit = tool.timeout || timeout;
+    // Aborted on timeout so long-running handlers can stop their work
+    const controller = new AbortController();
+    let timer;
+    try {
+      const content = await Promise.race([
+        Promise.resolve(tool.handler(toolCall.arguments, { toolCall, step, client: this, signal: controller.signal })),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => {
+            const error = new Error(`Tool '${toolCall.name}' timed out after ${limit}ms`);
+            controller.abort(error);
+            reject(error);
+          }, limit);
+        })
+      ]);
+
+      return {
+        toolCallId: toolCall.id,
+        name: toolCall.name,
+        content: content === undefined ? null : content,
+        isError: false,
+        duration: Date.now() - startTime
+      };
+    } catch (error) {
+      return {
+        toolCallId: toolCall.id,
+        name: toolCall.name,
+        content: { error: error.message },
+        isError: true,
+        duration: Date.now() - startTime
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // ============================================================================
+  // STRUCTURED OUTPUT - JSON generation validated against a JSON Schema
+  // ============================================================================
+
+  /**
+   * Generate a JSON object matching a schema, re-prompting with the
+   * validation errors when the model's output does not match
+   * @param {string|Array} prompt - Prompt or array of messages
+   * @param {Object} schema - JSON Schema the object must match
+   * @param {Object} options - Chat options plus maxRetries and name
+   * @returns {Promise<Object>} Response with the parsed object
+   */
+  async generateObject (prompt, schema, options = {}) {
+    const { maxRetries = 2, name = 'structured_output', ...chatOptions } = options;
+    const messages = [
+      {
+        role: 'system',
+        content: `Respond only with JSON that matches this JSON Schema:\n${JSON.stringify(schema)}`
+      },
+      ...(typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt)
+    ];
+
+    let response;
+    let validationErrors = [];
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+      response = await this.provider.chat(messages, {
+        ...chatOptions,
+        responseFormat: { type: 'json_schema', name, schema }
+      });
+
+      let object;
+      try {
+        object = this._extractStructuredOutput(response, name);
+        validationErrors = this._schemaValidator.validate(object, schema);
+      } catch (error) {
+        validationErrors = [`Response is not valid JSON: ${error.message}`];
+      }
+
+      if (validationErrors.length === 0) {
+        return { ...response, object, attempts: attempt };
+      }
+
+      messages.push(
+        { role: 'assistant', content: object !== undefined ? JSON.stringify(object) : response.content },
+        {
+          role: 'user',
+          content: `Your previous response did not match the schema:\n- ${validationErrors.join('\n- ')}\nRespond again with corrected JSON only.`
+        }
+      );
+    }
+
+    throw new StructuredOutputError(
+      `Failed to generate valid structured output after ${maxRetries + 1} attempts: ${validationErrors.join('; ')}`,
+      { validationErrors, attempts: maxRetries + 1, response }
+    );
+  }
+
+  /**
+   * Read the structured output from a forced tool call or from JSON content
+   * @private
+   */
+  _extractStructuredOutput (response, name) {
+    const toolCall = (response.toolCalls || []).find(call => call.name === name);
+    if (toolCall) {
+      return toolCall.arguments;
+    }
+
+    // Tolerate markdown code fences around the JSON
+    const text = (response.content || '').trim()
+      .replace(/^```(?:json)?\s*/i, '')
+      .replace(/\s*```$/, '');
+    return JSON.parse(text);
+  }
+
+  // ============================================================================
+  // COMPLETIONS - Raw prompts for base and code models
+  // ============================================================================
+
+  /**
+   * Continue a raw prompt without a chat template, e.g. for code completion
+   * @param {string} prompt - Text to continue
+   * @param {Object} options - { model, suffix (fill-in-the-middle), stop, maxTokens, temperature }
+   * @returns {Promise<Object>} Response from LLM
+   */
+  async complete (prompt, options = {}) {
+    return this.provider.complete(prompt, options);
+  }
+
+  /**
+   * Stream the continuation of a raw prompt
+   * @param {string} prompt - Text to continue
+   * @param {Object} options - Same as complete()
+   * @returns {Promise<StreamResponse>} Streaming response
+   */
+  async streamComplete (prompt, options = {}) {
+    return this.provider.streamComplete(prompt, options);
+  }
+
+  // ============================================================================
+  // EMBEDDINGS - Float vectors for search and clustering
+  // ============================================================================
+
+  /**
+   * Embed texts with the current provider
+   * @param {string|Array<string>} texts - Text or texts to embed
+   * @param {Object} options - { model, dimensions, inputType ('query' or 'document'), batchSize, cache }
+   * @returns {Promise<Object>} { embeddings, model, usage, provider, cached, cost }
+   */
+  async embed (texts, options = {}) {
+    return this.provider.embed(texts, options);
+  }
+
+  // ============================================================================
+  // TOKEN COUNTING - Local prompt-size estimation
+  // ============================================================================
+
+  /**
+   * Count the tokens messages would use with the current provider and model
+   * @param {string|Array} messages - Message or array of messages, including image parts
+   * @param {Object} options - Options such as { model }
+   * @returns {number} Token count
+   */
+  countTokens (messages, options = {}) {
+    return this.provider.countTokens(messages, options);
+  }
+
+  /**
+   * Use a custom tokenizer for matching models
+   * @param {RegExp|Function} matcher - Model name pattern or (model, provider) => boolean
+   * @param {Object} tokenizer - Object with count(text) and optionally imageTokens(part)
+   * @returns {LLMClient} The client, for chaining
+   */
+  registerTokenizer (matcher, tokenizer) {
+    this._tokenCounter.register(matcher, tokenizer);
+    return this;
+  }
+
+  // ============================================================================
+  // COST TRACKING - Spend per client, conversation and tag with budgets
+  // ============================================================================
+
+  /**
+   * Limit spend per period; requests are rejected with BudgetExceededError once it is used up
+   * @param {Object|null} budget - { maxUSD, period: 'day'|'week'|'month'|'total' }, or null to remove
+   * @returns {LLMClient} The client, for chaining
+   */
+  setBudget (budget) {
+    this._costTracker.setBudget(budget);
+    return this;
+  }
+
+  /**
+   * Override the price of a model
+   * @param {string} provider - Provider name
+   * @param {string|RegExp} model - Model name or pattern
+   * @param {Object} price - { input, output } in USD per million tokens
+   * @returns {LLMClient} The client, for chaining
+   */
+  setPricing (provider, model, price) {
+    this._costTracker.setPricing(provider, model, price);
+    return this;
+  }
+
+  /**
+   * Get accumulated spend in USD
+   * Requests are attributed with the conversationId and tags request options
+   * @param {Object} filter - Optional { conversationId } or { tag }
+   * @returns {number} Spend in USD
+   */
+  getSpend (filter = {}) {
+    return this._costTracker.getSpend(filter);
+  }
+
+  /**
+   * Get spend grouped by provider, model, conversation and tag, with budget status
+   * @returns {Object} Cost report
+   */
+  getCostReport () {
+    return this._costTracker.getReport();
+  }
+
   // ============================================================================
   // VISION METHODS - Using base provider's generic features
   // ============================================================================
@@ -306,6 +738,24 @@ class LLMClient {
   // PROVIDER MANAGEMENT WITH PERFORMANCE OPTIMIZATIONS
   // ============================================================================
 
+  /**
+   * Register a provider so it can be selected like the built-in ones
+   * ProviderClass extends BaseProvider and is constructed as new ProviderClass(config, name);
+   * configFromEnv(env) returns its configuration and validate(config, name) throws when it is unusable
+   * @param {string} name - Provider name for LLM_PROVIDER, the provider option and switchProvider()
+   * @param {Object} definition - { ProviderClass, configFromEnv, validate }
+   */
+  static registerProvider (name, definition) {
+    registerProvider(name, definition);
+  }
+
+  /**
+   * @returns {Array<string>} Names of the registered providers
+   */
+  static getRegisteredProviders () {
+    return listProviders();
+  }
+
   /**
    * Get current provider information
    * @returns {Object} Provider information
@@ -323,12 +773,15 @@ class LLMClient {
    * @param {string} provider - New provider name
    */
   switchProvider (provider) {
-    if (this.config.provider === provider) {
+    if (this.config.provider === provider && !this._routing) {
       return; // No need to switch if it's the same provider
     }
 
     this.config.provider = provider;
     this.config.validate();
+
+    // An explicit switch replaces any routed providers
+    this._routing = null;
     
     // Clear provider cache when switching
     this._providerCache.clear();
@@ -400,15 +853,103 @@ class LLMClient {
   /**
    * Switch to a different model for current provider
    * @param {string} modelName - Name of the model to switch to
+   * @param {Object} options - Provider-specific options, e.g. { pull: true } on Ollama
    * @returns {Promise<boolean>} Success status
    */
-  async switchModel (modelName) {
+  async switchModel (modelName, options) {
     if (this.provider.switchModel) {
-      return this.provider.switchModel(modelName);
+      return this.provider.switchModel(modelName, options);
     }
     throw new Error(`Provider ${this.provider.name} does not support model switching`);
   }
 
+  /**
+   * Download a model (Ollama)
+   * @param {string} modelName - Model to pull
+   * @param {Object} options - Provider-specific options
+   * @returns {Promise<ProgressStream>} Download progress
+   */
+  async pullModel (modelName, options = {}) {
+    if (this.provider.pullModel) {
+      return this.provider.pullModel(modelName, options);
+    }
+    throw new Error(`Provider ${this.provider.name} does not support pulling models`);
+  }
+
+  /**
+   * Create a model from a Modelfile (Ollama)
+   * @param {string} modelName - Name of the new model
+   * @param {string|Object} modelfile - Modelfile text or create fields
+   * @returns {Promise<ProgressStream>} Creation progress
+   */
+  async createModel (modelName, modelfile) {
+    if (this.provider.createModel) {
+      return this.provider.createModel(modelName, modelfile);
+    }
+    throw new Error(`Provider ${this.provider.name} does not support creating models`);
+  }
+
+  /**
+   * Copy a model under a new name (Ollama)
+   * @param {string} source - Existing model
+   * @param {string} destination - New name
+   * @returns {Promise<boolean>} Success status
+   */
+  async copyModel (source, destination) {
+    if (this.provider.copyModel) {
+      return this.provider.copyModel(source, destination);
+    }
+    throw new Error(`Provider ${this.provider.name} does not support copying models`);
+  }
+
+  /**
+   * Delete a local model (Ollama)
+   * @param {string} modelName - Model to delete
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteModel (modelName) {
+    if (this.provider.deleteModel) {
+      return this.provider.deleteModel(modelName);
+    }
+    throw new Error(`Provider ${this.provider.name} does not support deleting models`);
+  }
+
+  /**
+   * Load a model into memory ahead of the first request (Ollama)
+   * @param {string} modelName - Model to load, uses current if not specified
+   * @param {Object} options - { keepAlive } how long it stays loaded
+   * @returns {Promise<boolean>} Success status
+   */
+  async preloadModel (modelName = null, options = {}) {
+    if (this.provider.preloadModel) {
+      return this.provider.preloadModel(modelName, options);
+    }
+    throw new Error(`Provider ${this.provider.name} does not support preloading models`);
+  }
+
+  /**
+   * Unload a model to free its memory (Ollama)
+   * @param {string} modelName - Model to unload, uses current if not specified
+   * @returns {Promise<boolean>} Success status
+   */
+  async unloadModel (modelName = null) {
+    if (this.provider.unloadModel) {
+      return this.provider.unloadModel(modelName);
+    }
+    throw new Error(`Provider ${this.provider.name} does not support unloading models`);
+  }
+
+  /**
+   * List the models loaded in memory (Ollama)
+   * @returns {Promise<Array>} Running models
+   */
+  async listRunningModels () {
+    if (this.provider.listRunningModels) {
+      return this.provider.listRunningModels();
+    }
+    throw new Error(`Provider ${this.provider.name} does not support listing running models`);
+  }
+
   /**
    * Get information about the current model for current provider
    * @param {string} modelName - Optional model name, uses current if not specified
@@ -427,9 +968,12 @@ class LLMClient {
 
   /**
    * Warm up provider caches for better performance
+   * With { preload: true }, providers that can preload models (Ollama) also load the current model,
+   * which can take minutes for a large model
+   * @param {Object} options - { preload, keepAlive, timeout }; keepAlive sets how long the model stays loaded
    * @returns {Promise<boolean>} Success status
    */
-  async warmupCaches () {
+  async warmupCaches (options = {}) {
     try {
       // Warm up provider availability
       await this.isProviderAvailable();
@@ -443,6 +987,11 @@ class LLMClient {
       if (this.provider.prefetchModels) {
         await this.provider.prefetchModels();
       }
+
+      // Load the model so the first request doesn't pay for it
+      if (options.preload === true && this.provider.preloadModel) {
+        await this.provider.preloadModel(null, options);
+      }
       
       return true;
     } catch (error) {
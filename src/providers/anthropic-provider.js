@@ -1,6 +1,7 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const BaseProvider = require('./base-provider');
 const CacheMixin = require('./mixins/cache-mixin');
+const MessageFormattingMixin = require('./mixins/message-formatting-mixin');
 
 class AnthropicProvider extends BaseProvider {
   constructor (config) {
@@ -16,6 +17,9 @@ class AnthropicProvider extends BaseProvider {
 
     // Initialize cache mixin after super() call
     this._initializeCacheMixin();
+
+    // Standalone formatter so the mixin's own formatMessages() is used internally
+    this._messageFormatter = new MessageFormattingMixin();
   }
 
   /**
@@ -23,7 +27,7 @@ class AnthropicProvider extends BaseProvider {
    */
   _initializeCacheMixin() {
     // Initialize cache mixin for message caching
-    Object.assign(this, new CacheMixin({
+    this._applyMixin(new CacheMixin({
       defaultExpiry: 5 * 60 * 1000, // 5 minutes
       defaultMaxSize: 100,
       cleanupInterval: 2 * 60 * 1000 // 2 minutes
@@ -45,12 +49,24 @@ class AnthropicProvider extends BaseProvider {
   // IMPLEMENTATION OF ABSTRACT METHODS
   // ============================================================================
 
+  /**
+   * System messages from chat and vision requests go in the top-level system parameter
+   */
   async createMessage (params) {
-    return await this.client.messages.create(params);
+    const { system, messages } = this._messageFormatter.extractAnthropicSystem(params.messages);
+    return await this.client.messages.create({
+      ...params,
+      messages,
+      ...(system ? { system } : {})
+    });
   }
 
   extractContentFromSDK (response) {
-    return response.content[0].text;
+    // Responses can mix text and tool_use blocks
+    return response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
   }
 
   extractUsageFromSDK (response) {
@@ -64,18 +80,211 @@ class AnthropicProvider extends BaseProvider {
     return response.stop_reason;
   }
 
+  extractToolCallsFromSDK (response) {
+    return this.normalizeToolCalls(
+      response.content.filter(block => block.type === 'tool_use')
+    );
+  }
+
+  // ============================================================================
+  // ANTHROPIC-SPECIFIC STREAM PARSING
+  // ============================================================================
+
+  /**
+   * Convert Anthropic stream events into normalized events
+   * Tool input arrives as partial JSON and is emitted when its block stops
+   */
+  parseStreamChunk (event, state) {
+    const events = [];
+    state.blocks = state.blocks || {};
+
+    switch (event.type) {
+    case 'message_start':
+      state.model = event.message.model;
+      state.inputTokens = event.message.usage?.input_tokens || 0;
+      break;
+
+    case 'content_block_start':
+      if (event.content_block.type === 'tool_use') {
+        state.blocks[event.index] = { id: event.content_block.id, name: event.content_block.name, json: '' };
+      } else if (event.content_block.text) {
+        events.push({ type: 'text', text: event.content_block.text });
+      }
+      break;
+
+    case 'content_block_delta':
+      if (event.delta.type === 'text_delta') {
+        events.push({ type: 'text', text: event.delta.text });
+      } else if (event.delta.type === 'input_json_delta' && state.blocks[event.index]) {
+        state.blocks[event.index].json += event.delta.partial_json;
+      }
+      break;
+
+    case 'content_block_stop': {
+      const block = state.blocks[event.index];
+      if (block) {
+        delete state.blocks[event.index];
+        const [toolCall] = this.normalizeToolCalls([{ id: block.id, name: block.name, arguments: block.json }]);
+        events.push({ type: 'tool_call', toolCall });
+      }
+      break;
+    }
+
+    case 'message_delta':
+      if (event.delta?.stop_reason) {
+        state.finishReason = event.delta.stop_reason;
+      }
+      if (event.usage) {
+        events.push({
+          type: 'usage',
+          usage: {
+            input_tokens: state.inputTokens || 0,
+            output_tokens: event.usage.output_tokens
+          }
+        });
+      }
+      break;
+    }
+
+    return events;
+  }
+
+  // ============================================================================
+  // ANTHROPIC-SPECIFIC TOOL CALLING
+  // ============================================================================
+
+  /**
+   * Anthropic takes input_schema and a typed tool_choice object
+   */
+  formatToolOptions (options) {
+    const tools = this.normalizeTools(options.tools);
+    if (tools.length === 0 || options.toolChoice === 'none') {
+      return {};
+    }
+
+    const params = {
+      tools: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }))
+    };
+
+    if (options.toolChoice === 'auto') {
+      params.tool_choice = { type: 'auto' };
+    } else if (options.toolChoice === 'required') {
+      params.tool_choice = { type: 'any' };
+    } else if (options.toolChoice?.name) {
+      params.tool_choice = { type: 'tool', name: options.toolChoice.name };
+    }
+
+    return params;
+  }
+
+  /**
+   * Anthropic has no JSON mode, so a schema is enforced by forcing a single
+   * tool whose input is the structured output. Replaces any request tools.
+   */
+  formatResponseFormatOptions (options) {
+    const format = options.responseFormat;
+    if (!format || !format.schema) {
+      return {};
+    }
+
+    const name = format.name || 'structured_output';
+    return {
+      tools: [{
+        name,
+        description: 'Respond with structured output matching the input schema',
+        input_schema: format.schema
+      }],
+      tool_choice: { type: 'tool', name }
+    };
+  }
+
+  /**
+   * Anthropic samples with top_p and top_k, stops on stop_sequences and identifies
+   * end users through metadata.user_id
+   */
+  getSamplingParameters () {
+    return {
+      topP: 'top_p',
+      topK: 'top_k',
+      stop: value => ({ stop_sequences: [].concat(value) }),
+      metadata: 'metadata',
+      user: (value, params) => ({ metadata: { ...params.metadata, user_id: value } })
+    };
+  }
+
+  /**
+   * Convert neutral tool messages into tool_use / tool_result content blocks
+   * Consecutive tool results are merged into a single user turn
+   */
+  _formatToolMessagesForAnthropic (messages) {
+    if (!Array.isArray(messages)) {
+      return messages;
+    }
+
+    const result = [];
+    let toolResultTurn = null;
+    for (const message of messages) {
+      if (message.role === 'tool') {
+        const block = {
+          type: 'tool_result',
+          tool_use_id: message.toolCallId,
+          content: this.stringifyToolResult(message.content)
+        };
+        if (message.isError) {
+          block.is_error = true;
+        }
+
+        if (toolResultTurn) {
+          toolResultTurn.content.push(block);
+        } else {
+          toolResultTurn = { role: 'user', content: [block] };
+          result.push(toolResultTurn);
+        }
+        continue;
+      }
+
+      toolResultTurn = null;
+      if (message.role === 'assistant' && message.toolCalls) {
+        const content = message.content ? [{ type: 'text', text: message.content }] : [];
+        message.toolCalls.forEach(call => {
+          content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+        });
+        result.push({ role: 'assistant', content });
+      } else {
+        result.push(message);
+      }
+    }
+
+    return result;
+  }
+
   // ============================================================================
   // ANTHROPIC-SPECIFIC MESSAGE FORMATTING WITH PERFORMANCE OPTIMIZATIONS
   // ============================================================================
 
   formatMessages (messages) {
     // Use the message formatting mixin
-    return this.formatMessagesForAnthropic(messages);
+    return this._messageFormatter.formatMessagesForAnthropic(
+      this._formatToolMessagesForAnthropic(messages)
+    );
   }
 
   formatVisionMessages (messages) {
     // Use the message formatting mixin
-    return this.formatVisionMessagesForAnthropic(messages);
+    return this._messageFormatter.formatVisionMessagesForAnthropic(
+      this._formatToolMessagesForAnthropic(messages)
+    );
+  }
+
+  /**
+   * The formatter rejects requests with more messages than its limit
+   */
+  getMaxRequestMessages () {
+    return this._messageFormatter.getMaxMessages();
   }
 
   // ============================================================================
@@ -199,10 +408,10 @@ class AnthropicProvider extends BaseProvider {
   }
 
   /**
-   * Get cache statistics
+   * Get cache statistics, for one named cache or all of them
    */
-  getCacheStats () {
-    return this.getAllCacheStats();
+  getCacheStats (name) {
+    return name ? CacheMixin.prototype.getCacheStats.call(this, name) : this.getAllCacheStats();
   }
 }
 
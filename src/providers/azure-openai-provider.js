@@ -0,0 +1,113 @@
+// AzureOpenAI was added in openai 4.41.0, the lower bound in package.json
+const { AzureOpenAI } = require('openai');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+
+/**
+ * Azure OpenAI provider
+ *
+ * Azure serves models from deployments on a resource endpoint:
+ * - requests go to {endpoint}/openai/deployments/{deployment}/...?api-version=...
+ * - authentication uses an api-key header or an Azure AD bearer token
+ * - config.deployments maps model names to deployment names, e.g. { 'gpt-4o': 'prod-gpt4o' },
+ *   so callers keep using model names; unmapped names are used as deployment names
+ */
+class AzureOpenAIProvider extends OpenAICompatibleProvider {
+  constructor (config, providerName = 'azure') {
+    super(config, providerName, null);
+
+    this.deployments = { ...config.deployments };
+    this.client = new AzureOpenAI({
+      endpoint: config.endpoint,
+      apiVersion: config.apiVersion,
+      ...this._getCredentials(config),
+      timeout: 30000,
+      maxRetries: 3
+    });
+  }
+
+  /**
+   * An explicit token provider wins over a static token; otherwise the API key is used
+   * @private
+   */
+  _getCredentials (config) {
+    if (typeof config.azureADTokenProvider === 'function') {
+      return { azureADTokenProvider: config.azureADTokenProvider };
+    }
+    if (config.azureADToken) {
+      return { azureADTokenProvider: async () => config.azureADToken };
+    }
+    return { apiKey: config.apiKey };
+  }
+
+  /**
+   * Get the deployment serving a model
+   * @param {string} model - Model or deployment name
+   * @returns {string} Deployment name
+   */
+  resolveDeployment (model) {
+    return this.deployments[model] || model;
+  }
+
+  // ============================================================================
+  // IMPLEMENTATION OF ABSTRACT METHODS
+  // ============================================================================
+
+  async createMessage (params) {
+    return await this.client.chat.completions.create({
+      ...params,
+      model: this.resolveDeployment(params.model)
+    });
+  }
+
+  async createEmbeddings (texts, options) {
+    return super.createEmbeddings(texts, { ...options, model: this.resolveDeployment(options.model) });
+  }
+
+  async createCompletion (prompt, options) {
+    return super.createCompletion(prompt, { ...options, model: this.resolveDeployment(options.model || this.config.model) });
+  }
+
+  // ============================================================================
+  // AZURE-SPECIFIC MODEL MANAGEMENT
+  // ============================================================================
+
+  /**
+   * Deployments can't be listed with the data-plane API, so the configured ones are returned
+   */
+  async listSDKModels () {
+    const names = new Set([...Object.keys(this.deployments), this.config.model, this.defaultVisionModel].filter(Boolean));
+    return Array.from(names).map(name => this._formatDeployment(name));
+  }
+
+  async checkSDKAvailability () {
+    try {
+      await this.client.models.list();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async getModelInfo (modelName = null) {
+    const targetModel = modelName || this.config.model;
+    if (!targetModel) {
+      throw new Error('Failed to get model info: No model specified in configuration');
+    }
+    return this._formatDeployment(targetModel);
+  }
+
+  _formatDeployment (name) {
+    return {
+      id: name,
+      name,
+      deployment: this.resolveDeployment(name),
+      type: 'chat_completion',
+      context_length: null,
+      supports_vision: this.checkVisionSupport(name),
+      description: `${this.name} deployment: ${this.resolveDeployment(name)}`,
+      provider: this.name
+    };
+  }
+}
+
+module.exports = AzureOpenAIProvider;
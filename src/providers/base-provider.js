@@ -1,6 +1,11 @@
 const axios = require('axios');
 const ImageProcessingMixin = require('./mixins/image-processing-mixin');
 const MessageFormattingMixin = require('./mixins/message-formatting-mixin');
+const StreamResponse = require('./stream-response');
+const { TokenCounter, getKnownContextLength } = require('../utils/token-counter');
+const CostTracker = require('../utils/cost-tracker');
+const CircuitBreaker = require('../utils/circuit-breaker');
+const { LLMError, ContextLengthExceededError, CircuitOpenError, UnsupportedCapabilityError } = require('../errors');
 
 // HTTP client with connection pooling and retry logic
 const httpClient = axios.create({
@@ -19,6 +24,9 @@ const httpClient = axios.create({
   })
 });
 
+// Sampling options shared by every provider, in the order they are mapped
+const SAMPLING_OPTIONS = ['topP', 'topK', 'stop', 'seed', 'presencePenalty', 'frequencyPenalty', 'logitBias', 'n', 'metadata', 'user'];
+
 class BaseProvider {
   constructor (config, providerName, options = {}) {
     this.config = config;
@@ -41,6 +49,24 @@ class BaseProvider {
     
     // SDK-specific options
     this.client = options.client || null;
+
+    // Local token counting for prompt-size checks
+    this.tokenCounter = options.tokenCounter || new TokenCounter();
+    this._contextLengthCache = new Map();
+
+    // Spend and budget tracking
+    this.costTracker = options.costTracker || new CostTracker();
+
+    // Fail fast while the upstream keeps failing
+    this.circuitBreaker = new CircuitBreaker({
+      name: this.name,
+      ...config.circuitBreaker,
+      ...options.circuitBreaker
+    });
+
+    // Embeddings; providers without a default embedding model need options.model
+    this.embeddingModel = config.embeddingModel || options.embeddingModel || null;
+    this.embeddingBatchSize = config.embeddingBatchSize || options.embeddingBatchSize || 100;
     
     // Performance optimizations
     this._defaultOptions = null;
@@ -78,6 +104,25 @@ class BaseProvider {
     // This method can be overridden by subclasses
   }
 
+  /**
+   * Copy a mixin's methods and state onto this provider without
+   * overriding anything the provider already defines
+   * @param {Object} mixin - Mixin instance
+   */
+  _applyMixin (mixin) {
+    Object.getOwnPropertyNames(Object.getPrototypeOf(mixin)).forEach(key => {
+      if (key !== 'constructor' && !this[key]) {
+        this[key] = mixin[key].bind(this);
+      }
+    });
+
+    Object.keys(mixin).forEach(key => {
+      if (!this[key]) {
+        this[key] = mixin[key];
+      }
+    });
+  }
+
   // ============================================================================
   // GENERIC HEALTH MONITORING & AVAILABILITY
   // ============================================================================
@@ -136,6 +181,7 @@ class BaseProvider {
           consecutive_failures: this._healthStatus.consecutiveFailures,
           uptime_ms: Date.now() - this._healthStatus.uptime,
           last_check: this._healthStatus.lastCheck,
+          circuit: this.circuitBreaker.getStatus(),
           timestamp: new Date().toISOString()
         };
       }
@@ -156,6 +202,7 @@ class BaseProvider {
         uptime_ms: Date.now() - this._healthStatus.uptime,
         last_check: this._healthStatus.lastCheck,
         performance_metrics: this.getPerformanceMetrics(),
+        circuit: this.circuitBreaker.getStatus(),
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -166,6 +213,7 @@ class BaseProvider {
         consecutive_failures: this._healthStatus.consecutiveFailures,
         uptime_ms: Date.now() - this._healthStatus.uptime,
         last_check: this._healthStatus.lastCheck,
+        circuit: this.circuitBreaker.getStatus(),
         timestamp: new Date().toISOString()
       };
     }
@@ -570,12 +618,13 @@ class BaseProvider {
       const formattedMessages = this.formatMessages(messages);
       const mergedOptions = this.mergeOptions(this.getDefaultOptions(), options);
       const validOptions = this.validateOptions(mergedOptions);
+      this.assertWithinContextLength(messages, validOptions);
+      this.costTracker.assertWithinBudget();
 
-      if (this.providerType === 'http') {
-        return await this.httpChat(formattedMessages, validOptions, options);
-      } else {
-        return await this.sdkChat(formattedMessages, validOptions, options);
-      }
+      const response = await this.withCircuitBreaker(() => (this.providerType === 'http'
+        ? this.httpChat(formattedMessages, validOptions, options)
+        : this.sdkChat(formattedMessages, validOptions, options)));
+      return this.trackCost(response, options);
     } catch (error) {
       return this.handleError(error, 'chat');
     }
@@ -586,12 +635,13 @@ class BaseProvider {
       const formattedMessages = this.formatVisionMessages(messages);
       const mergedOptions = this.mergeOptions(this.getDefaultOptions(), options);
       const validOptions = this.validateOptions(mergedOptions);
+      this.assertWithinContextLength(messages, validOptions);
+      this.costTracker.assertWithinBudget();
 
-      if (this.providerType === 'http') {
-        return await this.httpVision(formattedMessages, validOptions, options);
-      } else {
-        return await this.sdkVision(formattedMessages, validOptions, options);
-      }
+      const response = await this.withCircuitBreaker(() => (this.providerType === 'http'
+        ? this.httpVision(formattedMessages, validOptions, options)
+        : this.sdkVision(formattedMessages, validOptions, options)));
+      return this.trackCost(response, options);
     } catch (error) {
       return this.handleError(error, 'vision');
     }
@@ -602,12 +652,14 @@ class BaseProvider {
       const formattedMessages = this.formatMessages(messages);
       const mergedOptions = this.mergeOptions(this.getDefaultOptions(), options);
       const validOptions = this.validateOptions(mergedOptions);
-
-      if (this.providerType === 'http') {
-        return await this.httpStreamChat(formattedMessages, validOptions, options);
-      } else {
-        return await this.sdkStreamChat(formattedMessages, validOptions, options);
-      }
+      this.assertWithinContextLength(messages, validOptions);
+      this.costTracker.assertWithinBudget();
+
+      const stream = await this.withCircuitBreaker(() => (this.providerType === 'http'
+        ? this.httpStreamChat(formattedMessages, validOptions, options)
+        : this.sdkStreamChat(formattedMessages, validOptions, options)));
+      stream.finalResponse().then(response => this.trackCost(response, options), () => {});
+      return stream;
     } catch (error) {
       return this.handleError(error, 'stream chat');
     }
@@ -618,14 +670,45 @@ class BaseProvider {
       const formattedMessages = this.formatVisionMessages(messages);
       const mergedOptions = this.mergeOptions(this.getDefaultOptions(), options);
       const validOptions = this.validateOptions(mergedOptions);
+      this.assertWithinContextLength(messages, validOptions);
+      this.costTracker.assertWithinBudget();
+
+      const stream = await this.withCircuitBreaker(() => (this.providerType === 'http'
+        ? this.httpStreamVision(formattedMessages, validOptions, options)
+        : this.sdkStreamVision(formattedMessages, validOptions, options)));
+      stream.finalResponse().then(response => this.trackCost(response, options), () => {});
+      return stream;
+    } catch (error) {
+      return this.handleError(error, 'stream vision');
+    }
+  }
 
-      if (this.providerType === 'http') {
-        return await this.httpStreamVision(formattedMessages, validOptions, options);
+  /**
+   * Run a request through the circuit breaker
+   * Retryable failures count towards opening the circuit; any other outcome means the upstream answered
+   * @param {Function} request - Async function performing the request
+   * @throws {CircuitOpenError} While the circuit is open
+   */
+  async withCircuitBreaker (request) {
+    if (!this.circuitBreaker.allowRequest()) {
+      const retryAfterMs = this.circuitBreaker.getRetryAfter();
+      throw new CircuitOpenError(
+        `${this.name} circuit is ${this.circuitBreaker.state}; failing fast (retry in ${Math.ceil(retryAfterMs / 1000)}s)`,
+        { provider: this.name, state: this.circuitBreaker.state, retryAfterMs }
+      );
+    }
+
+    try {
+      const result = await request();
+      this.circuitBreaker.recordSuccess();
+      return result;
+    } catch (error) {
+      if (this.isRetryableError(error)) {
+        this.circuitBreaker.recordFailure(error);
       } else {
-        return await this.sdkStreamVision(formattedMessages, validOptions, options);
+        this.circuitBreaker.recordSuccess();
       }
-    } catch (error) {
-      return this.handleError(error, 'stream vision');
+      throw error;
     }
   }
 
@@ -647,7 +730,8 @@ class BaseProvider {
       this.extractContent(response),
       response.model,
       this.extractUsage(response),
-      'stop'
+      'stop',
+      this.extractToolCalls(response)
     );
   }
 
@@ -665,7 +749,8 @@ class BaseProvider {
       this.extractContent(response),
       response.model,
       this.extractUsage(response),
-      'stop'
+      'stop',
+      this.extractToolCalls(response)
     );
   }
 
@@ -677,12 +762,16 @@ class BaseProvider {
       true
     );
 
-    const response = await this.makeRequestWithRetry(requestData, {
+    // makeRequest() already unwraps response.data, which is the byte stream here
+    const stream = await this.makeRequestWithRetry(requestData, {
       stream: true,
       responseType: 'stream'
     });
 
-    return response.data;
+    return this.createStreamResponse(StreamResponse.jsonLines(stream), {
+      model: requestData.model,
+      onAbort: () => stream.destroy()
+    });
   }
 
   async httpStreamVision (formattedMessages, validOptions, options) {
@@ -693,12 +782,16 @@ class BaseProvider {
       true
     );
 
-    const response = await this.makeRequestWithRetry(requestData, {
+    // makeRequest() already unwraps response.data, which is the byte stream here
+    const stream = await this.makeRequestWithRetry(requestData, {
       stream: true,
       responseType: 'stream'
     });
 
-    return response.data;
+    return this.createStreamResponse(StreamResponse.jsonLines(stream), {
+      model: requestData.model,
+      onAbort: () => stream.destroy()
+    });
   }
 
   // ============================================================================
@@ -711,14 +804,19 @@ class BaseProvider {
       messages: formattedMessages,
       temperature: validOptions.temperature,
       max_tokens: validOptions.maxTokens,
-      stream: false
+      stream: false,
+      ...this.formatToolOptions(validOptions),
+      ...this.formatSamplingOptions(validOptions),
+      ...this.formatResponseFormatOptions(validOptions),
+      ...this.formatProviderOptions(validOptions)
     });
 
     return this.formatResponse(
       this.extractContent(response),
       response.model,
       this.extractUsage(response),
-      this.extractFinishReason(response)
+      this.extractFinishReason(response),
+      this.extractToolCalls(response)
     );
   }
 
@@ -728,34 +826,311 @@ class BaseProvider {
       messages: formattedMessages,
       temperature: validOptions.temperature,
       max_tokens: validOptions.maxTokens,
-      stream: false
+      stream: false,
+      ...this.formatToolOptions(validOptions),
+      ...this.formatSamplingOptions(validOptions),
+      ...this.formatResponseFormatOptions(validOptions),
+      ...this.formatProviderOptions(validOptions)
     });
 
     return this.formatResponse(
       this.extractContent(response),
       response.model,
       this.extractUsage(response),
-      'stop'
+      'stop',
+      this.extractToolCalls(response)
     );
   }
 
   async sdkStreamChat (formattedMessages, validOptions, options) {
-    return await this.createMessage({
-      model: options.model || this.config.model,
+    const model = options.model || this.config.model;
+    const stream = await this.createMessage({
+      model,
       messages: formattedMessages,
       temperature: validOptions.temperature,
       max_tokens: validOptions.maxTokens,
-      stream: true
+      stream: true,
+      ...this.formatToolOptions(validOptions),
+      ...this.formatSamplingOptions(validOptions),
+      ...this.formatResponseFormatOptions(validOptions),
+      ...this.formatProviderOptions(validOptions)
     });
+
+    return this.createStreamResponse(stream, { model });
   }
 
   async sdkStreamVision (formattedMessages, validOptions, options) {
-    return await this.createMessage({
-      model: options.model || this.defaultVisionModel || this.config.model,
+    const model = options.model || this.defaultVisionModel || this.config.model;
+    const stream = await this.createMessage({
+      model,
       messages: formattedMessages,
       temperature: validOptions.temperature,
       max_tokens: validOptions.maxTokens,
-      stream: true
+      stream: true,
+      ...this.formatToolOptions(validOptions),
+      ...this.formatSamplingOptions(validOptions),
+      ...this.formatResponseFormatOptions(validOptions),
+      ...this.formatProviderOptions(validOptions)
+    });
+
+    return this.createStreamResponse(stream, { model });
+  }
+
+  // ============================================================================
+  // STREAM PARSING - Raw chunks to normalized StreamResponse events
+  // ============================================================================
+
+  /**
+   * Wrap a raw stream in a StreamResponse driven by this provider's parser
+   * @param {AsyncIterable} source - SDK stream or parsed JSON lines
+   * @param {Object} options - { model, onAbort }
+   * @returns {StreamResponse} Unified stream
+   */
+  createStreamResponse (source, options = {}) {
+    return new StreamResponse(source, {
+      provider: this,
+      model: options.model || this.config.model,
+      onAbort: options.onAbort
+    });
+  }
+
+  /**
+   * Convert one raw stream chunk into normalized events
+   * Handles Ollama NDJSON and OpenAI-style chunks (SSE or SDK)
+   * @param {Object} chunk - Parsed chunk
+   * @param {Object} state - Per-stream state for partial data
+   * @returns {Array} Events of type 'text', 'tool_call' or 'usage'
+   */
+  parseStreamChunk (chunk, state) {
+    const events = [];
+    if (chunk.model) {
+      state.model = chunk.model;
+    }
+
+    if (this.providerType === 'http' && this.responseFormat === 'ollama') {
+      const text = chunk.message?.content || chunk.response || '';
+      if (text) {
+        events.push({ type: 'text', text });
+      }
+      this.normalizeToolCalls(chunk.message?.tool_calls).forEach(toolCall => {
+        events.push({ type: 'tool_call', toolCall });
+      });
+      if (chunk.done) {
+        state.finishReason = chunk.done_reason || 'stop';
+        events.push({
+          type: 'usage',
+          usage: {
+            input_tokens: chunk.prompt_eval_count || 0,
+            output_tokens: chunk.eval_count || 0
+          }
+        });
+      }
+      return events;
+    }
+
+    const choice = chunk.choices?.[0];
+    if (choice?.delta?.content) {
+      events.push({ type: 'text', text: choice.delta.content });
+    }
+    // Raw completion chunks carry text instead of a delta
+    if (choice?.text) {
+      events.push({ type: 'text', text: choice.text });
+    }
+
+    // Tool calls arrive as fragments keyed by index
+    (choice?.delta?.tool_calls || []).forEach(delta => {
+      const index = delta.index ?? 0;
+      const partial = state.toolCalls[index] || (state.toolCalls[index] = { id: null, name: '', arguments: '' });
+      if (delta.id) partial.id = delta.id;
+      if (delta.function?.name) partial.name += delta.function.name;
+      if (delta.function?.arguments) partial.arguments += delta.function.arguments;
+    });
+
+    if (choice?.finish_reason) {
+      state.finishReason = choice.finish_reason;
+    }
+    if (chunk.usage) {
+      events.push({ type: 'usage', usage: this.normalizeUsage(chunk.usage) });
+    }
+
+    return events;
+  }
+
+  /**
+   * Emit whatever is still buffered when the stream ends
+   * @param {Object} state - Per-stream state
+   * @returns {Array} Remaining events
+   */
+  flushStreamState (state) {
+    const partials = state.toolCalls.filter(Boolean);
+    state.toolCalls = [];
+
+    return this.normalizeToolCalls(
+      partials.map(partial => ({ id: partial.id, function: { name: partial.name, arguments: partial.arguments } }))
+    ).map(toolCall => ({ type: 'tool_call', toolCall }));
+  }
+
+  // ============================================================================
+  // COMPLETIONS - Raw prompts for base and code models
+  // ============================================================================
+
+  /**
+   * Continue a raw prompt without applying a chat template
+   * @param {string} prompt - Text to continue
+   * @param {Object} options - { model, suffix (fill-in-the-middle), stop, maxTokens, temperature } plus provider-specific options
+   * @returns {Promise<Object>} Response in the formatResponse() shape
+   */
+  async complete (prompt, options = {}) {
+    try {
+      const validOptions = this._prepareCompletion(prompt, options);
+      const response = await this.withCircuitBreaker(() => this.createCompletion(prompt, { ...validOptions, stream: false }));
+      return this.trackCost(response, options);
+    } catch (error) {
+      return this.handleError(error, 'complete');
+    }
+  }
+
+  /**
+   * Stream the continuation of a raw prompt
+   * @param {string} prompt - Text to continue
+   * @param {Object} options - Same as complete()
+   * @returns {Promise<StreamResponse>} Unified stream
+   */
+  async streamComplete (prompt, options = {}) {
+    try {
+      const validOptions = this._prepareCompletion(prompt, options);
+      const stream = await this.withCircuitBreaker(() => this.createCompletion(prompt, { ...validOptions, stream: true }));
+      stream.finalResponse().then(response => this.trackCost(response, options), () => {});
+      return stream;
+    } catch (error) {
+      return this.handleError(error, 'stream complete');
+    }
+  }
+
+  /**
+   * Send a raw completion request
+   * Providers with a completion API override this
+   * @param {string} _prompt - Text to continue
+   * @param {Object} _options - Validated options; stream is true for streaming requests
+   * @returns {Promise<Object|StreamResponse>} Response in the formatResponse() shape, or a StreamResponse when streaming
+   */
+  async createCompletion (_prompt, _options) {
+    throw new UnsupportedCapabilityError(`${this.name} does not support raw completions`, {
+      provider: this.name,
+      capability: 'completions'
+    });
+  }
+
+  _prepareCompletion (prompt, options) {
+    if (typeof prompt !== 'string') {
+      throw new Error('Prompt must be a string');
+    }
+    if (this.createCompletion === BaseProvider.prototype.createCompletion) {
+      throw new UnsupportedCapabilityError(`${this.name} does not support raw completions`, {
+        provider: this.name,
+        capability: 'completions'
+      });
+    }
+
+    const validOptions = this.validateOptions(this.mergeOptions(this.getDefaultOptions(), options));
+    // The suffix is part of the input for fill-in-the-middle
+    this.assertWithinContextLength([{ role: 'user', content: prompt + (options.suffix || '') }], validOptions);
+    this.costTracker.assertWithinBudget();
+    return validOptions;
+  }
+
+  // ============================================================================
+  // EMBEDDINGS - Batched vector generation with caching of identical inputs
+  // ============================================================================
+
+  /**
+   * Embed texts as float vectors
+   * Inputs are deduplicated, cached ones are reused and the rest are sent in batches
+   * @param {string|Array<string>} texts - Text or texts to embed
+   * @param {Object} options - { model, dimensions, inputType ('query' or 'document'), batchSize, cache }
+   * @returns {Promise<Object>} { embeddings, model, usage, provider, cached, cost } with one vector per input
+   */
+  async embed (texts, options = {}) {
+    try {
+      const inputs = typeof texts === 'string' ? [texts] : texts;
+      if (!Array.isArray(inputs) || inputs.length === 0 || inputs.some(text => typeof text !== 'string')) {
+        throw new Error('Texts must be a string or a non-empty array of strings');
+      }
+      if (this.createEmbeddings === BaseProvider.prototype.createEmbeddings) {
+        throw new UnsupportedCapabilityError(`${this.name} does not support embeddings`, {
+          provider: this.name,
+          capability: 'embeddings'
+        });
+      }
+
+      const model = options.model || this.embeddingModel;
+      if (!model) {
+        throw new Error(`No embedding model configured for provider: ${this.name}`);
+      }
+      this.costTracker.assertWithinBudget();
+
+      // Providers without CacheMixin embed every input
+      const useCache = options.cache !== false && typeof this.createCache === 'function';
+      if (useCache && !this.getCacheObject('embeddings')) {
+        this.createCache('embeddings', { expiry: 60 * 60 * 1000, maxSize: 10000 });
+      }
+      const cacheKey = text => JSON.stringify([model, options.dimensions ?? null, options.inputType ?? null, text]);
+
+      const vectors = new Map();
+      const pending = [];
+      for (const text of new Set(inputs)) {
+        if (useCache && this.hasCache('embeddings', cacheKey(text))) {
+          vectors.set(text, this.getCache('embeddings', cacheKey(text)));
+        } else {
+          pending.push(text);
+        }
+      }
+      const cached = inputs.filter(text => vectors.has(text)).length;
+
+      const batchSize = options.batchSize || this.embeddingBatchSize;
+      const usage = { input_tokens: 0, output_tokens: 0 };
+      let responseModel = model;
+      for (let start = 0; start < pending.length; start += batchSize) {
+        const batch = pending.slice(start, start + batchSize);
+        const result = await this.withCircuitBreaker(() => this.createEmbeddings(batch, { ...options, model }));
+        if (result.embeddings.length !== batch.length) {
+          throw new Error(`Expected ${batch.length} embeddings but received ${result.embeddings.length}`);
+        }
+
+        batch.forEach((text, index) => {
+          const vector = Array.from(result.embeddings[index], Number);
+          vectors.set(text, vector);
+          if (useCache) {
+            this.setCache('embeddings', cacheKey(text), vector);
+          }
+        });
+        usage.input_tokens += result.usage?.input_tokens || 0;
+        responseModel = result.model || responseModel;
+      }
+
+      return this.trackCost({
+        embeddings: inputs.map(text => vectors.get(text)),
+        model: responseModel,
+        usage: this.normalizeUsage(usage),
+        provider: this.name,
+        cached
+      }, options);
+    } catch (error) {
+      return this.handleError(error, 'embed');
+    }
+  }
+
+  /**
+   * Send one batch of texts to the provider's embeddings API
+   * Providers with an embeddings API override this
+   * @param {Array<string>} _texts - At most embeddingBatchSize texts
+   * @param {Object} _options - Embed options with the resolved model
+   * @returns {Promise<Object>} { embeddings: Array<Array<number>>, model, usage: { input_tokens } }
+   */
+  async createEmbeddings (_texts, _options) {
+    throw new UnsupportedCapabilityError(`${this.name} does not support embeddings`, {
+      provider: this.name,
+      capability: 'embeddings'
     });
   }
 
@@ -782,62 +1157,131 @@ class BaseProvider {
     throw new Error('extractFinishReason method must be implemented by SDK-based subclass');
   }
 
+  extractToolCallsFromSDK (_response) {
+    // Optional - SDK-based subclasses with tool support override this
+    return [];
+  }
+
   // ============================================================================
   // HIGH-LEVEL INTERFACE - Automatic conversation tracking with memory optimization
   // ============================================================================
 
   /**
    * Send a chat message with automatic conversation tracking
+   * Pass useHistory: true to send the stored conversation as context
    */
   async sendChat (messages, options = {}) {
     try {
+      const { useHistory, ...chatOptions } = options;
+      const requestMessages = useHistory ? await this.withHistory(messages, options) : messages;
       this.addToHistory('user', messages);
-      const response = await this.chat(messages, options);
+      const response = await this.chat(requestMessages, chatOptions);
       this.addToHistory('assistant', response.content);
       return response;
     } catch (error) {
+      if (error instanceof LLMError) {
+        throw error;
+      }
       throw new Error(`Chat error: ${error.message}`);
     }
   }
 
   /**
    * Send a vision request with automatic conversation tracking
+   * Accepts the same useHistory option as sendChat()
    */
   async sendVision (messages, options = {}) {
     try {
+      const { useHistory, ...visionOptions } = options;
+      const requestMessages = useHistory ? await this.withHistory(messages, options) : messages;
       this.addToHistory('user', messages);
-      const response = await this.vision(messages, options);
+      const response = await this.vision(requestMessages, visionOptions);
       this.addToHistory('assistant', response.content);
       return response;
     } catch (error) {
+      if (error instanceof LLMError) {
+        throw error;
+      }
       throw new Error(`Vision error: ${error.message}`);
     }
   }
 
   /**
    * Get streaming chat response with conversation tracking
+   * The assistant reply is recorded once the stream completes.
+   * Pass recordIncomplete: false to skip recording when the stream is aborted or fails,
+   * and useHistory: true to send the stored conversation as context.
    */
   async getStreamChat (messages, options = {}) {
     try {
+      const { recordIncomplete = true, useHistory, ...streamOptions } = options;
+      const requestMessages = useHistory ? await this.withHistory(messages, options) : messages;
       this.addToHistory('user', messages);
-      return await this.streamChat(messages, options);
+      const stream = await this.streamChat(requestMessages, streamOptions);
+      return this._recordStreamToHistory(stream, recordIncomplete);
     } catch (error) {
+      if (error instanceof LLMError) {
+        throw error;
+      }
       throw new Error(`Stream chat error: ${error.message}`);
     }
   }
 
   /**
    * Get streaming vision response with conversation tracking
+   * Accepts the same recordIncomplete and useHistory options as getStreamChat()
    */
   async getStreamVision (messages, options = {}) {
     try {
+      const { recordIncomplete = true, useHistory, ...streamOptions } = options;
+      const requestMessages = useHistory ? await this.withHistory(messages, options) : messages;
       this.addToHistory('user', messages);
-      return await this.streamVision(messages, options);
+      const stream = await this.streamVision(requestMessages, streamOptions);
+      return this._recordStreamToHistory(stream, recordIncomplete);
     } catch (error) {
+      if (error instanceof LLMError) {
+        throw error;
+      }
       throw new Error(`Stream vision error: ${error.message}`);
     }
   }
 
+  /**
+   * Append the streamed assistant reply to history when the stream settles
+   * Partial replies from aborted or failed streams are flagged incomplete
+   * @param {StreamResponse} stream - Stream returned by streamChat()/streamVision()
+   * @param {boolean} recordIncomplete - Whether to record partial replies
+   * @returns {StreamResponse} The same stream
+   */
+  _recordStreamToHistory (stream, recordIncomplete) {
+    stream.finalResponse().then(
+      response => {
+        this.addToHistory('assistant', response.content, this._historyExtras(response.toolCalls, response.usage));
+      },
+      () => {
+        if (!recordIncomplete || (!stream.content && stream.toolCalls.length === 0)) {
+          return;
+        }
+        this.addToHistory('assistant', stream.content, {
+          ...this._historyExtras(stream.toolCalls, stream.usage),
+          incomplete: true
+        });
+      }
+    );
+    return stream;
+  }
+
+  _historyExtras (toolCalls = [], usage = {}) {
+    const extra = {};
+    if (toolCalls.length > 0) {
+      extra.toolCalls = toolCalls;
+    }
+    if (Object.keys(usage).length > 0) {
+      extra.usage = usage;
+    }
+    return extra;
+  }
+
   // ============================================================================
   // MESSAGE PROCESSING - Universal message formatting with performance optimizations
   // ============================================================================
@@ -862,6 +1306,9 @@ class BaseProvider {
         if (typeof msg === 'string') {
           return { role: 'user', content: msg };
         }
+        if (msg.role === 'tool' || msg.toolCalls) {
+          return this.formatToolMessage(msg);
+        }
         return msg;
       });
     }
@@ -1047,15 +1494,24 @@ class BaseProvider {
 
   /**
    * Check if error is retryable
+   * Errors wrapped by handleError() are checked through their originalError
    */
   isRetryableError (error) {
     const retryableStatuses = [408, 429, 500, 502, 503, 504];
     const retryableCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT'];
-    
+
+    if (error.originalError) {
+      return this.isRetryableError(error.originalError);
+    }
+
+    // SDK errors carry the status directly and the network error code in cause
+    const status = error.response?.status || error.status;
+    const code = error.code || error.cause?.code;
+
     return (
-      (error.response && retryableStatuses.includes(error.response.status)) ||
-      (error.code && retryableCodes.includes(error.code)) ||
-      error.message.includes('timeout')
+      retryableStatuses.includes(status) ||
+      retryableCodes.includes(code) ||
+      (error.message || '').includes('timeout')
     );
   }
 
@@ -1075,7 +1531,9 @@ class BaseProvider {
           temperature: options.temperature,
           num_predict: options.maxTokens,
           stream
-        }
+        },
+        ...this.formatToolOptions(options),
+        ...this.formatResponseFormatOptions(options)
       };
     } else {
       // OpenAI-compatible format
@@ -1084,7 +1542,10 @@ class BaseProvider {
         messages,
         temperature: options.temperature,
         max_tokens: options.maxTokens,
-        stream
+        stream,
+        ...this.formatSamplingOptions(options),
+        ...this.formatToolOptions(options),
+        ...this.formatResponseFormatOptions(options)
       };
     }
   }
@@ -1125,30 +1586,601 @@ class BaseProvider {
     }
   }
 
+  extractToolCalls (response) {
+    if (this.providerType === 'http') {
+      if (this.responseFormat === 'ollama') {
+        return this.normalizeToolCalls(response.message?.tool_calls);
+      } else {
+        return this.normalizeToolCalls(response.choices?.[0]?.message?.tool_calls);
+      }
+    } else {
+      // SDK-based providers implement their own extractToolCalls
+      return this.extractToolCallsFromSDK(response);
+    }
+  }
+
+  // ============================================================================
+  // TOOL CALLING - Provider-neutral tool definitions, calls and results
+  // ============================================================================
+
+  /**
+   * Normalize tool definitions to { name, description, parameters }
+   * Accepts the neutral shape or OpenAI's { type: 'function', function: {...} }
+   * @param {Array} tools - Tool definitions with JSON Schema parameters
+   * @returns {Array} Normalized tool definitions
+   */
+  normalizeTools (tools) {
+    if (!tools) {
+      return [];
+    }
+    if (!Array.isArray(tools)) {
+      throw new Error('Tools must be an array');
+    }
+
+    return tools.map(tool => {
+      const definition = tool.type === 'function' && tool.function ? tool.function : tool;
+      if (!definition.name) {
+        throw new Error('Tool definition is missing a name');
+      }
+
+      return {
+        name: definition.name,
+        description: definition.description || '',
+        parameters: definition.parameters || definition.input_schema || { type: 'object', properties: {} }
+      };
+    });
+  }
+
+  /**
+   * Translate the tools and toolChoice options into request parameters
+   * Defaults to the OpenAI wire format; providers override as needed
+   * @param {Object} options - Request options
+   * @returns {Object} Parameters to merge into the request
+   */
+  formatToolOptions (options) {
+    const tools = this.normalizeTools(options.tools);
+    if (tools.length === 0) {
+      return {};
+    }
+
+    const params = {
+      tools: tools.map(tool => ({ type: 'function', function: tool }))
+    };
+
+    if (options.toolChoice !== undefined) {
+      params.tool_choice = typeof options.toolChoice === 'string'
+        ? options.toolChoice
+        : { type: 'function', function: { name: options.toolChoice.name } };
+    }
+
+    return params;
+  }
+
+  /**
+   * Translate the responseFormat option into native JSON mode parameters
+   * responseFormat is { type: 'json' } or { type: 'json_schema', name, schema }
+   * Defaults to OpenAI's response_format; providers override as needed
+   * @param {Object} options - Request options
+   * @returns {Object} Parameters to merge into the request
+   */
+  formatResponseFormatOptions (options) {
+    const format = options.responseFormat;
+    if (!format) {
+      return {};
+    }
+
+    if (format.schema) {
+      return {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: format.name || 'structured_output', schema: format.schema }
+        }
+      };
+    }
+
+    return { response_format: { type: 'json_object' } };
+  }
+
+  /**
+   * Translate provider-specific request options into request parameters
+   * Returns nothing by default; providers override as needed
+   * @param {Object} options - Request options
+   * @returns {Object} Parameters to merge into the request
+   */
+  formatProviderOptions (_options) {
+    return {};
+  }
+
+  /**
+   * Request parameters for the sampling options this provider supports
+   * Each option maps to a parameter name, or to a function (value, params) returning
+   * parameters to merge; options left out are unsupported
+   * Defaults to OpenAI's chat completions parameters; providers override as needed
+   * @returns {Object} Option name to parameter name or function
+   */
+  getSamplingParameters () {
+    return {
+      topP: 'top_p',
+      stop: 'stop',
+      seed: 'seed',
+      presencePenalty: 'presence_penalty',
+      frequencyPenalty: 'frequency_penalty',
+      logitBias: 'logit_bias',
+      n: 'n',
+      metadata: 'metadata',
+      user: 'user'
+    };
+  }
+
+  /**
+   * Translate the sampling options (topP, topK, stop, seed, presencePenalty, frequencyPenalty,
+   * logitBias, n, metadata, user) into request parameters
+   * Unsupported options are dropped with a warning, or rejected when strictOptions is set
+   * @param {Object} options - Request options
+   * @returns {Object} Parameters to merge into the request
+   * @throws {UnsupportedCapabilityError} For unsupported options in strict mode
+   */
+  formatSamplingOptions (options) {
+    const parameters = this.getSamplingParameters();
+    const params = {};
+    const unsupported = [];
+
+    SAMPLING_OPTIONS.forEach(name => {
+      const value = options[name];
+      if (value === undefined || value === null) {
+        return;
+      }
+
+      const parameter = parameters[name];
+      if (!parameter) {
+        unsupported.push(name);
+      } else if (typeof parameter === 'function') {
+        Object.assign(params, parameter(value, params));
+      } else {
+        params[parameter] = value;
+      }
+    });
+
+    if (unsupported.length > 0) {
+      if (options.strictOptions ?? this.config.strictOptions) {
+        throw new UnsupportedCapabilityError(`${this.name} does not support ${unsupported.join(', ')}`, {
+          provider: this.name,
+          capability: 'samplingOptions',
+          options: unsupported
+        });
+      }
+
+      // Warn once per option rather than on every request
+      this._warnedOptions = this._warnedOptions || new Set();
+      const fresh = unsupported.filter(name => !this._warnedOptions.has(name));
+      fresh.forEach(name => this._warnedOptions.add(name));
+      if (fresh.length > 0) {
+        console.warn(`${this.name} does not support ${fresh.join(', ')}; ignoring`);
+      }
+    }
+
+    return params;
+  }
+
+  /**
+   * Convert a neutral tool message into the provider's message format
+   * Assistant turns carry toolCalls, results use role 'tool' with a toolCallId
+   * @param {Object} message - Neutral tool message
+   * @returns {Object} Provider message
+   */
+  formatToolMessage (message) {
+    if (message.role === 'tool') {
+      return {
+        role: 'tool',
+        tool_call_id: message.toolCallId,
+        content: this.stringifyToolResult(message.content)
+      };
+    }
+
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: JSON.stringify(call.arguments || {})
+        }
+      }))
+    };
+  }
+
+  /**
+   * Normalize provider tool calls to { id, name, arguments }
+   * @param {Array} toolCalls - Raw tool calls from the provider response
+   * @returns {Array} Normalized tool calls
+   */
+  normalizeToolCalls (toolCalls) {
+    if (!Array.isArray(toolCalls)) {
+      return [];
+    }
+
+    return toolCalls.map(call => {
+      const fn = call.function || call;
+      return {
+        id: call.id || this.generateId(),
+        name: fn.name,
+        arguments: this._parseToolArguments(fn.arguments ?? fn.input)
+      };
+    });
+  }
+
+  /**
+   * Serialize a tool result for providers that expect string content
+   */
+  stringifyToolResult (result) {
+    if (typeof result === 'string') {
+      return result;
+    }
+    return JSON.stringify(result ?? null);
+  }
+
+  /**
+   * Parse JSON-encoded tool arguments, keeping the raw string if it is malformed
+   * @private
+   */
+  _parseToolArguments (args) {
+    if (typeof args !== 'string') {
+      return args || {};
+    }
+    if (!args.trim()) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      return args;
+    }
+  }
+
+  // ============================================================================
+  // CONTEXT WINDOW - Token-aware history trimming and summarization
+  // ============================================================================
+
+  /**
+   * Get the context window size of a model
+   * Uses settings.contextLength, config.contextLength or a well-known length, otherwise getModelInfo()
+   * @param {string} modelName - Model name, defaults to the configured model
+   * @param {Object} settings - History settings that may override the context length
+   * @returns {Promise<number|null>} Context length in tokens, or null when unknown
+   */
+  async getContextLength (modelName = null, settings = {}) {
+    const model = modelName || this.config.model;
+    const known = settings.contextLength || this._getKnownContextLength(model);
+    if (known) {
+      return known;
+    }
+    if (this._contextLengthCache.has(model)) {
+      return this._contextLengthCache.get(model);
+    }
+
+    let contextLength = null;
+    try {
+      const info = await this.getModelInfo(model);
+      contextLength = info?.context_length || null;
+    } catch (error) {
+      // Unknown window - history is sent untrimmed
+    }
+
+    this._contextLengthCache.set(model, contextLength);
+    return contextLength;
+  }
+
+  /**
+   * Count the tokens messages will use with the provider's tokenizer
+   * @param {string|Array} messages - Message or array of messages
+   * @param {Object} options - Options such as { model }
+   * @returns {number} Token count
+   */
+  countTokens (messages, options = {}) {
+    return this.tokenCounter.countMessages(messages, {
+      model: options.model || this.config.model,
+      provider: this.name
+    });
+  }
+
+  /**
+   * Fail fast when the prompt plus maxTokens cannot fit the model's known context length
+   * @param {string|Array} messages - Messages about to be sent
+   * @param {Object} options - Validated request options
+   * @throws {ContextLengthExceededError} When the request is too large
+   */
+  assertWithinContextLength (messages, options = {}) {
+    const model = options.model || this.config.model;
+    const contextLength = this._getKnownContextLength(model);
+    if (!contextLength) {
+      return;
+    }
+
+    const promptTokens = this.countTokens(messages, { model });
+    const maxTokens = options.maxTokens || 0;
+    if (promptTokens + maxTokens > contextLength) {
+      throw new ContextLengthExceededError(
+        `Request needs ${promptTokens} prompt tokens plus ${maxTokens} for the reply, which exceeds the ${contextLength}-token context length of ${model}`,
+        { promptTokens, maxTokens, contextLength, model, provider: this.name }
+      );
+    }
+  }
+
+  /**
+   * Context length known without a request: configured, cached or well-known
+   * @private
+   */
+  _getKnownContextLength (model) {
+    return this.config.contextLength ||
+      this._contextLengthCache.get(model) ||
+      getKnownContextLength(model);
+  }
+
+  /**
+   * Resolve history settings from config.history and a per-call useHistory object
+   * @private
+   */
+  _getHistorySettings (useHistory) {
+    return {
+      strategy: 'sliding-window',
+      pinSystemMessages: true,
+      summarizeTurns: 4,
+      ...this.config.history,
+      ...(typeof useHistory === 'object' ? useHistory : {})
+    };
+  }
+
+  /**
+   * Most messages a single request may carry
+   * Unlimited by default; providers whose formatter caps the count override this
+   * @returns {number} Message limit
+   */
+  getMaxRequestMessages () {
+    return Infinity;
+  }
+
+  /**
+   * Group stored history into turns, each starting at a user entry
+   * @private
+   */
+  _getHistoryTurns () {
+    const turns = [];
+    for (const entry of this._conversationHistory) {
+      if (entry.role === 'user' || turns.length === 0) {
+        turns.push([]);
+      }
+      turns[turns.length - 1].push(entry);
+    }
+    return turns;
+  }
+
+  /**
+   * Drop the oldest turns until history and new messages fit the budget
+   * and the provider's limit on messages per request
+   * System messages and the rolling summary of dropped turns are kept when pinned
+   * @private
+   */
+  _fitHistoryToBudget (newMessages, budget, settings, options) {
+    const turns = this._getHistoryTurns().map(turn => turn.flatMap(entry => this._historyEntryToMessages(entry)));
+    const pinned = [];
+    const maxMessages = this.getMaxRequestMessages();
+    const messageCount = () => pinned.length + turns.reduce((count, turn) => count + turn.length, 0) + newMessages.length;
+    const totalTokens = () => this.countTokens([...pinned, ...turns.flat(), ...newMessages], options);
+
+    while (turns.length > 0 && (messageCount() > maxMessages || totalTokens() > budget)) {
+      const dropped = turns.shift();
+      if (settings.pinSystemMessages) {
+        pinned.push(...dropped.filter(message => message.role === 'system'));
+      }
+    }
+
+    return [...pinned, ...turns.flat(), ...newMessages];
+  }
+
+  /**
+   * Replace the oldest turns with a rolling summary written by the model
+   * Runs only when the history no longer fits the budget; the latest turn is never summarized
+   * @private
+   */
+  async _summarizeHistory (newMessages, budget, settings, options) {
+    if (this.countTokens([...this.getHistoryMessages(), ...newMessages], options) <= budget) {
+      return;
+    }
+
+    const turns = this._getHistoryTurns();
+    const summarized = turns.slice(0, Math.min(settings.summarizeTurns, turns.length - 1)).flat();
+    if (summarized.length === 0) {
+      return;
+    }
+
+    const previousSummary = summarized
+      .filter(entry => entry.summary)
+      .map(entry => entry.content.map(part => part.text).join(''))
+      .join('\n');
+    const messages = summarized
+      .filter(entry => !entry.summary)
+      .flatMap(entry => this._historyEntryToMessages(entry));
+    const systemMessages = settings.pinSystemMessages
+      ? messages.filter(message => message.role === 'system')
+      : [];
+    const transcript = messages
+      .filter(message => message.role !== 'system')
+      .map(message => {
+        const text = typeof message.content === 'string'
+          ? message.content
+          : (message.content || []).map(part => part.text || '').join('');
+        return `${message.role}: ${text}`;
+      })
+      .join('\n');
+
+    const response = await this.chat([
+      {
+        role: 'system',
+        content: 'Summarize the conversation below in a few sentences. Keep names, facts, decisions and open questions the assistant will need later.'
+      },
+      {
+        role: 'user',
+        content: `${previousSummary ? `Earlier summary:\n${previousSummary}\n\n` : ''}Conversation:\n${transcript}`
+      }
+    ], { model: options.model, maxTokens: settings.summaryMaxTokens || 512 });
+
+    const timestamp = new Date().toISOString();
+    const replacement = [
+      ...systemMessages.map(message => ({
+        role: 'system',
+        content: typeof message.content === 'string' ? [{ type: 'text', text: message.content }] : message.content,
+        timestamp
+      })),
+      {
+        role: 'system',
+        content: [{ type: 'text', text: `Summary of the earlier conversation: ${response.content}` }],
+        summary: true,
+        timestamp
+      }
+    ];
+
+    this._conversationHistory.splice(0, summarized.length, ...replacement);
+    this._historySize = this._conversationHistory.length;
+  }
+
   // ============================================================================
   // CONVERSATION MANAGEMENT - Built-in conversation tracking with memory optimization
   // ============================================================================
 
   /**
    * Add message to conversation history with size management
+   * @param {string} role - Message role
+   * @param {string|Array} content - Message content
+   * @param {Object} extra - Additional fields to store, e.g. toolCalls or toolCallId
    */
-  addToHistory (role, content) {
+  addToHistory (role, content, extra = {}) {
     // Check if we need to trim history
     if (this._historySize >= this._maxHistorySize) {
       // Remove oldest messages (first 20% of history)
-      const removeCount = Math.floor(this._maxHistorySize * 0.2);
-      this._conversationHistory.splice(0, removeCount);
-      this._historySize -= removeCount;
+      this._trimHistory(Math.floor(this._maxHistorySize * 0.2));
     }
 
     this._conversationHistory.push({
       role,
       content: Array.isArray(content) ? content : [{ type: 'text', text: content }],
+      ...extra,
       timestamp: new Date().toISOString()
     });
     this._historySize++;
   }
 
+  /**
+   * Remove at least removeCount of the oldest stored entries, up to the next turn
+   * The rolling summary always stays, and so do system messages unless history.pinSystemMessages
+   * is false; system messages inside removed message-array entries are kept as entries of their own
+   * @param {number} removeCount - Minimum entries to remove
+   * @private
+   */
+  _trimHistory (removeCount) {
+    const { pinSystemMessages } = this._getHistorySettings();
+    const kept = [];
+    let removed = 0;
+    let trimming = true;
+
+    for (const entry of this._conversationHistory) {
+      // Stop at a turn boundary so no reply or tool result loses the message it answers
+      if (trimming && removed >= removeCount && entry.role === 'user') {
+        trimming = false;
+      }
+      if (!trimming || entry.summary || (pinSystemMessages && entry.role === 'system')) {
+        kept.push(entry);
+        continue;
+      }
+
+      removed++;
+      if (pinSystemMessages && entry.role !== 'system') {
+        this._historyEntryToMessages(entry)
+          .filter(message => message.role === 'system')
+          .forEach(message => kept.push({
+            role: 'system',
+            content: typeof message.content === 'string' ? [{ type: 'text', text: message.content }] : message.content,
+            timestamp: entry.timestamp
+          }));
+      }
+    }
+
+    this._conversationHistory = kept;
+    this._historySize = kept.length;
+  }
+
+  /**
+   * Convert stored history back into request messages
+   * Text-only content arrays become strings; tool calls and results keep their neutral fields
+   * @returns {Array} Messages ready for chat()/vision()
+   */
+  getHistoryMessages () {
+    return this._conversationHistory.flatMap(entry => this._historyEntryToMessages(entry));
+  }
+
+  /**
+   * Build a request from the stored conversation followed by new messages,
+   * fitted to the model's context window
+   * @param {string|Array} messages - New message or messages for this turn
+   * @param {Object} options - Request options; options.useHistory may hold history settings
+   * @returns {Promise<Array>} History messages plus the new ones
+   */
+  async withHistory (messages, options = {}) {
+    const newMessages = typeof messages === 'string'
+      ? [{ role: 'user', content: messages }]
+      : messages;
+    const settings = this._getHistorySettings(options.useHistory);
+
+    // Without a token budget, history is only cut to the provider's message limit
+    if (settings.strategy === 'none') {
+      return this._fitHistoryToBudget(newMessages, Infinity, settings, options);
+    }
+
+    const contextLength = await this.getContextLength(options.model, settings);
+    if (!contextLength) {
+      return this._fitHistoryToBudget(newMessages, Infinity, settings, options);
+    }
+
+    // Leave room for the reply
+    const budget = contextLength - (options.maxTokens || this.config.maxTokens || 0);
+
+    if (settings.strategy === 'summarize') {
+      await this._summarizeHistory(newMessages, budget, settings, options);
+    }
+
+    return this._fitHistoryToBudget(newMessages, budget, settings, options);
+  }
+
+  _historyEntryToMessages (entry) {
+    const content = entry.content || [];
+
+    // Entries recorded from message arrays hold the original messages
+    if (content.some(part => typeof part === 'string' || part?.role)) {
+      return content.map(message => typeof message === 'string' ? { role: 'user', content: message } : message);
+    }
+
+    const isTextOnly = content.every(part => part.type === 'text');
+    const message = {
+      role: entry.role,
+      content: isTextOnly ? content.map(part => part.text).join('') : content
+    };
+
+    if (entry.toolCalls) {
+      message.toolCalls = entry.toolCalls;
+    }
+    if (entry.role === 'tool') {
+      message.toolCallId = entry.toolCallId;
+      message.name = entry.name;
+      if (entry.isError) {
+        message.isError = true;
+      }
+    }
+
+    return [message];
+  }
+
   /**
    * Get conversation history
    */
@@ -1285,21 +2317,59 @@ class BaseProvider {
   /**
    * Format response consistently across providers
    */
-  formatResponse (content, model, usage = {}, finishReason = 'stop') {
+  formatResponse (content, model, usage = {}, finishReason = 'stop', toolCalls = []) {
     return {
       provider: this.name,
       model: model || this.config.model,
       content,
-      usage,
+      usage: this.normalizeUsage(usage),
       finishReason,
+      toolCalls,
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Normalize usage from any provider to input_tokens, output_tokens and total_tokens
+   * @param {Object} usage - Raw usage (prompt_tokens/completion_tokens or input_tokens/output_tokens)
+   * @returns {Object} Normalized usage
+   */
+  normalizeUsage (usage = {}) {
+    const inputTokens = usage?.input_tokens ?? usage?.prompt_tokens ?? 0;
+    const outputTokens = usage?.output_tokens ?? usage?.completion_tokens ?? 0;
+    return {
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      total_tokens: usage?.total_tokens ?? inputTokens + outputTokens
+    };
+  }
+
+  /**
+   * Record the cost of a response and attach it as response.cost (USD, null when unpriced)
+   * @param {Object} response - Formatted response
+   * @param {Object} options - Request options with optional conversationId and tags
+   * @returns {Object} The same response
+   */
+  trackCost (response, options = {}) {
+    response.cost = this.costTracker.record({
+      provider: this.name,
+      model: response.model,
+      usage: response.usage,
+      conversationId: options.conversationId,
+      tags: options.tags
+    });
+    return response;
+  }
+
   /**
    * Handle provider-specific errors gracefully with improved error types
    */
   handleError (error, operation) {
+    // Typed errors are meant to be handled by callers as they are
+    if (error instanceof LLMError) {
+      throw error;
+    }
+
     const errorMessage = error.response?.data?.error?.message ||
                         error.message ||
                         'Unknown error occurred';
@@ -0,0 +1,537 @@
+const axios = require('axios');
+const BaseProvider = require('./base-provider');
+const CacheMixin = require('./mixins/cache-mixin');
+const ImageProcessingMixin = require('./mixins/image-processing-mixin');
+const { signRequest, resolveCredentials } = require('../utils/aws-sigv4');
+const { decodeEventStream } = require('../utils/aws-event-stream');
+const { getKnownContextLength } = require('../utils/token-counter');
+
+// HTTP statuses of exceptions that arrive inside an event stream, so retry logic applies to them
+const STREAM_EXCEPTION_STATUS = {
+  throttlingException: 429,
+  serviceUnavailableException: 503,
+  internalServerException: 500,
+  modelStreamErrorException: 424,
+  validationException: 400
+};
+
+/**
+ * AWS Bedrock provider using the Converse API
+ *
+ * Requests are signed with SigV4; credentials come from the config, the
+ * environment or the shared credentials file, or from config.credentials
+ * as an async function for other sources (SSO, instance roles, STS).
+ *
+ * Messages in the neutral format are converted to Converse messages:
+ * - system messages become the system field
+ * - consecutive turns of one role are merged, as Converse requires alternating turns
+ * - image_url parts are sent as image bytes (remote images are downloaded first)
+ * - tool calls and results map to toolUse / toolResult blocks
+ */
+class BedrockProvider extends BaseProvider {
+  constructor (config, providerName = 'bedrock') {
+    super(config, providerName, {
+      providerType: 'sdk',
+      defaultVisionModel: config.defaultVisionModel || null
+    });
+
+    this.region = config.region || 'us-east-1';
+    this.endpoint = (config.endpoint || `https://bedrock-runtime.${this.region}.amazonaws.com`).replace(/\/$/, '');
+    this.controlEndpoint = (config.controlEndpoint || `https://bedrock.${this.region}.amazonaws.com`).replace(/\/$/, '');
+    this.timeout = config.timeout || 60000;
+
+    // Initialize cache mixin after super() call
+    this._initializeCacheMixin();
+
+    // Standalone processor so the mixin's own helpers are used internally
+    this._imageProcessor = new ImageProcessingMixin();
+  }
+
+  /**
+   * Initialize cache mixin with provider-specific configuration
+   */
+  _initializeCacheMixin () {
+    this._applyMixin(new CacheMixin({
+      defaultExpiry: 5 * 60 * 1000, // 5 minutes
+      defaultMaxSize: 100,
+      cleanupInterval: 2 * 60 * 1000 // 2 minutes
+    }));
+
+    this.createCache('models', {
+      expiry: 5 * 60 * 1000,
+      maxSize: 100
+    });
+  }
+
+  // ============================================================================
+  // IMPLEMENTATION OF ABSTRACT METHODS
+  // ============================================================================
+
+  /**
+   * Send a Converse request; streaming requests resolve to an async iterable
+   * of ConverseStream events with a controller for aborting
+   */
+  async createMessage (params) {
+    const modelId = params.model || this.config.model;
+    const { messages, system } = await this._formatConverseMessages(params.messages);
+
+    const body = {
+      messages,
+      system: system.length > 0 ? system : undefined,
+      inferenceConfig: {
+        maxTokens: params.max_tokens,
+        temperature: params.temperature,
+        topP: params.topP,
+        stopSequences: params.stopSequences
+      },
+      toolConfig: params.toolConfig,
+      guardrailConfig: params.guardrailConfig,
+      additionalModelRequestFields: params.additionalModelRequestFields
+    };
+
+    const url = `${this.endpoint}/model/${encodeURIComponent(modelId)}/${params.stream ? 'converse-stream' : 'converse'}`;
+
+    try {
+      if (!params.stream) {
+        const response = await this._signedRequest('bedrock', 'POST', url, body);
+        return { model: modelId, ...response.data };
+      }
+
+      const controller = new AbortController();
+      const response = await this._signedRequest('bedrock', 'POST', url, body, {
+        accept: 'application/vnd.amazon.eventstream',
+        responseType: 'stream',
+        signal: controller.signal
+      });
+      const stream = this._converseEvents(response.data);
+      stream.controller = controller;
+      return stream;
+    } catch (error) {
+      const detail = error.response?.data?.message || error.response?.data?.Message;
+      if (detail) {
+        error.message = `${error.message}: ${detail}`;
+      }
+      throw error;
+    }
+  }
+
+  extractContentFromSDK (response) {
+    const content = response.output?.message?.content || [];
+    return content
+      .filter(block => typeof block.text === 'string')
+      .map(block => block.text)
+      .join('');
+  }
+
+  extractUsageFromSDK (response) {
+    return {
+      input_tokens: response.usage?.inputTokens || 0,
+      output_tokens: response.usage?.outputTokens || 0
+    };
+  }
+
+  extractFinishReason (response) {
+    return response.stopReason || null;
+  }
+
+  extractToolCallsFromSDK (response) {
+    const content = response.output?.message?.content || [];
+    return this.normalizeToolCalls(content
+      .filter(block => block.toolUse)
+      .map(block => ({ id: block.toolUse.toolUseId, name: block.toolUse.name, arguments: block.toolUse.input || {} })));
+  }
+
+  /**
+   * Cohere embed models take a batch of texts; Titan embeds one text per request
+   */
+  async createEmbeddings (texts, options) {
+    const url = `${this.endpoint}/model/${encodeURIComponent(options.model)}/invoke`;
+
+    if (/cohere\.embed/.test(options.model)) {
+      const inputTypes = { query: 'search_query', document: 'search_document' };
+      const response = await this._signedRequest('bedrock', 'POST', url, {
+        texts,
+        input_type: inputTypes[options.inputType] || options.inputType || 'search_document'
+      });
+      return { embeddings: response.data.embeddings, model: options.model, usage: { input_tokens: 0 } };
+    }
+
+    const embeddings = [];
+    let inputTokens = 0;
+    for (const text of texts) {
+      const response = await this._signedRequest('bedrock', 'POST', url, {
+        inputText: text,
+        ...(options.dimensions ? { dimensions: options.dimensions } : {})
+      });
+      embeddings.push(response.data.embedding);
+      inputTokens += response.data.inputTextTokenCount || 0;
+    }
+    return { embeddings, model: options.model, usage: { input_tokens: inputTokens } };
+  }
+
+  // ============================================================================
+  // BEDROCK-SPECIFIC STREAM PARSING
+  // ============================================================================
+
+  /**
+   * Decode the event stream into { [eventType]: payload } objects
+   * Exceptions sent inside the stream are thrown
+   * @private
+   */
+  async * _converseEvents (readable) {
+    for await (const { headers, payload } of decodeEventStream(readable)) {
+      const body = payload.length > 0 ? JSON.parse(payload.toString('utf8')) : {};
+
+      if (headers[':message-type'] === 'exception' || headers[':message-type'] === 'error') {
+        const type = headers[':exception-type'] || headers[':error-code'];
+        const error = new Error(`${type}: ${body.message || body.Message || headers[':error-message']}`);
+        error.status = STREAM_EXCEPTION_STATUS[type];
+        throw error;
+      }
+
+      yield { [headers[':event-type']]: body };
+    }
+  }
+
+  /**
+   * Tool input arrives as partial JSON and is emitted when its block stops
+   */
+  parseStreamChunk (event, state) {
+    const events = [];
+    state.blocks = state.blocks || {};
+
+    if (event.contentBlockStart?.start?.toolUse) {
+      const { toolUseId, name } = event.contentBlockStart.start.toolUse;
+      state.blocks[event.contentBlockStart.contentBlockIndex] = { id: toolUseId, name, json: '' };
+    } else if (event.contentBlockDelta) {
+      const { delta, contentBlockIndex } = event.contentBlockDelta;
+      if (typeof delta.text === 'string' && delta.text) {
+        events.push({ type: 'text', text: delta.text });
+      } else if (delta.toolUse && state.blocks[contentBlockIndex]) {
+        state.blocks[contentBlockIndex].json += delta.toolUse.input || '';
+      }
+    } else if (event.contentBlockStop) {
+      const block = state.blocks[event.contentBlockStop.contentBlockIndex];
+      if (block) {
+        delete state.blocks[event.contentBlockStop.contentBlockIndex];
+        const [toolCall] = this.normalizeToolCalls([{ id: block.id, name: block.name, arguments: block.json || '{}' }]);
+        events.push({ type: 'tool_call', toolCall });
+      }
+    } else if (event.messageStop) {
+      state.finishReason = event.messageStop.stopReason;
+    } else if (event.metadata?.usage) {
+      events.push({ type: 'usage', usage: this.extractUsageFromSDK(event.metadata) });
+    }
+
+    return events;
+  }
+
+  flushStreamState () {
+    return [];
+  }
+
+  // ============================================================================
+  // BEDROCK-SPECIFIC REQUEST OPTIONS
+  // ============================================================================
+
+  /**
+   * Converse takes toolSpec entries and a typed toolChoice object
+   */
+  formatToolOptions (options) {
+    const tools = this.normalizeTools(options.tools);
+    if (tools.length === 0 || options.toolChoice === 'none') {
+      return {};
+    }
+
+    const toolConfig = {
+      tools: tools.map(tool => ({
+        toolSpec: { name: tool.name, description: tool.description, inputSchema: { json: tool.parameters } }
+      }))
+    };
+
+    if (options.toolChoice === 'auto') {
+      toolConfig.toolChoice = { auto: {} };
+    } else if (options.toolChoice === 'required') {
+      toolConfig.toolChoice = { any: {} };
+    } else if (options.toolChoice?.name) {
+      toolConfig.toolChoice = { tool: { name: options.toolChoice.name } };
+    }
+
+    return { toolConfig };
+  }
+
+  /**
+   * Converse has no JSON mode, so a schema is enforced by forcing a single
+   * tool whose input is the structured output. Replaces any request tools.
+   */
+  formatResponseFormatOptions (options) {
+    const format = options.responseFormat;
+    if (!format || !format.schema) {
+      return {};
+    }
+
+    const name = format.name || 'structured_output';
+    return {
+      toolConfig: {
+        tools: [{
+          toolSpec: {
+            name,
+            description: 'Respond with structured output matching the input schema',
+            inputSchema: { json: format.schema }
+          }
+        }],
+        toolChoice: { tool: { name } }
+      }
+    };
+  }
+
+  /**
+   * Converse's inferenceConfig only covers topP and stop sequences; model-specific
+   * settings such as top_k go in additionalModelRequestFields
+   */
+  getSamplingParameters () {
+    return {
+      topP: 'topP',
+      stop: value => ({ stopSequences: [].concat(value) })
+    };
+  }
+
+  /**
+   * Guardrails from the request override those from the configuration, e.g.
+   * { guardrailIdentifier: 'abc123', guardrailVersion: '1' }; additionalModelRequestFields
+   * passes model-specific parameters such as { top_k: 50 }
+   */
+  formatProviderOptions (options) {
+    const params = {};
+    const guardrailConfig = options.guardrailConfig || this.config.guardrailConfig;
+    if (guardrailConfig) {
+      params.guardrailConfig = guardrailConfig;
+    }
+    if (options.additionalModelRequestFields) {
+      params.additionalModelRequestFields = options.additionalModelRequestFields;
+    }
+    return params;
+  }
+
+  // ============================================================================
+  // BEDROCK-SPECIFIC MESSAGE FORMATTING
+  // ============================================================================
+
+  /**
+   * Tool messages stay neutral until they are converted to content blocks
+   */
+  formatToolMessage (message) {
+    return message;
+  }
+
+  /**
+   * Images are converted to content blocks when the request is built
+   */
+  formatVisionMessages (messages) {
+    return this.formatMessages(messages);
+  }
+
+  /**
+   * Convert messages into Converse messages and system blocks
+   * @private
+   */
+  async _formatConverseMessages (messages) {
+    const result = [];
+    const system = [];
+
+    for (const message of messages) {
+      if (message.role === 'system') {
+        system.push({ text: this._extractText(message.content) });
+        continue;
+      }
+
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const content = await this._formatContentBlocks(message);
+      const previous = result[result.length - 1];
+      if (previous && previous.role === role) {
+        previous.content.push(...content);
+      } else {
+        result.push({ role, content });
+      }
+    }
+
+    return { messages: result, system };
+  }
+
+  async _formatContentBlocks (message) {
+    if (message.role === 'tool') {
+      const content = message.content !== null && typeof message.content === 'object' && !Array.isArray(message.content)
+        ? [{ json: message.content }]
+        : [{ text: this.stringifyToolResult(message.content) }];
+      const toolResult = { toolUseId: message.toolCallId, content };
+      if (message.isError) {
+        toolResult.status = 'error';
+      }
+      return [{ toolResult }];
+    }
+
+    const blocks = [];
+    const content = typeof message.content === 'string' ? [message.content] : (message.content || []);
+    for (const part of content) {
+      if (typeof part === 'string') {
+        // Converse rejects empty text blocks
+        if (part) {
+          blocks.push({ text: part });
+        }
+      } else if (part.type === 'image_url' || part.type === 'image') {
+        blocks.push(await this._formatImageBlock(part.image_url ?? part.image));
+      } else if (part.text) {
+        blocks.push({ text: part.text });
+      }
+    }
+
+    (message.toolCalls || []).forEach(call => {
+      blocks.push({ toolUse: { toolUseId: call.id, name: call.name, input: call.arguments || {} } });
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Send an image as bytes from a data URL, file path, buffer or remote URL
+   * @private
+   */
+  async _formatImageBlock (source) {
+    const image = this._imageProcessor.processImage(
+      typeof source === 'string' || Buffer.isBuffer(source) ? source : source?.url
+    );
+
+    let mimeType = image.mimeType;
+    let data = image.data;
+    if (image.type === 'url') {
+      const response = await axios.get(image.url, { responseType: 'arraybuffer', timeout: this.timeout });
+      mimeType = response.headers['content-type'] || mimeType;
+      data = Buffer.from(response.data).toString('base64');
+    }
+
+    // Converse takes the format name: png, jpeg, gif or webp
+    const format = String(mimeType || 'image/jpeg').split(';')[0].replace(/^image\//, '').replace('jpg', 'jpeg');
+    return { image: { format, source: { bytes: data } } };
+  }
+
+  _extractText (content) {
+    if (typeof content === 'string') {
+      return content;
+    }
+    return (content || []).map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+
+  // ============================================================================
+  // REQUEST SIGNING
+  // ============================================================================
+
+  /**
+   * Credentials are resolved per request so rotated credentials are picked up
+   * @private
+   */
+  async _getCredentials () {
+    const credentials = typeof this.config.credentials === 'function'
+      ? await this.config.credentials()
+      : this.config.credentials || resolveCredentials(this.config);
+
+    if (!credentials) {
+      throw new Error(`AWS credentials not found for provider: ${this.name}`);
+    }
+    return credentials;
+  }
+
+  /**
+   * Send a SigV4-signed JSON request
+   * @private
+   */
+  async _signedRequest (service, method, url, body, options = {}) {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    const headers = signRequest({
+      method,
+      url,
+      body: payload,
+      region: this.region,
+      service,
+      headers: {
+        accept: options.accept || 'application/json',
+        ...(payload ? { 'content-type': 'application/json' } : {})
+      },
+      credentials: await this._getCredentials()
+    });
+
+    return axios.request({
+      method,
+      url,
+      data: payload || undefined,
+      headers,
+      timeout: this.timeout,
+      responseType: options.responseType,
+      signal: options.signal
+    });
+  }
+
+  // ============================================================================
+  // SDK-SPECIFIC OVERRIDES
+  // ============================================================================
+
+  async checkSDKAvailability () {
+    try {
+      const models = await this.listSDKModels();
+      return models.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * List the foundation models that produce text
+   */
+  async listSDKModels () {
+    if (this.hasCache('models', 'list')) {
+      return this.getCache('models', 'list');
+    }
+
+    const response = await this._signedRequest('bedrock', 'GET', `${this.controlEndpoint}/foundation-models?byOutputModality=TEXT`);
+    const models = (response.data.modelSummaries || []).map(model => this._formatModel(model));
+
+    this.setCache('models', 'list', models, { expiry: 5 * 60 * 1000 });
+    return models;
+  }
+
+  async getModelInfo (modelName = null) {
+    const targetModel = modelName || this.config.model;
+
+    try {
+      const models = await this.listSDKModels();
+      const model = models.find(m => m.name === targetModel);
+      if (model) {
+        return model;
+      }
+    } catch (error) {
+      // Fall back to basic info if API call fails
+    }
+
+    return {
+      name: targetModel,
+      context_length: getKnownContextLength(targetModel),
+      supports_vision: this.supportsVision(),
+      description: `${this.name} model: ${targetModel}`,
+      provider: this.name
+    };
+  }
+
+  _formatModel (model) {
+    return {
+      id: model.modelId,
+      name: model.modelId,
+      type: 'chat_completion',
+      context_length: getKnownContextLength(model.modelId),
+      supports_vision: (model.inputModalities || []).includes('IMAGE'),
+      supports_streaming: model.responseStreamingSupported !== false,
+      description: [model.providerName, model.modelName].filter(Boolean).join(' ') || `${this.name} model: ${model.modelId}`,
+      provider: this.name
+    };
+  }
+}
+
+module.exports = BedrockProvider;
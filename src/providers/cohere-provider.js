@@ -0,0 +1,401 @@
+const axios = require('axios');
+const BaseProvider = require('./base-provider');
+const CacheMixin = require('./mixins/cache-mixin');
+const ImageProcessingMixin = require('./mixins/image-processing-mixin');
+const StreamResponse = require('./stream-response');
+
+/**
+ * Cohere provider using the v2 Chat API
+ *
+ * Differences from the OpenAI format handled here:
+ * - responses carry a list of content blocks and billed token counts
+ * - assistant tool calls explain themselves in tool_plan rather than content
+ * - tool_choice is REQUIRED or NONE; a named tool is forced by sending only that tool
+ * - streams are typed events (content-delta, tool-call-start, message-end, ...)
+ * - safetyMode and documents (for grounded answers with citations) are passed through
+ */
+class CohereProvider extends BaseProvider {
+  constructor (config, providerName = 'cohere') {
+    super(config, providerName, {
+      providerType: 'sdk',
+      defaultVisionModel: config.defaultVisionModel || null,
+      // The embed endpoint takes at most 96 texts
+      embeddingBatchSize: 96
+    });
+
+    this.baseURL = (config.baseURL || 'https://api.cohere.com').replace(/\/$/, '');
+    this.timeout = config.timeout || 60000;
+
+    // Initialize cache mixin after super() call
+    this._initializeCacheMixin();
+
+    // Standalone processor so the mixin's own helpers are used internally
+    this._imageProcessor = new ImageProcessingMixin();
+  }
+
+  /**
+   * Initialize cache mixin with provider-specific configuration
+   */
+  _initializeCacheMixin () {
+    this._applyMixin(new CacheMixin({
+      defaultExpiry: 5 * 60 * 1000, // 5 minutes
+      defaultMaxSize: 100,
+      cleanupInterval: 2 * 60 * 1000 // 2 minutes
+    }));
+
+    this.createCache('models', {
+      expiry: 5 * 60 * 1000,
+      maxSize: 100
+    });
+  }
+
+  // ============================================================================
+  // IMPLEMENTATION OF ABSTRACT METHODS
+  // ============================================================================
+
+  /**
+   * Send a chat request; streaming requests resolve to an async iterable
+   * of stream events with a controller for aborting
+   */
+  async createMessage (params) {
+    try {
+      if (!params.stream) {
+        const response = await axios.post(`${this.baseURL}/v2/chat`, params, {
+          headers: this._getHeaders(),
+          timeout: this.timeout
+        });
+        // Responses don't name the model
+        return { model: params.model, ...response.data };
+      }
+
+      const controller = new AbortController();
+      const response = await axios.post(`${this.baseURL}/v2/chat`, params, {
+        headers: this._getHeaders(),
+        timeout: this.timeout,
+        responseType: 'stream',
+        signal: controller.signal
+      });
+      const stream = StreamResponse.jsonLines(response.data);
+      stream.controller = controller;
+      return stream;
+    } catch (error) {
+      const detail = error.response?.data?.message;
+      if (detail) {
+        error.message = `${error.message}: ${detail}`;
+      }
+      throw error;
+    }
+  }
+
+  extractContentFromSDK (response) {
+    return (response.message?.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  /**
+   * Billed units are what Cohere charges for, so they drive cost tracking
+   */
+  extractUsageFromSDK (response) {
+    const tokens = response.usage?.billed_units || response.usage?.tokens || {};
+    return {
+      input_tokens: tokens.input_tokens || 0,
+      output_tokens: tokens.output_tokens || 0
+    };
+  }
+
+  extractFinishReason (response) {
+    return response.finish_reason || null;
+  }
+
+  extractToolCallsFromSDK (response) {
+    return this.normalizeToolCalls(response.message?.tool_calls);
+  }
+
+  /**
+   * Embed model v3 and later require an input type; documents are the default
+   */
+  async createEmbeddings (texts, options) {
+    const inputTypes = { query: 'search_query', document: 'search_document' };
+    const response = await axios.post(`${this.baseURL}/v2/embed`, {
+      model: options.model,
+      texts,
+      input_type: inputTypes[options.inputType] || options.inputType || 'search_document',
+      embedding_types: ['float'],
+      ...(options.dimensions ? { output_dimension: options.dimensions } : {})
+    }, {
+      headers: this._getHeaders(),
+      timeout: this.timeout
+    });
+
+    return {
+      embeddings: response.data.embeddings.float,
+      model: options.model,
+      usage: { input_tokens: response.data.meta?.billed_units?.input_tokens || 0 }
+    };
+  }
+
+  // ============================================================================
+  // COHERE-SPECIFIC STREAM PARSING
+  // ============================================================================
+
+  /**
+   * Tool arguments arrive as partial JSON and are emitted when the call ends
+   */
+  parseStreamChunk (event, state) {
+    const events = [];
+    state.blocks = state.blocks || {};
+    const message = event.delta?.message;
+
+    switch (event.type) {
+    case 'content-delta':
+      if (message?.content?.text) {
+        events.push({ type: 'text', text: message.content.text });
+      }
+      break;
+
+    case 'tool-call-start': {
+      const call = message?.tool_calls || {};
+      state.blocks[event.index] = { id: call.id, name: call.function?.name, json: call.function?.arguments || '' };
+      break;
+    }
+
+    case 'tool-call-delta':
+      if (state.blocks[event.index]) {
+        state.blocks[event.index].json += message?.tool_calls?.function?.arguments || '';
+      }
+      break;
+
+    case 'tool-call-end': {
+      const block = state.blocks[event.index];
+      if (block) {
+        delete state.blocks[event.index];
+        const [toolCall] = this.normalizeToolCalls([{ id: block.id, name: block.name, arguments: block.json || '{}' }]);
+        events.push({ type: 'tool_call', toolCall });
+      }
+      break;
+    }
+
+    case 'message-end':
+      state.finishReason = event.delta?.finish_reason || null;
+      if (event.delta?.usage) {
+        events.push({ type: 'usage', usage: this.extractUsageFromSDK(event.delta) });
+      }
+      break;
+    }
+
+    return events;
+  }
+
+  flushStreamState () {
+    return [];
+  }
+
+  // ============================================================================
+  // COHERE-SPECIFIC REQUEST OPTIONS
+  // ============================================================================
+
+  /**
+   * Cohere has no auto tool_choice value and can't name a tool, so a named
+   * tool is forced by sending only that tool with REQUIRED
+   */
+  formatToolOptions (options) {
+    let tools = this.normalizeTools(options.tools);
+    if (tools.length === 0) {
+      return {};
+    }
+
+    const params = {};
+    if (options.toolChoice === 'required') {
+      params.tool_choice = 'REQUIRED';
+    } else if (options.toolChoice === 'none') {
+      params.tool_choice = 'NONE';
+    } else if (options.toolChoice?.name) {
+      tools = tools.filter(tool => tool.name === options.toolChoice.name);
+      params.tool_choice = 'REQUIRED';
+    }
+
+    params.tools = tools.map(tool => ({ type: 'function', function: tool }));
+    return params;
+  }
+
+  /**
+   * JSON mode with an optional schema
+   */
+  formatResponseFormatOptions (options) {
+    const format = options.responseFormat;
+    if (!format) {
+      return {};
+    }
+
+    return {
+      response_format: {
+        type: 'json_object',
+        ...(format.schema ? { json_schema: format.schema } : {})
+      }
+    };
+  }
+
+  /**
+   * Cohere names nucleus and top-k sampling p and k
+   */
+  getSamplingParameters () {
+    return {
+      topP: 'p',
+      topK: 'k',
+      stop: value => ({ stop_sequences: [].concat(value) }),
+      seed: 'seed',
+      presencePenalty: 'presence_penalty',
+      frequencyPenalty: 'frequency_penalty'
+    };
+  }
+
+  /**
+   * safetyMode ('CONTEXTUAL', 'STRICT' or 'OFF') from the request overrides the configuration;
+   * documents are sources the answer is grounded in, e.g. [{ id: 'doc1', data: { text: '...' } }]
+   */
+  formatProviderOptions (options) {
+    const params = {};
+    const safetyMode = options.safetyMode || this.config.safetyMode;
+    if (safetyMode) {
+      params.safety_mode = safetyMode;
+    }
+    if (options.documents) {
+      params.documents = options.documents;
+    }
+    return params;
+  }
+
+  // ============================================================================
+  // COHERE-SPECIFIC MESSAGE FORMATTING
+  // ============================================================================
+
+  /**
+   * Assistant text that accompanies tool calls goes in tool_plan
+   */
+  formatToolMessage (message) {
+    if (message.role === 'tool') {
+      return {
+        role: 'tool',
+        tool_call_id: message.toolCallId,
+        content: this.stringifyToolResult(message.content)
+      };
+    }
+
+    return {
+      role: 'assistant',
+      ...(message.content ? { tool_plan: message.content } : {}),
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: JSON.stringify(call.arguments || {})
+        }
+      }))
+    };
+  }
+
+  /**
+   * Cohere takes image_url as { url } with a remote or data URL
+   */
+  formatVisionMessages (messages) {
+    return this.formatMessages(messages).map(message => {
+      if (!Array.isArray(message.content)) {
+        return message;
+      }
+      return {
+        ...message,
+        content: message.content.map(part => {
+          if (part.type !== 'image_url' && part.type !== 'image') {
+            return part;
+          }
+          const source = part.image_url ?? part.image;
+          return {
+            type: 'image_url',
+            image_url: this._imageProcessor.processImageForOpenAI(
+              typeof source === 'string' || Buffer.isBuffer(source) ? source : source?.url
+            )
+          };
+        })
+      };
+    });
+  }
+
+  _getHeaders () {
+    return {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${this.config.apiKey}`
+    };
+  }
+
+  // ============================================================================
+  // SDK-SPECIFIC OVERRIDES
+  // ============================================================================
+
+  async checkSDKAvailability () {
+    try {
+      const models = await this.listSDKModels();
+      return models.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * List the models available on the chat endpoint
+   */
+  async listSDKModels () {
+    if (this.hasCache('models', 'list')) {
+      return this.getCache('models', 'list');
+    }
+
+    const response = await axios.get(`${this.baseURL}/v1/models`, {
+      headers: this._getHeaders(),
+      params: { endpoint: 'chat' },
+      timeout: this.timeout
+    });
+    const models = (response.data.models || []).map(model => this._formatModel(model));
+
+    this.setCache('models', 'list', models, { expiry: 5 * 60 * 1000 });
+    return models;
+  }
+
+  async getModelInfo (modelName = null) {
+    const targetModel = modelName || this.config.model;
+
+    try {
+      const response = await axios.get(`${this.baseURL}/v1/models/${encodeURIComponent(targetModel)}`, {
+        headers: this._getHeaders(),
+        timeout: this.timeout
+      });
+      return this._formatModel(response.data);
+    } catch (error) {
+      // Fall back to basic info if API call fails
+      return {
+        name: targetModel,
+        context_length: null,
+        supports_vision: this.supportsVision(),
+        description: `${this.name} model: ${targetModel}`,
+        provider: this.name
+      };
+    }
+  }
+
+  _formatModel (model) {
+    const features = model.features || [];
+    return {
+      id: model.name,
+      name: model.name,
+      type: 'chat_completion',
+      context_length: model.context_length || null,
+      supports_vision: Boolean(model.supports_vision) || features.includes('vision'),
+      supports_tools: features.includes('tools') || features.includes('strict_tools'),
+      description: `${this.name} model: ${model.name}`,
+      provider: this.name
+    };
+  }
+}
+
+module.exports = CohereProvider;
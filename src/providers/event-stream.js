@@ -0,0 +1,153 @@
+/**
+ * Event Stream
+ *
+ * Shared machinery behind StreamResponse and ProgressStream:
+ * - pumps an async source on the next macrotask so callers can attach listeners first
+ * - buffers events so iterators attached at any time see all of them
+ * - emits every event through .on() as well, plus 'error' when someone listens
+ * - settles one final promise when the source ends, fails or is aborted
+ *
+ * Subclasses turn source chunks into events in _handleChunk(chunk) and
+ * push the closing event and resolve the final promise in _complete().
+ */
+
+const { EventEmitter } = require('events');
+
+class EventStream extends EventEmitter {
+  /**
+   * @param {AsyncIterable} source - Raw chunks, e.g. from StreamResponse.jsonLines()
+   * @param {Object} options - { model, onAbort, abortMessage }
+   */
+  constructor (source, options = {}) {
+    super();
+    this.model = options.model || null;
+
+    this._source = source;
+    this._onAbort = options.onAbort || (() => source?.controller?.abort?.());
+    this._abortMessage = options.abortMessage || 'Stream aborted';
+
+    // Event buffer for iterators attached at any time
+    this._events = [];
+    this._waiters = [];
+    this._finished = false;
+    this._aborted = false;
+    this._error = null;
+
+    this._finalPromise = new Promise((resolve, reject) => {
+      this._resolveFinal = resolve;
+      this._rejectFinal = reject;
+    });
+    // Avoid unhandled rejections when only events or iteration are used
+    this._finalPromise.catch(() => {});
+
+    // Start on the next macrotask so callers can attach listeners first
+    setImmediate(() => this._pump());
+  }
+
+  // ============================================================================
+  // CONSUMER API
+  // ============================================================================
+
+  /**
+   * Iterate over the stream's events
+   */
+  async * [Symbol.asyncIterator] () {
+    let index = 0;
+    while (true) {
+      if (index < this._events.length) {
+        yield this._events[index++];
+        continue;
+      }
+      if (this._error) {
+        throw this._error;
+      }
+      if (this._finished) {
+        return;
+      }
+      await new Promise(resolve => this._waiters.push(resolve));
+    }
+  }
+
+  /**
+   * Cancel the underlying request; the final promise rejects with an error flagged aborted
+   */
+  abort () {
+    if (this._finished) {
+      return;
+    }
+
+    this._aborted = true;
+    try {
+      this._onAbort();
+    } catch (error) {
+      // The request may already be closed
+    }
+
+    const error = new Error(this._abortMessage);
+    error.aborted = true;
+    this._fail(error);
+  }
+
+  get aborted () {
+    return this._aborted;
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  async _pump () {
+    try {
+      for await (const chunk of this._source) {
+        if (this._finished) {
+          return;
+        }
+        this._handleChunk(chunk);
+      }
+
+      if (!this._finished) {
+        this._complete();
+      }
+    } catch (error) {
+      this._fail(error);
+    }
+  }
+
+  _handleChunk () {
+    throw new Error('_handleChunk method must be implemented by subclass');
+  }
+
+  _complete () {
+    throw new Error('_complete method must be implemented by subclass');
+  }
+
+  _fail (error) {
+    if (this._finished) {
+      return;
+    }
+
+    this._finished = true;
+    this._error = error;
+    this._wake();
+    this._rejectFinal(error);
+
+    // Only emit when someone listens - an unhandled 'error' event would throw
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  _push (event) {
+    this._events.push(event);
+    this.emit(event.type, event);
+    this._wake();
+  }
+
+  _wake () {
+    const waiters = this._waiters;
+    this._waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
+
+module.exports = EventStream;
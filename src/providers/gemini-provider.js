@@ -0,0 +1,447 @@
+const axios = require('axios');
+const BaseProvider = require('./base-provider');
+const CacheMixin = require('./mixins/cache-mixin');
+const ImageProcessingMixin = require('./mixins/image-processing-mixin');
+const StreamResponse = require('./stream-response');
+
+/**
+ * Google Gemini provider using the Generative Language REST API
+ *
+ * Messages in the neutral format are converted to Gemini's contents/parts:
+ * - system messages become the systemInstruction
+ * - assistant turns use the 'model' role; consecutive turns of one role are merged
+ * - image_url parts are sent inline (remote images are downloaded first)
+ * - tool calls and results map to functionCall / functionResponse parts
+ */
+class GeminiProvider extends BaseProvider {
+  constructor (config, providerName = 'gemini') {
+    super(config, providerName, {
+      providerType: 'sdk',
+      defaultVisionModel: config.defaultVisionModel || null
+    });
+
+    this.baseURL = (config.baseURL || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/$/, '');
+    this.timeout = config.timeout || 60000;
+
+    // Initialize cache mixin after super() call
+    this._initializeCacheMixin();
+
+    // Standalone processor so the mixin's own helpers are used internally
+    this._imageProcessor = new ImageProcessingMixin();
+  }
+
+  /**
+   * Initialize cache mixin with provider-specific configuration
+   */
+  _initializeCacheMixin () {
+    this._applyMixin(new CacheMixin({
+      defaultExpiry: 5 * 60 * 1000, // 5 minutes
+      defaultMaxSize: 100,
+      cleanupInterval: 2 * 60 * 1000 // 2 minutes
+    }));
+
+    this.createCache('models', {
+      expiry: 5 * 60 * 1000,
+      maxSize: 100
+    });
+  }
+
+  // ============================================================================
+  // IMPLEMENTATION OF ABSTRACT METHODS
+  // ============================================================================
+
+  /**
+   * Send a generateContent request; streaming requests resolve to an async
+   * iterable of response chunks with a controller for aborting
+   */
+  async createMessage (params) {
+    const model = String(params.model || this.config.model).replace(/^models\//, '');
+    const { contents, systemInstruction } = await this._formatContents(params.messages);
+
+    const body = {
+      contents,
+      systemInstruction,
+      generationConfig: {
+        temperature: params.temperature,
+        maxOutputTokens: params.max_tokens,
+        ...params.sampling,
+        ...params.generationConfig
+      },
+      tools: params.tools,
+      toolConfig: params.toolConfig,
+      safetySettings: params.safetySettings
+    };
+
+    try {
+      if (!params.stream) {
+        const response = await axios.post(`${this.baseURL}/models/${model}:generateContent`, body, {
+          headers: this._getHeaders(),
+          timeout: this.timeout
+        });
+        return { model: response.data.modelVersion || model, ...response.data };
+      }
+
+      const controller = new AbortController();
+      const response = await axios.post(`${this.baseURL}/models/${model}:streamGenerateContent?alt=sse`, body, {
+        headers: this._getHeaders(),
+        timeout: this.timeout,
+        responseType: 'stream',
+        signal: controller.signal
+      });
+      const stream = StreamResponse.jsonLines(response.data);
+      stream.controller = controller;
+      return stream;
+    } catch (error) {
+      const detail = error.response?.data?.error?.message;
+      if (detail) {
+        error.message = `${error.message}: ${detail}`;
+      }
+      throw error;
+    }
+  }
+
+  extractContentFromSDK (response) {
+    const parts = response.candidates?.[0]?.content?.parts || [];
+    return parts
+      .filter(part => part.text && !part.thought)
+      .map(part => part.text)
+      .join('');
+  }
+
+  extractUsageFromSDK (response) {
+    return {
+      input_tokens: response.usageMetadata?.promptTokenCount || 0,
+      output_tokens: response.usageMetadata?.candidatesTokenCount || 0
+    };
+  }
+
+  extractFinishReason (response) {
+    // Blocked prompts come back without candidates
+    return response.candidates?.[0]?.finishReason || response.promptFeedback?.blockReason || null;
+  }
+
+  extractToolCallsFromSDK (response) {
+    const parts = response.candidates?.[0]?.content?.parts || [];
+    return this.normalizeToolCalls(parts
+      .filter(part => part.functionCall)
+      .map(part => ({ id: part.functionCall.id, name: part.functionCall.name, arguments: part.functionCall.args || {} })));
+  }
+
+  /**
+   * Embed a batch of texts with batchEmbedContents (at most 100 per request)
+   */
+  async createEmbeddings (texts, options) {
+    const model = String(options.model).replace(/^models\//, '');
+    const taskTypes = { query: 'RETRIEVAL_QUERY', document: 'RETRIEVAL_DOCUMENT' };
+
+    const response = await axios.post(`${this.baseURL}/models/${model}:batchEmbedContents`, {
+      requests: texts.map(text => ({
+        model: `models/${model}`,
+        content: { parts: [{ text }] },
+        taskType: taskTypes[options.inputType] || options.inputType,
+        outputDimensionality: options.dimensions
+      }))
+    }, {
+      headers: this._getHeaders(),
+      timeout: this.timeout
+    });
+
+    // Gemini doesn't report token usage for embeddings
+    return { embeddings: response.data.embeddings.map(embedding => embedding.values), model, usage: { input_tokens: 0 } };
+  }
+
+  // ============================================================================
+  // GEMINI-SPECIFIC STREAM PARSING
+  // ============================================================================
+
+  /**
+   * Each chunk is a partial GenerateContentResponse; function calls arrive whole
+   */
+  parseStreamChunk (chunk, state) {
+    const events = [];
+    if (chunk.modelVersion) {
+      state.model = chunk.modelVersion;
+    }
+
+    const text = this.extractContentFromSDK(chunk);
+    if (text) {
+      events.push({ type: 'text', text });
+    }
+    this.extractToolCallsFromSDK(chunk).forEach(toolCall => {
+      events.push({ type: 'tool_call', toolCall });
+    });
+
+    const finishReason = this.extractFinishReason(chunk);
+    if (finishReason) {
+      state.finishReason = finishReason;
+    }
+    if (chunk.usageMetadata) {
+      events.push({ type: 'usage', usage: this.extractUsageFromSDK(chunk) });
+    }
+
+    return events;
+  }
+
+  flushStreamState () {
+    return [];
+  }
+
+  // ============================================================================
+  // GEMINI-SPECIFIC REQUEST OPTIONS
+  // ============================================================================
+
+  /**
+   * Gemini takes functionDeclarations and a functionCallingConfig mode
+   */
+  formatToolOptions (options) {
+    const tools = this.normalizeTools(options.tools);
+    if (tools.length === 0) {
+      return {};
+    }
+
+    const params = { tools: [{ functionDeclarations: tools }] };
+
+    if (options.toolChoice === 'auto' || options.toolChoice === 'none') {
+      params.toolConfig = { functionCallingConfig: { mode: options.toolChoice.toUpperCase() } };
+    } else if (options.toolChoice === 'required') {
+      params.toolConfig = { functionCallingConfig: { mode: 'ANY' } };
+    } else if (options.toolChoice?.name) {
+      params.toolConfig = { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [options.toolChoice.name] } };
+    }
+
+    return params;
+  }
+
+  /**
+   * JSON mode is part of the generationConfig
+   */
+  formatResponseFormatOptions (options) {
+    const format = options.responseFormat;
+    if (!format) {
+      return {};
+    }
+
+    return {
+      generationConfig: {
+        responseMimeType: 'application/json',
+        ...(format.schema ? { responseSchema: format.schema } : {})
+      }
+    };
+  }
+
+  /**
+   * Sampling settings are generationConfig fields; n asks for several candidates
+   */
+  getSamplingParameters () {
+    const setting = (name, convert = value => value) => (value, params) => ({
+      sampling: { ...params.sampling, [name]: convert(value) }
+    });
+    return {
+      topP: setting('topP'),
+      topK: setting('topK'),
+      stop: setting('stopSequences', value => [].concat(value)),
+      seed: setting('seed'),
+      presencePenalty: setting('presencePenalty'),
+      frequencyPenalty: setting('frequencyPenalty'),
+      n: setting('candidateCount')
+    };
+  }
+
+  /**
+   * Safety settings from the request override those from the configuration
+   * e.g. [{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ONLY_HIGH' }]
+   */
+  formatProviderOptions (options) {
+    const safetySettings = options.safetySettings || this.config.safetySettings;
+    return safetySettings ? { safetySettings } : {};
+  }
+
+  // ============================================================================
+  // GEMINI-SPECIFIC MESSAGE FORMATTING
+  // ============================================================================
+
+  /**
+   * Tool messages stay neutral until they are converted to parts
+   */
+  formatToolMessage (message) {
+    return message;
+  }
+
+  /**
+   * Images are converted to parts when the request is built
+   */
+  formatVisionMessages (messages) {
+    return this.formatMessages(messages);
+  }
+
+  /**
+   * Convert messages into Gemini contents and a system instruction
+   * @private
+   */
+  async _formatContents (messages) {
+    const contents = [];
+    const system = [];
+
+    for (const message of messages) {
+      if (message.role === 'system') {
+        system.push(this._extractText(message.content));
+        continue;
+      }
+
+      const role = message.role === 'assistant' ? 'model' : 'user';
+      const parts = await this._formatParts(message);
+      const previous = contents[contents.length - 1];
+      if (previous && previous.role === role) {
+        previous.parts.push(...parts);
+      } else {
+        contents.push({ role, parts });
+      }
+    }
+
+    return {
+      contents,
+      systemInstruction: system.length > 0 ? { parts: [{ text: system.join('\n\n') }] } : undefined
+    };
+  }
+
+  async _formatParts (message) {
+    if (message.role === 'tool') {
+      const result = message.isError ? { error: message.content } : { content: message.content };
+      return [{ functionResponse: { name: message.name, response: result } }];
+    }
+
+    const parts = [];
+    const content = typeof message.content === 'string' ? [message.content] : (message.content || []);
+    for (const part of content) {
+      if (typeof part === 'string') {
+        if (part) {
+          parts.push({ text: part });
+        }
+      } else if (part.type === 'image_url' || part.type === 'image') {
+        parts.push(await this._formatImagePart(part.image_url ?? part.image));
+      } else if (part.text) {
+        parts.push({ text: part.text });
+      }
+    }
+
+    (message.toolCalls || []).forEach(call => {
+      parts.push({ functionCall: { name: call.name, args: call.arguments || {} } });
+    });
+
+    return parts;
+  }
+
+  /**
+   * Inline an image from a data URL, file path, buffer or remote URL
+   * @private
+   */
+  async _formatImagePart (source) {
+    const image = this._imageProcessor.processImage(
+      typeof source === 'string' || Buffer.isBuffer(source) ? source : source?.url
+    );
+
+    if (image.type === 'url') {
+      const response = await axios.get(image.url, { responseType: 'arraybuffer', timeout: this.timeout });
+      return {
+        inlineData: {
+          mimeType: response.headers['content-type'] || image.mimeType || 'image/jpeg',
+          data: Buffer.from(response.data).toString('base64')
+        }
+      };
+    }
+
+    return { inlineData: { mimeType: image.mimeType || 'image/jpeg', data: image.data } };
+  }
+
+  _extractText (content) {
+    if (typeof content === 'string') {
+      return content;
+    }
+    return (content || []).map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+
+  _getHeaders () {
+    return {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': this.config.apiKey
+    };
+  }
+
+  // ============================================================================
+  // SDK-SPECIFIC OVERRIDES
+  // ============================================================================
+
+  /**
+   * Gemini models are multimodal, so vision uses the chat model unless a vision model is configured
+   */
+  supportsVision () {
+    return true;
+  }
+
+  async checkSDKAvailability () {
+    try {
+      const models = await this.listSDKModels();
+      return models.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * List the models that support generateContent
+   */
+  async listSDKModels () {
+    if (this.hasCache('models', 'list')) {
+      return this.getCache('models', 'list');
+    }
+
+    const response = await axios.get(`${this.baseURL}/models`, {
+      headers: this._getHeaders(),
+      timeout: this.timeout
+    });
+    const models = (response.data.models || [])
+      .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map(model => this._formatModel(model));
+
+    this.setCache('models', 'list', models, { expiry: 5 * 60 * 1000 });
+    return models;
+  }
+
+  async getModelInfo (modelName = null) {
+    const targetModel = String(modelName || this.config.model).replace(/^models\//, '');
+
+    try {
+      const response = await axios.get(`${this.baseURL}/models/${targetModel}`, {
+        headers: this._getHeaders(),
+        timeout: this.timeout
+      });
+      return this._formatModel(response.data);
+    } catch (error) {
+      // Fall back to basic info if API call fails
+      return {
+        name: targetModel,
+        context_length: null,
+        supports_vision: true,
+        description: `${this.name} model: ${targetModel}`,
+        provider: this.name
+      };
+    }
+  }
+
+  _formatModel (model) {
+    const name = model.name.replace(/^models\//, '');
+    return {
+      id: name,
+      name,
+      type: 'chat_completion',
+      context_length: model.inputTokenLimit || null,
+      max_output_tokens: model.outputTokenLimit || null,
+      // Gemini models are multimodal
+      supports_vision: true,
+      description: model.description || model.displayName || `${this.name} model: ${name}`,
+      provider: this.name
+    };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,292 @@
+const axios = require('axios');
+const BaseProvider = require('./base-provider');
+const CacheMixin = require('./mixins/cache-mixin');
+const ImageProcessingMixin = require('./mixins/image-processing-mixin');
+const StreamResponse = require('./stream-response');
+
+/**
+ * Mistral provider using La Plateforme's REST API
+ *
+ * The chat format is close to OpenAI's, with Mistral-specific parameters:
+ * - safePrompt prepends Mistral's safety system prompt (safe_prompt)
+ * - JSON mode and JSON schemas through response_format
+ * - image_url parts take a plain URL or data URL (Pixtral models)
+ */
+class MistralProvider extends BaseProvider {
+  constructor (config, providerName = 'mistral') {
+    super(config, providerName, {
+      providerType: 'sdk',
+      defaultVisionModel: config.defaultVisionModel || 'pixtral-12b-2409'
+    });
+
+    // Fill-in-the-middle is served by Codestral models only
+    this.completionModel = config.completionModel || 'codestral-latest';
+
+    this.baseURL = (config.baseURL || 'https://api.mistral.ai/v1').replace(/\/$/, '');
+    this.timeout = config.timeout || 60000;
+
+    // Initialize cache mixin after super() call
+    this._initializeCacheMixin();
+
+    // Standalone processor so the mixin's own helpers are used internally
+    this._imageProcessor = new ImageProcessingMixin();
+  }
+
+  /**
+   * Initialize cache mixin with provider-specific configuration
+   */
+  _initializeCacheMixin () {
+    this._applyMixin(new CacheMixin({
+      defaultExpiry: 5 * 60 * 1000, // 5 minutes
+      defaultMaxSize: 100,
+      cleanupInterval: 2 * 60 * 1000 // 2 minutes
+    }));
+
+    this.createCache('models', {
+      expiry: 5 * 60 * 1000,
+      maxSize: 100
+    });
+  }
+
+  // ============================================================================
+  // IMPLEMENTATION OF ABSTRACT METHODS
+  // ============================================================================
+
+  /**
+   * Send a chat completion request
+   */
+  async createMessage (params) {
+    return this._request('/chat/completions', params);
+  }
+
+  extractContentFromSDK (response) {
+    const content = response.choices[0].message.content;
+    // Reasoning models return a list of text and thinking chunks
+    if (Array.isArray(content)) {
+      return content
+        .filter(chunk => chunk.type === 'text')
+        .map(chunk => chunk.text)
+        .join('');
+    }
+    return content || '';
+  }
+
+  extractUsageFromSDK (response) {
+    return {
+      input_tokens: response.usage?.prompt_tokens || 0,
+      output_tokens: response.usage?.completion_tokens || 0
+    };
+  }
+
+  extractFinishReason (response) {
+    return response.choices[0].finish_reason;
+  }
+
+  extractToolCallsFromSDK (response) {
+    return this.normalizeToolCalls(response.choices[0].message.tool_calls);
+  }
+
+  async createEmbeddings (texts, options) {
+    const response = await axios.post(`${this.baseURL}/embeddings`, {
+      model: options.model,
+      input: texts,
+      ...(options.dimensions ? { output_dimension: options.dimensions } : {})
+    }, {
+      headers: this._getHeaders(),
+      timeout: this.timeout
+    });
+
+    return {
+      embeddings: [...response.data.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+      model: response.data.model || options.model,
+      usage: { input_tokens: response.data.usage?.prompt_tokens || 0 }
+    };
+  }
+
+  /**
+   * Fill-in-the-middle through /fim/completions; responses and chunks use the chat format
+   */
+  async createCompletion (prompt, options) {
+    const model = options.model || this.completionModel;
+    const response = await this._request('/fim/completions', {
+      model,
+      prompt,
+      ...(options.suffix !== undefined ? { suffix: options.suffix } : {}),
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      stream: options.stream,
+      ...this.formatSamplingOptions(options)
+    });
+
+    if (options.stream) {
+      return this.createStreamResponse(response, { model });
+    }
+    return this.formatResponse(
+      this.extractContentFromSDK(response),
+      response.model || model,
+      this.extractUsageFromSDK(response),
+      this.extractFinishReason(response)
+    );
+  }
+
+  // ============================================================================
+  // MISTRAL-SPECIFIC REQUEST OPTIONS
+  // ============================================================================
+
+  /**
+   * Mistral calls the seed random_seed and has no logit bias, metadata or user parameters
+   */
+  getSamplingParameters () {
+    return {
+      topP: 'top_p',
+      stop: 'stop',
+      seed: 'random_seed',
+      presencePenalty: 'presence_penalty',
+      frequencyPenalty: 'frequency_penalty',
+      n: 'n'
+    };
+  }
+
+  /**
+   * safePrompt from the request overrides the configuration
+   */
+  formatProviderOptions (options) {
+    const safePrompt = options.safePrompt ?? this.config.safePrompt;
+    return safePrompt !== undefined ? { safe_prompt: Boolean(safePrompt) } : {};
+  }
+
+  /**
+   * Mistral takes image_url as a plain URL or data URL
+   */
+  formatVisionMessages (messages) {
+    return this.formatMessages(messages).map(message => {
+      if (!Array.isArray(message.content)) {
+        return message;
+      }
+      return {
+        ...message,
+        content: message.content.map(part => {
+          if (part.type !== 'image_url' && part.type !== 'image') {
+            return part;
+          }
+          const source = part.image_url ?? part.image;
+          return {
+            type: 'image_url',
+            image_url: this._imageProcessor.processImageForOpenAI(
+              typeof source === 'string' || Buffer.isBuffer(source) ? source : source?.url
+            ).url
+          };
+        })
+      };
+    });
+  }
+
+  /**
+   * POST to the API; streaming requests resolve to an async iterable
+   * of chunks with a controller for aborting
+   */
+  async _request (path, params) {
+    try {
+      if (!params.stream) {
+        const response = await axios.post(`${this.baseURL}${path}`, params, {
+          headers: this._getHeaders(),
+          timeout: this.timeout
+        });
+        return response.data;
+      }
+
+      const controller = new AbortController();
+      const response = await axios.post(`${this.baseURL}${path}`, params, {
+        headers: this._getHeaders(),
+        timeout: this.timeout,
+        responseType: 'stream',
+        signal: controller.signal
+      });
+      const stream = StreamResponse.jsonLines(response.data);
+      stream.controller = controller;
+      return stream;
+    } catch (error) {
+      const detail = error.response?.data?.message;
+      if (detail) {
+        error.message = `${error.message}: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`;
+      }
+      throw error;
+    }
+  }
+
+  _getHeaders () {
+    return {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${this.config.apiKey}`
+    };
+  }
+
+  // ============================================================================
+  // SDK-SPECIFIC OVERRIDES
+  // ============================================================================
+
+  async checkSDKAvailability () {
+    try {
+      const models = await this.listSDKModels();
+      return models.length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * List the models that support chat completions
+   */
+  async listSDKModels () {
+    if (this.hasCache('models', 'list')) {
+      return this.getCache('models', 'list');
+    }
+
+    const response = await axios.get(`${this.baseURL}/models`, {
+      headers: this._getHeaders(),
+      timeout: this.timeout
+    });
+    const models = (response.data.data || [])
+      .filter(model => model.capabilities?.completion_chat !== false)
+      .map(model => this._formatModel(model));
+
+    this.setCache('models', 'list', models, { expiry: 5 * 60 * 1000 });
+    return models;
+  }
+
+  async getModelInfo (modelName = null) {
+    const targetModel = modelName || this.config.model;
+
+    try {
+      const response = await axios.get(`${this.baseURL}/models/${encodeURIComponent(targetModel)}`, {
+        headers: this._getHeaders(),
+        timeout: this.timeout
+      });
+      return this._formatModel(response.data);
+    } catch (error) {
+      // Fall back to basic info if API call fails
+      return {
+        name: targetModel,
+        context_length: null,
+        supports_vision: targetModel === this.defaultVisionModel,
+        description: `${this.name} model: ${targetModel}`,
+        provider: this.name
+      };
+    }
+  }
+
+  _formatModel (model) {
+    return {
+      id: model.id,
+      name: model.id,
+      type: 'chat_completion',
+      context_length: model.max_context_length || null,
+      supports_vision: Boolean(model.capabilities?.vision),
+      supports_tools: Boolean(model.capabilities?.function_calling),
+      description: model.description || `${this.name} model: ${model.id}`,
+      provider: this.name
+    };
+  }
+}
+
+module.exports = MistralProvider;
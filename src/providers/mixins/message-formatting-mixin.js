@@ -24,6 +24,13 @@ class MessageFormattingMixin {
   // CORE MESSAGE FORMATTING METHODS
   // ============================================================================
 
+  /**
+   * Most messages formatMessages() accepts in one call
+   */
+  getMaxMessages () {
+    return this._maxMessages;
+  }
+
   /**
    * Format messages for provider consumption
    */
@@ -200,36 +207,19 @@ class MessageFormattingMixin {
 
   /**
    * Format messages for Anthropic
+   * System messages are kept in place; extractAnthropicSystem() moves them
+   * to the top-level system parameter
    */
   formatMessagesForAnthropic(messages, options = {}) {
     const formatted = this.formatMessages(messages, options);
     const anthropicMessages = [];
     
-    for (let i = 0; i < formatted.length; i++) {
-      const message = formatted[i];
-      
+    for (const message of formatted) {
       if (message.role === 'system') {
-        // Anthropic doesn't support system messages in the same way
-        // We'll prepend system messages to the first user message
-        if (anthropicMessages.length === 0) {
-          const nextMessage = formatted[i + 1];
-          if (nextMessage && nextMessage.role === 'user') {
-            const userContent = nextMessage.content || '';
-            anthropicMessages.push({
-              role: 'user',
-              content: `System: ${message.content}\n\nUser: ${userContent}`
-            });
-            i++; // Skip the next message since we've combined it
-          }
-        }
-      } else if (message.role === 'assistant') {
+        anthropicMessages.push(message);
+      } else if (message.role === 'assistant' || message.role === 'user') {
         anthropicMessages.push({
-          role: 'assistant',
-          content: message.content
-        });
-      } else if (message.role === 'user') {
-        anthropicMessages.push({
-          role: 'user',
+          role: message.role,
           content: message.content
         });
       }
@@ -238,6 +228,46 @@ class MessageFormattingMixin {
     return anthropicMessages;
   }
 
+  /**
+   * Split Anthropic messages into the top-level system parameter and the conversation
+   * System content stays a plain string unless a system message has content blocks
+   * or cache_control, in which case all of it becomes text blocks so the markers survive
+   * @returns {Object} { system, messages } with system undefined when there is none
+   */
+  extractAnthropicSystem(messages) {
+    const systemMessages = messages.filter(message => message.role === 'system');
+    const conversation = messages.filter(message => message.role !== 'system');
+    if (systemMessages.length === 0) {
+      return { system: undefined, messages: conversation };
+    }
+
+    const usesBlocks = systemMessages.some(message => Array.isArray(message.content) || message.cache_control);
+    if (!usesBlocks) {
+      return { system: systemMessages.map(message => message.content).join('\n\n'), messages: conversation };
+    }
+
+    const system = [];
+    for (const message of systemMessages) {
+      const blocks = (Array.isArray(message.content) ? message.content : [message.content]).map(block => {
+        if (typeof block === 'string') {
+          return { type: 'text', text: block };
+        }
+        return {
+          type: 'text',
+          text: block.text ?? block.content,
+          ...(block.cache_control ? { cache_control: block.cache_control } : {})
+        };
+      });
+      // A message-level marker caches everything up to the end of that message
+      if (message.cache_control && blocks.length > 0) {
+        blocks[blocks.length - 1] = { ...blocks[blocks.length - 1], cache_control: message.cache_control };
+      }
+      system.push(...blocks);
+    }
+
+    return { system, messages: conversation };
+  }
+
   /**
    * Format vision messages for Anthropic
    */
@@ -432,10 +462,11 @@ class MessageFormattingMixin {
 
   /**
    * Generate cache key for messages
+   * Covers every message field, since fields like cache_control change the formatted output
    */
   _generateMessageCacheKey(messages, options) {
     const key = JSON.stringify({
-      messages: messages.map(m => ({ role: m.role, content: m.content })),
+      messages,
       options: { maxLength: options.maxLength, maxMessages: options.maxMessages }
     });
     
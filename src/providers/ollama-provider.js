@@ -1,5 +1,8 @@
 const BaseProvider = require('./base-provider');
 const CacheMixin = require('./mixins/cache-mixin');
+const ImageProcessingMixin = require('./mixins/image-processing-mixin');
+const StreamResponse = require('./stream-response');
+const ProgressStream = require('./progress-stream');
 const axios = require('axios');
 
 class OllamaProvider extends BaseProvider {
@@ -9,11 +12,19 @@ class OllamaProvider extends BaseProvider {
       baseURL: config.baseURL,
       endpoint: '/api/chat',
       requestFormat: 'ollama',
-      responseFormat: 'ollama'
+      responseFormat: 'ollama',
+      // Without one, vision requests use a local model that reports the vision capability
+      defaultVisionModel: config.defaultVisionModel || null
     });
 
+    // Generous by default since the first request may have to load the model
+    this.timeout = config.timeout || 5 * 60 * 1000;
+
     // Initialize cache mixin after super() call
     this._initializeCacheMixin();
+
+    // Standalone processor so the mixin's own helpers are used internally
+    this._imageProcessor = new ImageProcessingMixin();
   }
 
   /**
@@ -27,25 +38,20 @@ class OllamaProvider extends BaseProvider {
       cleanupInterval: 2 * 60 * 1000 // 2 minutes
     });
 
-    // Copy all methods from the cache mixin, but preserve existing methods
-    Object.getOwnPropertyNames(Object.getPrototypeOf(cacheMixin)).forEach(key => {
-      if (key !== 'constructor' && !this[key]) {
-        this[key] = cacheMixin[key].bind(this);
-      }
-    });
-
-    // Copy instance properties, but preserve existing ones
-    Object.keys(cacheMixin).forEach(key => {
-      if (!this[key]) {
-        this[key] = cacheMixin[key];
-      }
-    });
+    // Copy methods and state from the cache mixin, but preserve existing ones
+    this._applyMixin(cacheMixin);
 
     // Create response cache
     this.createCache('responses', {
       expiry: 2 * 60 * 1000,
       maxSize: 50
     });
+
+    // Model capabilities from /api/show, used to pick vision models
+    this.createCache('capabilities', {
+      expiry: 5 * 60 * 1000,
+      maxSize: 100
+    });
   }
 
   // ============================================================================
@@ -101,6 +107,7 @@ class OllamaProvider extends BaseProvider {
       });
 
       if (response.data) {
+        const capabilities = this._extractCapabilities(response.data);
         return {
           name: response.data.name,
           size: this._formatBytes(response.data.size),
@@ -108,7 +115,10 @@ class OllamaProvider extends BaseProvider {
           quantization: response.data.quantization_level,
           family: response.data.family,
           modified_at: response.data.modified_at,
-          digest: response.data.digest
+          digest: response.data.digest,
+          context_length: this._extractContextLength(response.data),
+          capabilities,
+          supports_vision: capabilities.includes('vision')
         };
       }
 
@@ -118,6 +128,35 @@ class OllamaProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Read the context window from /api/show
+   * A num_ctx parameter (model or client options) takes precedence over the trained length
+   * because Ollama truncates prompts to it
+   */
+  _extractContextLength(data) {
+    const numCtx = this.config.numCtx ||
+      parseInt((data.parameters || '').match(/num_ctx\s+(\d+)/)?.[1]);
+    if (numCtx) {
+      return numCtx;
+    }
+
+    const key = Object.keys(data.model_info || {}).find(name => name.endsWith('.context_length'));
+    return key ? data.model_info[key] : null;
+  }
+
+  /**
+   * Read capabilities ('completion', 'vision', 'tools', ...) from /api/show
+   * Older Ollama versions don't report them; a CLIP projector also means vision
+   */
+  _extractCapabilities(data) {
+    const capabilities = [...(data.capabilities || [])];
+    const hasProjector = data.projector_info || (data.details?.families || []).includes('clip');
+    if (hasProjector && !capabilities.includes('vision')) {
+      capabilities.push('vision');
+    }
+    return capabilities;
+  }
+
   // ============================================================================
   // OLLAMA-SPECIFIC FEATURES (Not available in base provider)
   // ============================================================================
@@ -152,6 +191,390 @@ class OllamaProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Embed a batch of texts with /api/embed
+   */
+  async createEmbeddings (texts, options) {
+    const keepAlive = options.keepAlive ?? this.config.keepAlive;
+    const response = await axios.post(`${this.baseURL}/api/embed`, {
+      model: options.model,
+      input: texts,
+      ...(options.dimensions ? { dimensions: options.dimensions } : {}),
+      ...(keepAlive !== undefined ? { keep_alive: keepAlive } : {})
+    }, { timeout: 60000 });
+
+    return {
+      embeddings: response.data.embeddings,
+      model: response.data.model || options.model,
+      usage: { input_tokens: response.data.prompt_eval_count || 0 }
+    };
+  }
+
+  /**
+   * Raw prompts through /api/generate
+   * Besides suffix and the sampling options, accepts raw (skip the model's template),
+   * template, system and context (from a previous response, to continue it);
+   * non-streaming responses return context
+   */
+  async createCompletion (prompt, options) {
+    const { keep_alive: keepAlive, ...modelOptions } = this._extractOllamaOptions(options);
+    const model = options.model || this.config.model;
+    const requestData = {
+      model,
+      prompt,
+      ...(options.suffix !== undefined ? { suffix: options.suffix } : {}),
+      ...(options.raw ? { raw: true } : {}),
+      ...(options.template ? { template: options.template } : {}),
+      ...(options.system ? { system: options.system } : {}),
+      ...(options.context ? { context: options.context } : {}),
+      options: modelOptions,
+      ...(keepAlive !== undefined ? { keep_alive: keepAlive } : {}),
+      stream: Boolean(options.stream)
+    };
+
+    try {
+      if (options.stream) {
+        return await this._makeStreamRequest(requestData, '/api/generate');
+      }
+
+      const { data } = await axios.post(`${this.baseURL}/api/generate`, requestData, { timeout: this.timeout });
+      return {
+        ...this.formatResponse(data.response || '', data.model || model, {
+          input_tokens: data.prompt_eval_count || 0,
+          output_tokens: data.eval_count || 0
+        }, data.done_reason || 'stop'),
+        context: data.context || null
+      };
+    } catch (error) {
+      const detail = error.response?.data?.error;
+      if (typeof detail === 'string') {
+        error.message = `${error.message}: ${detail}`;
+      }
+      throw error;
+    }
+  }
+
+  // ============================================================================
+  // OLLAMA-SPECIFIC VISION
+  // ============================================================================
+
+  /**
+   * Get a model's capabilities, cached for a few minutes
+   * @param {string} modelName - Model to inspect (defaults to the configured model)
+   * @returns {Promise<Array<string>>} e.g. ['completion', 'vision']
+   */
+  async getModelCapabilities (modelName = null) {
+    const targetModel = modelName || this.config.model;
+    if (this.hasCache('capabilities', targetModel)) {
+      return this.getCache('capabilities', targetModel);
+    }
+
+    const response = await axios.post(`${this.baseURL}/api/show`, { name: targetModel }, { timeout: 10000 });
+    const capabilities = this._extractCapabilities(response.data || {});
+    this.setCache('capabilities', targetModel, capabilities);
+    return capabilities;
+  }
+
+  /**
+   * Pick the model for a vision request: the requested model, the configured
+   * vision model, the chat model if it can see, or the first local model that can
+   */
+  async _resolveVisionModel (options) {
+    if (options.model || this.defaultVisionModel) {
+      return options.model || this.defaultVisionModel;
+    }
+
+    // A model whose details can't be read is treated as unable to see
+    const canSee = model => this.getModelCapabilities(model).then(
+      capabilities => capabilities.includes('vision'),
+      () => false
+    );
+
+    if (await canSee(this.config.model)) {
+      return this.config.model;
+    }
+    const models = await this._listHttpModels();
+    const visible = await Promise.all(models.map(model => canSee(model.name)));
+    const index = visible.indexOf(true);
+    if (index !== -1) {
+      return models[index].name;
+    }
+
+    throw new Error('No vision-capable Ollama model found; pull one (e.g. ollama pull llava) or set OLLAMA_VISION_MODEL');
+  }
+
+  /**
+   * Image parts stay neutral until the request is sent; see _formatImagesForOllama()
+   */
+  formatVisionMessages (messages) {
+    return this.formatMessages(messages);
+  }
+
+  /**
+   * Move image parts into the message's images field, which is all /api/chat reads
+   * Remote images are downloaded, files read and data URL prefixes stripped
+   */
+  async _formatImagesForOllama (messages) {
+    return Promise.all(messages.map(async message => {
+      if (!Array.isArray(message.content)) {
+        return message;
+      }
+
+      const text = [];
+      const images = [...(message.images || [])];
+      for (const part of message.content) {
+        if (typeof part === 'string') {
+          text.push(part);
+        } else if (part.type === 'image_url' || part.type === 'image') {
+          images.push(await this._loadImageBase64(part.image_url ?? part.image));
+        } else if (part.text !== undefined) {
+          text.push(part.text);
+        }
+      }
+
+      return {
+        ...message,
+        content: text.join('\n'),
+        ...(images.length > 0 ? { images } : {})
+      };
+    }));
+  }
+
+  /**
+   * Raw base64 for an image given as a data URL, file path, buffer or remote URL
+   */
+  async _loadImageBase64 (source) {
+    const image = this._imageProcessor.processImage(
+      typeof source === 'string' || Buffer.isBuffer(source) ? source : source?.url
+    );
+
+    if (image.type === 'url') {
+      const response = await axios.get(image.url, { responseType: 'arraybuffer', timeout: 30000 });
+      return Buffer.from(response.data).toString('base64');
+    }
+
+    return image.data;
+  }
+
+  // ============================================================================
+  // OLLAMA-SPECIFIC MODEL MANAGEMENT
+  // ============================================================================
+
+  /**
+   * Switch models, optionally pulling one that isn't available locally
+   * @param {string} modelName - Model to switch to
+   * @param {Object} options - { pull } overrides the autoPull setting; onProgress receives pull events
+   * @returns {Promise<boolean>} Success status
+   */
+  async switchModel (modelName, options = {}) {
+    try {
+      const models = await this._listHttpModels();
+      const exists = models.some(model => model.name === modelName || model.name === `${modelName}:latest`);
+
+      if (!exists) {
+        if (!(options.pull ?? this.config.autoPull)) {
+          throw new Error(`Model '${modelName}' not found. Available models: ${models.map(m => m.name).join(', ')}`);
+        }
+        const progress = await this.pullModel(modelName);
+        if (options.onProgress) {
+          progress.on('progress', options.onProgress);
+        }
+        await progress.finished();
+      }
+
+      this.config.model = modelName;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to switch model: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download a model from a registry
+   * @param {string} name - Model name, e.g. 'llama3.2' or 'qwen2.5:7b'
+   * @param {Object} options - { insecure } to allow registries without TLS
+   * @returns {Promise<ProgressStream>} Download progress with bytes and percent per layer
+   */
+  async pullModel (name, options = {}) {
+    return this._progressRequest('/api/pull', {
+      model: name,
+      ...(options.insecure ? { insecure: true } : {})
+    }, name);
+  }
+
+  /**
+   * Create a model from a Modelfile
+   * @param {string} name - Name of the new model
+   * @param {string|Object} modelfile - Modelfile text, or /api/create fields such as { from, system, parameters }
+   * @returns {Promise<ProgressStream>} Creation progress
+   */
+  async createModel (name, modelfile) {
+    const fields = typeof modelfile === 'string' ? this._parseModelfile(modelfile) : modelfile;
+    return this._progressRequest('/api/create', { model: name, ...fields }, name);
+  }
+
+  /**
+   * Delete a local model
+   * @param {string} name - Model to delete
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteModel (name) {
+    try {
+      await axios.delete(`${this.baseURL}/api/delete`, { data: { model: name }, timeout: 30000 });
+      this.deleteCache('capabilities', name);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete model: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Copy a local model under a new name
+   * @param {string} source - Existing model
+   * @param {string} destination - New name
+   * @returns {Promise<boolean>} Success status
+   */
+  async copyModel (source, destination) {
+    try {
+      await axios.post(`${this.baseURL}/api/copy`, { source, destination }, { timeout: 30000 });
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to copy model: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * List the models currently loaded in memory
+   * @returns {Promise<Array>} Loaded models with their memory use and unload time
+   */
+  async listRunningModels () {
+    try {
+      const response = await axios.get(`${this.baseURL}/api/ps`, { timeout: 5000 });
+      return (response.data.models || []).map(model => ({
+        name: model.name,
+        size: this._formatBytes(model.size),
+        size_vram: this._formatBytes(model.size_vram || 0),
+        expires_at: model.expires_at,
+        digest: model.digest,
+        context_length: model.context_length || null
+      }));
+    } catch (error) {
+      throw new Error(`Failed to list running models: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a model into memory so the first request doesn't wait for it
+   * @param {string} modelName - Model to load (defaults to the configured model)
+   * @param {Object} options - { keepAlive } how long to keep it loaded, e.g. '30m' or -1 for indefinitely
+   * @returns {Promise<boolean>} Success status
+   */
+  async preloadModel (modelName = null, options = {}) {
+    const keepAlive = options.keepAlive ?? this.config.keepAlive;
+    try {
+      // A request without a prompt only loads the model
+      await axios.post(`${this.baseURL}/api/generate`, {
+        model: modelName || this.config.model,
+        ...(keepAlive !== undefined ? { keep_alive: keepAlive } : {})
+      }, { timeout: options.timeout || 5 * 60 * 1000 });
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to preload model: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Unload a model right away to free its (GPU) memory
+   * @param {string} modelName - Model to unload (defaults to the configured model)
+   * @returns {Promise<boolean>} Success status
+   */
+  async unloadModel (modelName = null) {
+    try {
+      await axios.post(`${this.baseURL}/api/generate`, {
+        model: modelName || this.config.model,
+        keep_alive: 0
+      }, { timeout: 30000 });
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to unload model: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * POST a streaming model operation and wrap its status lines in a ProgressStream
+   * @private
+   */
+  async _progressRequest (path, body, model) {
+    const controller = new AbortController();
+    const response = await axios.post(`${this.baseURL}${path}`, { ...body, stream: true }, {
+      timeout: this.timeout,
+      responseType: 'stream',
+      signal: controller.signal
+    });
+
+    return new ProgressStream(StreamResponse.jsonLines(response.data), {
+      model,
+      onAbort: () => controller.abort()
+    });
+  }
+
+  /**
+   * Convert Modelfile text into /api/create fields, since the API no longer takes the raw text
+   * Supports FROM, SYSTEM, TEMPLATE, LICENSE, PARAMETER and MESSAGE with """ multi-line values
+   * @private
+   */
+  _parseModelfile (modelfile) {
+    const fields = {};
+    const unquote = value => value.trim().replace(/^"""([\s\S]*)"""$/, '$1').replace(/^"(.*)"$/, '$1');
+    const pattern = /^[ \t]*([A-Za-z]+)[ \t]+([^\n]*?"""[\s\S]*?"""[^\n]*|.*)$/gm;
+
+    for (const [, instruction, rawValue] of modelfile.matchAll(pattern)) {
+      const value = unquote(rawValue);
+      switch (instruction.toUpperCase()) {
+      case 'FROM':
+        fields.from = value;
+        break;
+      case 'SYSTEM':
+        fields.system = value;
+        break;
+      case 'TEMPLATE':
+        fields.template = value;
+        break;
+      case 'LICENSE':
+        fields.license = value;
+        break;
+      case 'PARAMETER': {
+        const [, key, param] = rawValue.trim().match(/^(\S+)\s+([\s\S]*)$/) || [];
+        if (!key) {
+          throw new Error(`Invalid Modelfile PARAMETER: ${rawValue.trim()}`);
+        }
+        const parsed = unquote(param);
+        const number = Number(parsed);
+        fields.parameters = fields.parameters || {};
+        if (key === 'stop') {
+          // stop may be given several times
+          fields.parameters.stop = [...(fields.parameters.stop || []), parsed];
+        } else {
+          fields.parameters[key] = parsed === 'true' || parsed === 'false' ? parsed === 'true' : (parsed !== '' && !isNaN(number) ? number : parsed);
+        }
+        break;
+      }
+      case 'MESSAGE': {
+        const [, role, content] = rawValue.trim().match(/^(\S+)\s+([\s\S]*)$/) || [];
+        fields.messages = [...(fields.messages || []), { role, content: unquote(content || '') }];
+        break;
+      }
+      default:
+        throw new Error(`Unsupported Modelfile instruction: ${instruction}`);
+      }
+    }
+
+    if (!fields.from) {
+      throw new Error('Modelfile must contain a FROM instruction');
+    }
+    return fields;
+  }
+
   /**
    * Override extractContent to handle Ollama's response format properly
    */
@@ -218,14 +641,15 @@ class OllamaProvider extends BaseProvider {
       this.extractContent(response),
       response.model,
       this.extractUsage(response),
-      'stop'
+      'stop',
+      this.extractToolCalls(response)
     );
   }
 
   async httpVision (formattedMessages, validOptions, options) {
     const requestData = this.formatRequestData(
-      options.model || this.defaultVisionModel || this.config.model,
-      formattedMessages,
+      await this._resolveVisionModel(options),
+      await this._formatImagesForOllama(formattedMessages),
       validOptions,
       false
     );
@@ -236,7 +660,8 @@ class OllamaProvider extends BaseProvider {
       this.extractContent(response),
       response.model,
       this.extractUsage(response),
-      'stop'
+      'stop',
+      this.extractToolCalls(response)
     );
   }
 
@@ -248,28 +673,18 @@ class OllamaProvider extends BaseProvider {
       true
     );
 
-    const response = await this.makeRequestWithRetry(requestData, {
-      stream: true,
-      responseType: 'stream'
-    });
-
-    return response.data;
+    return this._makeStreamRequest(requestData);
   }
 
   async httpStreamVision (formattedMessages, validOptions, options) {
     const requestData = this.formatRequestData(
-      options.model || this.defaultVisionModel || this.config.model,
-      formattedMessages,
+      await this._resolveVisionModel(options),
+      await this._formatImagesForOllama(formattedMessages),
       validOptions,
       true
     );
 
-    const response = await this.makeRequestWithRetry(requestData, {
-      stream: true,
-      responseType: 'stream'
-    });
-
-    return response.data;
+    return this._makeStreamRequest(requestData);
   }
 
   // ============================================================================
@@ -291,20 +706,6 @@ class OllamaProvider extends BaseProvider {
     }
   }
 
-  /**
-   * Check if error is retryable
-   */
-  isRetryableError (error) {
-    const retryableStatuses = [408, 429, 500, 502, 503, 504];
-    const retryableCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT'];
-    
-    return (
-      (error.response && retryableStatuses.includes(error.response.status)) ||
-      (error.code && retryableCodes.includes(error.code)) ||
-      error.message.includes('timeout')
-    );
-  }
-
   /**
    * Delay utility for retry logic
    */
@@ -314,14 +715,18 @@ class OllamaProvider extends BaseProvider {
 
   formatRequestData (model, messages, options, stream) {
     if (this.requestFormat === 'ollama') {
+      // keep_alive is a request field rather than a model option
+      const { keep_alive: keepAlive, ...modelOptions } = this._extractOllamaOptions(options);
       return {
         model,
         messages,
         options: {
-          temperature: options.temperature,
-          num_predict: options.maxTokens,
+          ...modelOptions,
           stream
-        }
+        },
+        ...(keepAlive !== undefined ? { keep_alive: keepAlive } : {}),
+        ...this.formatToolOptions(options),
+        ...this.formatResponseFormatOptions(options)
       };
     } else {
       // OpenAI-compatible format
@@ -330,122 +735,86 @@ class OllamaProvider extends BaseProvider {
         messages,
         temperature: options.temperature,
         max_tokens: options.maxTokens,
-        stream
+        stream,
+        ...this.formatToolOptions(options),
+        ...this.formatResponseFormatOptions(options)
       };
     }
   }
 
   // ============================================================================
-  // OLLAMA-SPECIFIC STREAMING IMPLEMENTATION
+  // OLLAMA-SPECIFIC TOOL CALLING
   // ============================================================================
 
   /**
-   * Stream chat responses in real-time (Ollama-specific implementation)
-   * @param {Array|string} messages - Messages to send
-   * @param {Object} options - Streaming options
-   * @returns {Promise<EventEmitter>} Stream emitter
+   * Ollama accepts OpenAI-style tool definitions but has no tool_choice
    */
-  async streamChat(messages, options = {}) {
-    const { EventEmitter } = require('events');
-    const stream = new EventEmitter();
-    
-    try {
-      const formattedMessages = this.formatMessages(messages);
-      const mergedOptions = this.mergeOptions(this.getDefaultOptions(), options);
-      const validOptions = this.validateOptions(mergedOptions);
-      
-      // Ensure streaming is enabled
-      validOptions.stream = true;
-      
-      // Prepare request data
-      const requestData = {
-        model: validOptions.model || this.config.model,
-        messages: formattedMessages,
-        stream: true,
-        ...this._extractOllamaOptions(validOptions)
-      };
+  formatToolOptions (options) {
+    const { tools } = super.formatToolOptions(options);
+    return tools ? { tools } : {};
+  }
 
-      // Make streaming request
-      const response = await axios.post(`${this.baseURL}${this.endpoint}`, requestData, {
-        ...options,
-        responseType: 'stream'
-      });
+  /**
+   * Ollama takes 'json' or a JSON Schema in the format field
+   */
+  formatResponseFormatOptions (options) {
+    const format = options.responseFormat;
+    if (!format) {
+      return {};
+    }
+    return { format: format.schema || 'json' };
+  }
 
-      let accumulatedContent = '';
-      let tokenCount = 0;
+  /**
+   * Ollama tool calls carry object arguments and results are matched by tool name
+   */
+  formatToolMessage (message) {
+    if (message.role === 'tool') {
+      return {
+        role: 'tool',
+        content: this.stringifyToolResult(message.content),
+        tool_name: message.name
+      };
+    }
 
-      response.data.on('data', (chunk) => {
-        const lines = chunk.toString().split('\n');
-        
-        for (const line of lines) {
-          if (line.trim()) {
-            try {
-              const parsed = JSON.parse(line);
-              
-              if (parsed.message?.content) {
-                const content = parsed.message.content;
-                accumulatedContent += content;
-                tokenCount++;
-                
-                // Emit chunk data
-                stream.emit('data', {
-                  content,
-                  model: parsed.model,
-                  done: false,
-                  token_count: tokenCount
-                });
-              }
-              
-              if (parsed.done === true) {
-                // Emit final response
-                stream.emit('data', {
-                  content: '',
-                  model: parsed.model,
-                  done: true,
-                  final_content: accumulatedContent,
-                  total_tokens: tokenCount
-                });
-                
-                stream.emit('end', {
-                  content: accumulatedContent,
-                  model: parsed.model,
-                  usage: {
-                    input_tokens: validOptions.messages?.length || 0,
-                    output_tokens: tokenCount
-                  }
-                });
-              }
-            } catch (e) {
-              // Skip malformed lines
-              continue;
-            }
-          }
+    return {
+      role: 'assistant',
+      content: message.content || '',
+      tool_calls: message.toolCalls.map(call => ({
+        function: {
+          name: call.name,
+          arguments: call.arguments || {}
         }
-      });
-
-      response.data.on('error', (error) => {
-        stream.emit('error', error);
-      });
+      }))
+    };
+  }
 
-      response.data.on('end', () => {
-        if (!stream.listenerCount('end')) {
-          // If no end event was emitted, emit it now
-          stream.emit('end', {
-            content: accumulatedContent,
-            model: requestData.model,
-            usage: {
-              input_tokens: validOptions.messages?.length || 0,
-              output_tokens: tokenCount
-            }
-          });
-        }
-      });
+  // ============================================================================
+  // OLLAMA-SPECIFIC STREAMING IMPLEMENTATION
+  // ============================================================================
 
-    } catch (error) {
-      stream.emit('error', error);
-    }
+  /**
+   * Open a streaming request and wrap it in a StreamResponse
+   * Bypasses makeRequest(), which buffers the whole body as text
+   * @param {Object} requestData - Request body from formatRequestData()
+   * @param {string} path - API path, /api/chat unless given
+   * @returns {Promise<StreamResponse>} Unified stream
+   */
+  async _makeStreamRequest (requestData, path = this.endpoint) {
+    const controller = new AbortController();
+    const response = await axios.post(`${this.baseURL}${path}`, {
+      ...requestData,
+      stream: true
+    }, {
+      timeout: this.timeout,
+      responseType: 'stream',
+      signal: controller.signal
+    });
 
-    return stream;
+    return this.createStreamResponse(StreamResponse.jsonLines(response.data), {
+      model: requestData.model,
+      onAbort: () => controller.abort()
+    });
   }
 
   // ============================================================================
@@ -464,21 +833,46 @@ class OllamaProvider extends BaseProvider {
     if (options.temperature !== undefined) ollamaOptions.temperature = options.temperature;
     if (options.maxTokens !== undefined) ollamaOptions.num_predict = options.maxTokens;
     
+    // Shared sampling options (topK, topP, stop, seed and penalties)
+    Object.assign(ollamaOptions, this.formatSamplingOptions(options));
+
     // Ollama-specific options
-    if (options.topK !== undefined) ollamaOptions.top_k = options.topK;
-    if (options.topP !== undefined) ollamaOptions.top_p = options.topP;
     if (options.repeatPenalty !== undefined) ollamaOptions.repeat_penalty = options.repeatPenalty;
-    if (options.seed !== undefined) ollamaOptions.seed = options.seed;
     if (options.numCtx !== undefined) ollamaOptions.num_ctx = options.numCtx;
     if (options.numGpu !== undefined) ollamaOptions.num_gpu = options.numGpu;
     if (options.numThread !== undefined) ollamaOptions.num_thread = options.numThread;
     if (options.repeatLastN !== undefined) ollamaOptions.repeat_last_n = options.repeatLastN;
     if (options.tfsZ !== undefined) ollamaOptions.tfs_z = options.tfsZ;
     if (options.typicalP !== undefined) ollamaOptions.typical_p = options.typicalP;
+
+    // How long the model stays loaded after the request, e.g. '10m', 3600 (seconds) or -1 (forever)
+    if (options.keepAlive !== undefined) ollamaOptions.keep_alive = options.keepAlive;
     
     return ollamaOptions;
   }
 
+  /**
+   * Sampling options are model options; stop takes a list
+   */
+  getSamplingParameters() {
+    return {
+      topP: 'top_p',
+      topK: 'top_k',
+      stop: value => ({ stop: [].concat(value) }),
+      seed: 'seed',
+      presencePenalty: 'presence_penalty',
+      frequencyPenalty: 'frequency_penalty'
+    };
+  }
+
+  /**
+   * The client-wide keepAlive applies unless a request sets its own
+   */
+  getDefaultOptions() {
+    const defaults = super.getDefaultOptions();
+    return this.config.keepAlive !== undefined ? { ...defaults, keepAlive: this.config.keepAlive } : defaults;
+  }
+
   /**
    * Override getCurrentConfig to include Ollama-specific options
    * @returns {Object} Current configuration with Ollama options
@@ -511,11 +905,18 @@ class OllamaProvider extends BaseProvider {
     // For streaming responses, we need to reconstruct the complete content
     let completeContent = '';
     let finalResponse = null;
+    const toolCalls = [];
     
     // Process all lines to build complete content
     for (let i = 0; i < lineCount; i++) {
       try {
         const parsed = JSON.parse(lines[i]);
+
+        // Tool calls arrive whole in a single chunk
+        if (parsed.message?.tool_calls) {
+          toolCalls.push(...parsed.message.tool_calls);
+          finalResponse = finalResponse || parsed;
+        }
         
         // If this line has content, accumulate it
         if (parsed.message?.content) {
@@ -540,7 +941,7 @@ class OllamaProvider extends BaseProvider {
     }
     
     // If we have accumulated content, create a proper response
-    if (completeContent && finalResponse) {
+    if ((completeContent || toolCalls.length > 0) && finalResponse) {
       // Create a response with the complete content
       const reconstructedResponse = {
         ...finalResponse,
@@ -549,6 +950,10 @@ class OllamaProvider extends BaseProvider {
           content: completeContent
         } : { content: completeContent }
       };
+
+      if (toolCalls.length > 0) {
+        reconstructedResponse.message.tool_calls = toolCalls;
+      }
       
       // Cache the result
       this.setCache('responses', cacheKey, reconstructedResponse);
@@ -3,18 +3,36 @@ const BaseProvider = require('./base-provider');
 const CacheMixin = require('./mixins/cache-mixin');
 
 class OpenAICompatibleProvider extends BaseProvider {
+  /**
+   * @param {Object} config - Provider configuration; custom endpoints may add headers,
+   *   defaultVisionModel and capabilities ({ vision, tools, structuredOutput, completions })
+   * @param {string} providerName - Provider name
+   * @param {string|null} defaultVisionModel - Vision model used unless the config names one
+   */
   constructor (config, providerName, defaultVisionModel = null) {
     super(config, providerName, {
       providerType: 'sdk',
-      defaultVisionModel,
+      defaultVisionModel: config.defaultVisionModel || defaultVisionModel,
       client: new OpenAI({
-        apiKey: config.apiKey,
+        // Self-hosted servers usually ignore the key, but the SDK requires one
+        apiKey: config.apiKey || 'not-needed',
         baseURL: config.baseURL,
+        defaultHeaders: config.headers,
         timeout: 30000,
         maxRetries: 3
       })
     });
 
+    // What the endpoint supports; structuredOutput is 'json_schema', 'json_object' or false
+    this.capabilities = {
+      vision: this.defaultVisionModel !== null,
+      tools: true,
+      structuredOutput: 'json_schema',
+      // The legacy /completions endpoint for base and code models
+      completions: true,
+      ...config.capabilities
+    };
+
     // Initialize cache mixin after super() call
     this._initializeCacheMixin();
   }
@@ -24,7 +42,7 @@ class OpenAICompatibleProvider extends BaseProvider {
    */
   _initializeCacheMixin() {
     // Initialize cache mixin for models and vision support caching
-    Object.assign(this, new CacheMixin({
+    this._applyMixin(new CacheMixin({
       defaultExpiry: 5 * 60 * 1000, // 5 minutes
       defaultMaxSize: 100,
       cleanupInterval: 2 * 60 * 1000 // 2 minutes
@@ -51,17 +69,81 @@ class OpenAICompatibleProvider extends BaseProvider {
   }
 
   extractContentFromSDK (response) {
-    return response.choices[0].message.content;
+    // Content is null when the model only returns tool calls
+    return response.choices[0].message.content || '';
   }
 
   extractUsageFromSDK (response) {
     return response.usage;
   }
 
+  async createEmbeddings (texts, options) {
+    const response = await this.client.embeddings.create({
+      model: options.model,
+      input: texts,
+      encoding_format: 'float',
+      ...(options.dimensions ? { dimensions: options.dimensions } : {})
+    });
+    return {
+      embeddings: [...response.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+      model: response.model,
+      usage: { input_tokens: response.usage?.prompt_tokens || 0 }
+    };
+  }
+
+  /**
+   * Raw prompts go to /completions; streamed chunks carry choices[0].text
+   */
+  async createCompletion (prompt, options) {
+    if (!this.capabilities.completions) {
+      return super.createCompletion(prompt, options);
+    }
+
+    const model = options.model || this.config.model;
+    const response = await this.client.completions.create({
+      model,
+      prompt,
+      ...(options.suffix !== undefined ? { suffix: options.suffix } : {}),
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      stream: options.stream,
+      ...this.formatSamplingOptions(options)
+    });
+
+    if (options.stream) {
+      return this.createStreamResponse(response, { model });
+    }
+    const choice = response.choices[0];
+    return this.formatResponse(choice.text || '', response.model || model, response.usage, choice.finish_reason);
+  }
+
+  formatToolOptions (options) {
+    if (!this.capabilities.tools && this.normalizeTools(options.tools).length > 0) {
+      throw new Error(`${this.name} does not support tool calling`);
+    }
+    return super.formatToolOptions(options);
+  }
+
+  /**
+   * Downgrade JSON mode to what the endpoint supports
+   * Without native JSON mode, generateObject() still relies on the prompt and validation
+   */
+  formatResponseFormatOptions (options) {
+    const mode = this.capabilities.structuredOutput;
+    if (!options.responseFormat || mode === 'json_schema') {
+      return super.formatResponseFormatOptions(options);
+    }
+    return mode === 'json_object' ? { response_format: { type: 'json_object' } } : {};
+  }
+
   extractFinishReason (response) {
     return response.choices[0].finish_reason;
   }
 
+  extractToolCallsFromSDK (response) {
+    return this.normalizeToolCalls(response.choices[0].message.tool_calls);
+  }
+
   // ============================================================================
   // SDK-SPECIFIC OVERRIDES WITH PERFORMANCE OPTIMIZATIONS
   // ============================================================================
@@ -160,6 +242,10 @@ class OpenAICompatibleProvider extends BaseProvider {
   // PROVIDER CAPABILITIES - Vision support with caching
   // ============================================================================
 
+  supportsVision () {
+    return Boolean(this.capabilities.vision);
+  }
+
   /**
    * Check if a specific model supports vision with caching
    */
@@ -168,6 +254,11 @@ class OpenAICompatibleProvider extends BaseProvider {
       return false;
     }
 
+    // A declared capability applies to every model the endpoint serves
+    if (this.config.capabilities?.vision !== undefined || modelName === this.defaultVisionModel) {
+      return true;
+    }
+
     // Check cache first
     if (this.hasCache('visionSupport', modelName)) {
       return this.getCache('visionSupport', modelName);
@@ -193,10 +284,10 @@ class OpenAICompatibleProvider extends BaseProvider {
   }
 
   /**
-   * Get cache statistics
+   * Get cache statistics, for one named cache or all of them
    */
-  getCacheStats () {
-    return this.getAllCacheStats();
+  getCacheStats (name) {
+    return name ? CacheMixin.prototype.getCacheStats.call(this, name) : this.getAllCacheStats();
   }
 
   /**
@@ -0,0 +1,77 @@
+/**
+ * Progress Stream
+ *
+ * Result of long-running model operations such as pulling or creating an Ollama model:
+ * - for await iteration over { type: 'progress'|'done' } events
+ * - the same events through .on(), plus 'error'
+ * - .finished() resolving to { status, model } once the operation succeeds
+ * - .abort() to cancel the underlying request
+ *
+ * Progress events carry the server's status line and, while layers download,
+ * bytes completed and total for the current layer with a percentage.
+ */
+
+const EventStream = require('./event-stream');
+
+class ProgressStream extends EventStream {
+  /**
+   * @param {AsyncIterable} source - Parsed status objects, e.g. from StreamResponse.jsonLines()
+   * @param {Object} options - { model, onAbort }
+   */
+  constructor (source, options = {}) {
+    super(source, { ...options, abortMessage: 'Operation aborted' });
+    this._status = null;
+  }
+
+  // ============================================================================
+  // CONSUMER API
+  // ============================================================================
+
+  /**
+   * Resolve once the operation completes
+   * abort() rejects it with an error flagged aborted
+   * @returns {Promise<Object>} { status, model }
+   */
+  finished () {
+    return this._finalPromise;
+  }
+
+  /**
+   * Latest status line, e.g. 'pulling manifest' or 'success'
+   */
+  get status () {
+    return this._status;
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  _handleChunk (update) {
+    // Failures arrive as a final { error } line with a 200 status
+    if (update.error) {
+      throw new Error(update.error);
+    }
+
+    this._status = update.status || this._status;
+    const total = update.total || null;
+    const completed = update.completed || (total ? 0 : null);
+    this._push({
+      type: 'progress',
+      status: update.status || null,
+      digest: update.digest || null,
+      completed,
+      total,
+      percent: total ? Math.round((completed / total) * 1000) / 10 : null
+    });
+  }
+
+  _complete () {
+    const result = { status: this._status || 'success', model: this.model };
+    this._finished = true;
+    this._push({ type: 'done', ...result });
+    this._resolveFinal(result);
+  }
+}
+
+module.exports = ProgressStream;
@@ -0,0 +1,280 @@
+/**
+ * Provider Registry
+ *
+ * Maps provider names to their implementation:
+ * - ProviderClass: a BaseProvider subclass, constructed as new ProviderClass(config, name)
+ * - configFromEnv(env): reads the provider configuration from environment variables
+ * - validate(config, name): throws when the configuration cannot work
+ *
+ * The built-in providers are registered here the same way as third-party ones.
+ */
+
+const BaseProvider = require('./base-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const AnthropicProvider = require('./anthropic-provider');
+const OllamaProvider = require('./ollama-provider');
+const GeminiProvider = require('./gemini-provider');
+const AzureOpenAIProvider = require('./azure-openai-provider');
+const BedrockProvider = require('./bedrock-provider');
+const MistralProvider = require('./mistral-provider');
+const CohereProvider = require('./cohere-provider');
+const { resolveCredentials } = require('../utils/aws-sigv4');
+
+const providers = new Map();
+
+/**
+ * Register a provider, replacing any provider of the same name
+ * @param {string} name - Provider name used in LLM_PROVIDER, provider options and switchProvider()
+ * @param {Object} definition - { ProviderClass, configFromEnv, validate }
+ */
+function registerProvider (name, definition = {}) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Provider name must be a non-empty string');
+  }
+
+  const { ProviderClass, configFromEnv = () => ({}), validate = () => {} } = definition;
+  if (typeof ProviderClass !== 'function' || !(ProviderClass.prototype instanceof BaseProvider)) {
+    throw new Error(`Provider ${name} must have a ProviderClass extending BaseProvider`);
+  }
+  if (typeof configFromEnv !== 'function' || typeof validate !== 'function') {
+    throw new Error(`Provider ${name} configFromEnv and validate must be functions`);
+  }
+
+  providers.set(name.toLowerCase(), { ProviderClass, configFromEnv, validate });
+}
+
+/**
+ * Get a registered provider
+ * @param {string} name - Provider name (case-insensitive)
+ * @returns {Object|null} { ProviderClass, configFromEnv, validate }, or null when unknown
+ */
+function getProvider (name) {
+  return providers.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * @returns {Array<string>} Names of all registered providers
+ */
+function listProviders () {
+  return Array.from(providers.keys());
+}
+
+// ============================================================================
+// BUILT-IN PROVIDERS
+// ============================================================================
+
+function requireApiKey (config, name) {
+  if (!config.apiKey) {
+    throw new Error(`API key not found for provider: ${name}`);
+  }
+}
+
+// JSON-valued variables such as CUSTOM_HEADERS; a malformed value names the variable
+function parseJsonEnv (env, name) {
+  if (!env[name]) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(env[name]);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+  }
+}
+
+// OpenAI, Groq and Grok use OpenAI-compatible APIs with the same environment variable pattern
+function openAICompatibleConfig (prefix, defaults) {
+  return (env) => ({
+    apiKey: env[`${prefix}_API_KEY`],
+    model: env[`${prefix}_MODEL`] || defaults.model,
+    baseURL: env[`${prefix}_BASE_URL`] || defaults.baseURL,
+    defaultVisionModel: defaults.defaultVisionModel,
+    embeddingModel: env[`${prefix}_EMBEDDING_MODEL`] || defaults.embeddingModel,
+    capabilities: defaults.capabilities,
+    temperature: parseFloat(env[`${prefix}_TEMPERATURE`]) || 0.7,
+    maxTokens: parseInt(env[`${prefix}_MAX_TOKENS`]) || 4096
+  });
+}
+
+registerProvider('openai', {
+  ProviderClass: OpenAICompatibleProvider,
+  configFromEnv: openAICompatibleConfig('OPENAI', {
+    model: 'gpt-4',
+    baseURL: 'https://api.openai.com/v1',
+    defaultVisionModel: 'gpt-4-vision-preview',
+    embeddingModel: 'text-embedding-3-small'
+  }),
+  validate: requireApiKey
+});
+
+registerProvider('groq', {
+  ProviderClass: OpenAICompatibleProvider,
+  configFromEnv: openAICompatibleConfig('GROQ', {
+    model: 'llama3-70b-8192',
+    baseURL: 'https://api.groq.com/openai/v1',
+    // Groq only serves chat completions
+    capabilities: { completions: false }
+  }),
+  validate: requireApiKey
+});
+
+registerProvider('grok', {
+  ProviderClass: OpenAICompatibleProvider,
+  configFromEnv: openAICompatibleConfig('GROK', {
+    model: 'grok-beta',
+    baseURL: 'https://api.x.ai/v1',
+    defaultVisionModel: 'grok-vision'
+  }),
+  validate: requireApiKey
+});
+
+// Model names map to deployments, e.g. AZURE_OPENAI_DEPLOYMENTS={"gpt-4o":"prod-gpt4o"}
+registerProvider('azure', {
+  ProviderClass: AzureOpenAIProvider,
+  configFromEnv: (env) => ({
+    endpoint: env.AZURE_OPENAI_ENDPOINT,
+    apiKey: env.AZURE_OPENAI_API_KEY,
+    azureADToken: env.AZURE_OPENAI_AD_TOKEN,
+    apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+    model: env.AZURE_OPENAI_MODEL || env.AZURE_OPENAI_DEPLOYMENT,
+    defaultVisionModel: env.AZURE_OPENAI_VISION_MODEL,
+    embeddingModel: env.AZURE_OPENAI_EMBEDDING_MODEL,
+    deployments: {
+      ...(env.AZURE_OPENAI_MODEL && env.AZURE_OPENAI_DEPLOYMENT
+        ? { [env.AZURE_OPENAI_MODEL]: env.AZURE_OPENAI_DEPLOYMENT }
+        : {}),
+      ...parseJsonEnv(env, 'AZURE_OPENAI_DEPLOYMENTS')
+    },
+    temperature: parseFloat(env.AZURE_OPENAI_TEMPERATURE) || 0.7,
+    maxTokens: parseInt(env.AZURE_OPENAI_MAX_TOKENS) || 4096
+  }),
+  validate: (config, name) => {
+    if (!config.endpoint) {
+      throw new Error(`Provider ${name} requires an endpoint (AZURE_OPENAI_ENDPOINT)`);
+    }
+    if (!config.apiKey && !config.azureADToken && !config.azureADTokenProvider) {
+      throw new Error(`API key or Azure AD token not found for provider: ${name}`);
+    }
+    if (!config.model) {
+      throw new Error(`Provider ${name} requires a model or deployment (AZURE_OPENAI_DEPLOYMENT)`);
+    }
+  }
+});
+
+registerProvider('anthropic', {
+  ProviderClass: AnthropicProvider,
+  configFromEnv: (env) => ({
+    apiKey: env.ANTHROPIC_API_KEY,
+    model: env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229',
+    temperature: parseFloat(env.ANTHROPIC_TEMPERATURE) || 0.7,
+    maxTokens: parseInt(env.ANTHROPIC_MAX_TOKENS) || 4096
+  }),
+  validate: requireApiKey
+});
+
+registerProvider('gemini', {
+  ProviderClass: GeminiProvider,
+  configFromEnv: (env) => ({
+    apiKey: env.GEMINI_API_KEY || env.GOOGLE_API_KEY,
+    model: env.GEMINI_MODEL || 'gemini-1.5-flash',
+    baseURL: env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
+    embeddingModel: env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+    safetySettings: parseJsonEnv(env, 'GEMINI_SAFETY_SETTINGS'),
+    temperature: parseFloat(env.GEMINI_TEMPERATURE) || 0.7,
+    maxTokens: parseInt(env.GEMINI_MAX_TOKENS) || 4096
+  }),
+  validate: requireApiKey
+});
+
+// Credentials come from AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY or the shared credentials file (AWS_PROFILE)
+registerProvider('bedrock', {
+  ProviderClass: BedrockProvider,
+  configFromEnv: (env) => ({
+    region: env.BEDROCK_REGION || env.AWS_REGION || env.AWS_DEFAULT_REGION || 'us-east-1',
+    endpoint: env.BEDROCK_ENDPOINT,
+    model: env.BEDROCK_MODEL || 'anthropic.claude-3-5-sonnet-20240620-v1:0',
+    defaultVisionModel: env.BEDROCK_VISION_MODEL,
+    embeddingModel: env.BEDROCK_EMBEDDING_MODEL || 'amazon.titan-embed-text-v2:0',
+    temperature: parseFloat(env.BEDROCK_TEMPERATURE) || 0.7,
+    maxTokens: parseInt(env.BEDROCK_MAX_TOKENS) || 4096
+  }),
+  validate: (config, name) => {
+    if (!config.credentials && !resolveCredentials(config)) {
+      throw new Error(`AWS credentials not found for provider: ${name}`);
+    }
+  }
+});
+
+registerProvider('mistral', {
+  ProviderClass: MistralProvider,
+  configFromEnv: (env) => ({
+    apiKey: env.MISTRAL_API_KEY,
+    model: env.MISTRAL_MODEL || 'mistral-large-latest',
+    baseURL: env.MISTRAL_BASE_URL || 'https://api.mistral.ai/v1',
+    defaultVisionModel: env.MISTRAL_VISION_MODEL,
+    embeddingModel: env.MISTRAL_EMBEDDING_MODEL || 'mistral-embed',
+    completionModel: env.MISTRAL_COMPLETION_MODEL,
+    safePrompt: env.MISTRAL_SAFE_PROMPT ? env.MISTRAL_SAFE_PROMPT === 'true' : undefined,
+    temperature: parseFloat(env.MISTRAL_TEMPERATURE) || 0.7,
+    maxTokens: parseInt(env.MISTRAL_MAX_TOKENS) || 4096
+  }),
+  validate: requireApiKey
+});
+
+registerProvider('cohere', {
+  ProviderClass: CohereProvider,
+  configFromEnv: (env) => ({
+    apiKey: env.COHERE_API_KEY || env.CO_API_KEY,
+    model: env.COHERE_MODEL || 'command-r-plus',
+    baseURL: env.COHERE_BASE_URL || 'https://api.cohere.com',
+    defaultVisionModel: env.COHERE_VISION_MODEL,
+    embeddingModel: env.COHERE_EMBEDDING_MODEL || 'embed-english-v3.0',
+    safetyMode: env.COHERE_SAFETY_MODE,
+    temperature: parseFloat(env.COHERE_TEMPERATURE) || 0.7,
+    maxTokens: parseInt(env.COHERE_MAX_TOKENS) || 4096
+  }),
+  validate: requireApiKey
+});
+
+// Ollama runs locally and doesn't require an API key
+registerProvider('ollama', {
+  ProviderClass: OllamaProvider,
+  configFromEnv: (env) => ({
+    baseURL: env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    model: env.OLLAMA_MODEL || 'llama3.2',
+    defaultVisionModel: env.OLLAMA_VISION_MODEL,
+    autoPull: env.OLLAMA_AUTO_PULL === 'true',
+    // Durations like '10m' pass through; plain numbers are seconds
+    keepAlive: env.OLLAMA_KEEP_ALIVE && !isNaN(env.OLLAMA_KEEP_ALIVE) ? Number(env.OLLAMA_KEEP_ALIVE) : env.OLLAMA_KEEP_ALIVE,
+    embeddingModel: env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text',
+    maxTokens: parseInt(env.OLLAMA_MAX_TOKENS) || 4096,
+    temperature: parseFloat(env.OLLAMA_TEMPERATURE) || 0.7
+  })
+});
+
+// Self-hosted OpenAI-compatible servers; the API key is optional
+registerProvider('custom', {
+  ProviderClass: OpenAICompatibleProvider,
+  configFromEnv: (env) => ({
+    apiKey: env.CUSTOM_API_KEY,
+    baseURL: env.CUSTOM_BASE_URL,
+    model: env.CUSTOM_MODEL,
+    defaultVisionModel: env.CUSTOM_VISION_MODEL,
+    embeddingModel: env.CUSTOM_EMBEDDING_MODEL,
+    headers: parseJsonEnv(env, 'CUSTOM_HEADERS'),
+    temperature: parseFloat(env.CUSTOM_TEMPERATURE) || 0.7,
+    maxTokens: parseInt(env.CUSTOM_MAX_TOKENS) || 4096
+  }),
+  validate: (config, name) => {
+    if (!config.baseURL) {
+      throw new Error(name === 'custom'
+        ? 'Custom provider requires CUSTOM_BASE_URL to be set'
+        : `Custom provider ${name} requires a baseURL`);
+    }
+  }
+});
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
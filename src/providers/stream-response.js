@@ -0,0 +1,172 @@
+/**
+ * Stream Response
+ *
+ * Provider-neutral streaming result returned by every streamChat() call:
+ * - for await iteration over normalized { type: 'text'|'tool_call'|'usage'|'done' } events
+ * - the same events through .on(), plus the legacy 'data' and 'end' events
+ * - .finalResponse() resolving to the same shape as formatResponse()
+ * - .abort() to cancel the underlying request
+ *
+ * Providers turn raw chunks into events with parseStreamChunk(chunk, state)
+ * and flushStreamState(state), so this class never sees wire formats.
+ */
+
+const EventStream = require('./event-stream');
+
+class StreamResponse extends EventStream {
+  /**
+   * @param {AsyncIterable} source - Raw chunks from an SDK stream or jsonLines()
+   * @param {Object} options - { provider, model, onAbort }
+   */
+  constructor (source, options = {}) {
+    super(source, options);
+    this.provider = options.provider;
+    this._state = { model: null, finishReason: null, toolCalls: [] };
+
+    // Accumulated result
+    this._content = '';
+    this._toolCalls = [];
+    this._usage = {};
+  }
+
+  // ============================================================================
+  // CONSUMER API
+  // ============================================================================
+
+  /**
+   * Resolve with the complete response once the stream ends
+   * abort() rejects it with an error flagged aborted
+   * @returns {Promise<Object>} Response in the formatResponse() shape
+   */
+  finalResponse () {
+    return this._finalPromise;
+  }
+
+  get finished () {
+    return this._finished;
+  }
+
+  /**
+   * Text received so far - complete once the stream has finished
+   */
+  get content () {
+    return this._content;
+  }
+
+  /**
+   * Tool calls received so far
+   */
+  get toolCalls () {
+    return [...this._toolCalls];
+  }
+
+  /**
+   * Token usage reported so far
+   */
+  get usage () {
+    return { ...this._usage };
+  }
+
+  // ============================================================================
+  // SOURCE ADAPTERS
+  // ============================================================================
+
+  /**
+   * Split a byte stream into parsed JSON objects
+   * Handles newline-delimited JSON and server-sent events ("data: {...}")
+   * @param {AsyncIterable} readable - Byte stream such as an axios response
+   */
+  static async * jsonLines (readable) {
+    let buffer = '';
+
+    const parseLine = (line) => {
+      let text = line.trim();
+      if (!text || text.startsWith(':') || text.startsWith('event:')) {
+        return null;
+      }
+      if (text.startsWith('data:')) {
+        text = text.slice(5).trim();
+      }
+      if (text === '[DONE]') {
+        return null;
+      }
+
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        // Skip malformed lines
+        return null;
+      }
+    };
+
+    for await (const chunk of readable) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const parsed = parseLine(line);
+        if (parsed) {
+          yield parsed;
+        }
+      }
+    }
+
+    const parsed = parseLine(buffer);
+    if (parsed) {
+      yield parsed;
+    }
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  _handleChunk (chunk) {
+    this._handleEvents(this.provider.parseStreamChunk(chunk, this._state));
+  }
+
+  _handleEvents (events) {
+    for (const event of events || []) {
+      if (event.type === 'text') {
+        this._content += event.text;
+      } else if (event.type === 'tool_call') {
+        this._toolCalls.push(event.toolCall);
+      } else if (event.type === 'usage') {
+        this._usage = { ...this._usage, ...event.usage };
+      }
+
+      this._push(event);
+
+      // Legacy chunk event used by earlier streaming consumers
+      if (event.type === 'text') {
+        this.emit('data', {
+          content: event.text,
+          model: this._state.model || this.model,
+          done: false
+        });
+      }
+    }
+  }
+
+  _complete () {
+    this._handleEvents(this.provider.flushStreamState(this._state));
+
+    const model = this._state.model || this.model;
+    const response = this.provider.formatResponse(
+      this._content,
+      model,
+      this._usage,
+      this._state.finishReason || 'stop',
+      this._toolCalls
+    );
+
+    this._finished = true;
+    this._push({ type: 'done', finishReason: response.finishReason, response });
+    this.emit('data', { content: '', model, done: true, final_content: this._content });
+    this.emit('end', response);
+    this._resolveFinal(response);
+  }
+}
+
+module.exports = StreamResponse;
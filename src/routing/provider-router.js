@@ -0,0 +1,229 @@
+/**
+ * Provider Router
+ *
+ * Presents several providers as one so LLMClient can spread load and fail over between them:
+ * - a strategy orders the providers for each request (see strategies.js)
+ * - requests go to the providers in that order, moving on when a provider fails with a retryable error
+ *   or its circuit breaker is open; members without the capability (e.g. embeddings) are skipped
+ * - providers with too many consecutive failures or an open circuit leave the rotation
+ *   and are only tried as a last resort; after recoveryMs a failed-out provider gets one
+ *   probe request, and rejoins the rotation if it succeeds
+ * - responses and streams report which provider served them (servedBy) and the failed attempts (failover)
+ * - conversation history lives on the router, so it survives a switch to another provider
+ * - model management and health calls are delegated to the member providers
+ */
+
+const BaseProvider = require('../providers/base-provider');
+const strategies = require('./strategies');
+const { AllProvidersFailedError, CircuitOpenError, UnsupportedCapabilityError } = require('../errors');
+
+const STRATEGIES = Object.keys(strategies);
+
+class ProviderRouter extends BaseProvider {
+  /**
+   * @param {Array} members - [{ name, provider, weight }] in priority order
+   * @param {Object} options - { strategy, unhealthyThreshold, recoveryMs, random }
+   */
+  constructor (members, options = {}) {
+    if (!members || members.length === 0) {
+      throw new Error('Provider router requires at least one provider');
+    }
+
+    const strategy = options.strategy || 'fallback';
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unsupported routing strategy: ${strategy}. Supported: ${STRATEGIES.join(', ')}`);
+    }
+
+    super(members[0].provider.config, 'router', { providerType: 'router' });
+
+    // probeAt: earliest time an unhealthy member may be probed again
+    this.members = members.map(member => ({ weight: 1, ...member, inFlight: 0, probeAt: 0 }));
+    this.strategy = strategy;
+    this.unhealthyThreshold = options.unhealthyThreshold || 3;
+    this.recoveryMs = options.recoveryMs ?? 30000;
+    this._strategyState = { cursor: 0, random: options.random || Math.random };
+    this._lastServed = this.members[0];
+  }
+
+  // ============================================================================
+  // ROUTED REQUESTS
+  // ============================================================================
+
+  async chat (messages, options = {}) {
+    return this._route('chat', messages, options);
+  }
+
+  async vision (messages, options = {}) {
+    return this._route('vision', messages, options);
+  }
+
+  async streamChat (messages, options = {}) {
+    return this._route('streamChat', messages, options);
+  }
+
+  async streamVision (messages, options = {}) {
+    return this._route('streamVision', messages, options);
+  }
+
+  async embed (texts, options = {}) {
+    return this._route('embed', texts, options);
+  }
+
+  async complete (prompt, options = {}) {
+    return this._route('complete', prompt, options);
+  }
+
+  async streamComplete (prompt, options = {}) {
+    return this._route('streamComplete', prompt, options);
+  }
+
+  /**
+   * Get the members to try, in order, for the next request
+   * Healthy members are ordered by the strategy; unhealthy ones follow as a last resort.
+   * A member taken out by failures whose recovery period has passed goes first as a probe,
+   * like a half-open circuit, and is probed at most once per recoveryMs
+   * @returns {Array} Members
+   */
+  getCandidates () {
+    const healthy = this.members.filter(member => this.isMemberHealthy(member));
+    const unhealthy = this.members.filter(member => !this.isMemberHealthy(member));
+
+    const now = Date.now();
+    const probe = unhealthy.find(member => member.provider.circuitBreaker?.state !== 'open' && now >= member.probeAt);
+    if (probe) {
+      probe.probeAt = now + this.recoveryMs;
+      return [probe, ...strategies[this.strategy](healthy, this._strategyState), ...unhealthy.filter(member => member !== probe)];
+    }
+    return [...strategies[this.strategy](healthy, this._strategyState), ...unhealthy];
+  }
+
+  /**
+   * Check whether a member is in rotation
+   * @param {Object} member - Router member
+   * @returns {boolean} False while its circuit is open or after unhealthyThreshold consecutive failures
+   */
+  isMemberHealthy (member) {
+    if (member.provider.circuitBreaker?.state === 'open') {
+      return false;
+    }
+    return (member.provider._healthStatus?.consecutiveFailures || 0) < this.unhealthyThreshold;
+  }
+
+  /**
+   * Send a request to the first member that can serve it
+   * @private
+   */
+  async _route (method, messages, options) {
+    const failover = [];
+
+    for (const member of this.getCandidates()) {
+      const startTime = Date.now();
+      member.inFlight++;
+      let settled = true;
+
+      try {
+        const result = await member.provider[method](messages, options);
+        member.provider._updateHealthStatus(true, Date.now() - startTime);
+        this._lastServed = member;
+        result.servedBy = member.name;
+        result.failover = failover;
+
+        // Streams stay in flight until they finish
+        if (typeof result.finalResponse === 'function') {
+          settled = false;
+          result.finalResponse().finally(() => member.inFlight--).catch(() => {});
+        }
+        return result;
+      } catch (error) {
+        // Members that can't serve the request are skipped without counting as failures
+        const skipped = error instanceof CircuitOpenError || error instanceof UnsupportedCapabilityError;
+        if (!skipped && !member.provider.isRetryableError(error)) {
+          throw error;
+        }
+        if (!skipped) {
+          member.provider._updateHealthStatus(false, Date.now() - startTime, error);
+          member.probeAt = Date.now() + this.recoveryMs;
+        }
+        failover.push({ provider: member.name, error: error.message });
+      } finally {
+        if (settled) {
+          member.inFlight--;
+        }
+      }
+    }
+
+    throw new AllProvidersFailedError(
+      `All providers failed: ${failover.map(attempt => `${attempt.provider} (${attempt.error})`).join('; ')}`,
+      { attempts: failover }
+    );
+  }
+
+  // ============================================================================
+  // DELEGATED METHODS - Model management uses the provider that served last
+  // ============================================================================
+
+  async listModels () {
+    return this._lastServed.provider.listModels();
+  }
+
+  async getModelInfo (modelName = null) {
+    return this._lastServed.provider.getModelInfo(modelName);
+  }
+
+  async switchModel (modelName, options) {
+    return this._lastServed.provider.switchModel(modelName, options);
+  }
+
+  async prefetchModels () {
+    await Promise.all(this.members
+      .filter(member => member.provider.prefetchModels)
+      .map(member => member.provider.prefetchModels()));
+  }
+
+  getCacheStats (name) {
+    return this._lastServed.provider.getCacheStats?.(name);
+  }
+
+  clearCaches () {
+    this.members.forEach(member => member.provider.clearCaches?.());
+  }
+
+  isRetryableError (error) {
+    return this._lastServed.provider.isRetryableError(error);
+  }
+
+  // ============================================================================
+  // HEALTH - Aggregated over all members
+  // ============================================================================
+
+  async isAvailable () {
+    const results = await Promise.all(this.members.map(member => member.provider.isAvailable().catch(() => false)));
+    return results.some(Boolean);
+  }
+
+  async isHealthy () {
+    const results = await Promise.all(this.members.map(member => member.provider.isHealthy().catch(() => false)));
+    return results.some(Boolean);
+  }
+
+  async getHealthStatus () {
+    const providers = {};
+    for (const member of this.members) {
+      providers[member.name] = await member.provider.getHealthStatus();
+    }
+
+    const available = Object.values(providers).some(status => status.available);
+    return {
+      status: available ? 'healthy' : 'unhealthy',
+      available,
+      strategy: this.strategy,
+      in_rotation: this.members.filter(member => this.isMemberHealthy(member)).map(member => member.name),
+      providers,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+ProviderRouter.STRATEGIES = STRATEGIES;
+
+module.exports = ProviderRouter;
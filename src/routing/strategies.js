@@ -0,0 +1,61 @@
+/**
+ * Routing Strategies
+ *
+ * Each strategy orders the router's members for the next request. The router tries
+ * them in that order, so every strategy still fails over to the remaining members.
+ *
+ * - fallback: priority order as configured
+ * - weighted: random order biased by each member's weight (default 1)
+ * - round-robin: rotates the starting member on every request
+ * - least-in-flight: fewest requests currently running first
+ * - latency: lowest observed average response time first (unmeasured members first)
+ */
+
+const strategies = {
+  fallback (members) {
+    return [...members];
+  },
+
+  weighted (members, state) {
+    const remaining = [...members];
+    const ordered = [];
+
+    while (remaining.length > 0) {
+      const weights = remaining.map(member => Math.max(0, member.weight ?? 1));
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+      let index = 0;
+      if (total > 0) {
+        let pick = state.random() * total;
+        index = weights.findIndex(weight => (pick -= weight) < 0);
+        if (index === -1) {
+          index = remaining.length - 1;
+        }
+      }
+
+      ordered.push(...remaining.splice(index, 1));
+    }
+
+    return ordered;
+  },
+
+  'round-robin' (members, state) {
+    if (members.length === 0) {
+      return [];
+    }
+    const start = state.cursor++ % members.length;
+    return [...members.slice(start), ...members.slice(0, start)];
+  },
+
+  'least-in-flight' (members) {
+    // Array.prototype.sort is stable, so ties keep their configured order
+    return [...members].sort((a, b) => a.inFlight - b.inFlight);
+  },
+
+  latency (members) {
+    const latencyOf = member => member.provider._performanceMetrics?.averageResponseTime || 0;
+    return [...members].sort((a, b) => latencyOf(a) - latencyOf(b));
+  }
+};
+
+module.exports = strategies;
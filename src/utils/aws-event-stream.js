@@ -0,0 +1,119 @@
+/**
+ * AWS Event Stream
+ *
+ * Binary framing used by AWS streaming APIs such as Bedrock's ConverseStream.
+ * Each message is:
+ *   total length (4) | headers length (4) | prelude CRC32 (4) | headers | payload | message CRC32 (4)
+ * Headers carry the event type (':event-type') or an exception (':exception-type').
+ */
+
+const PRELUDE_LENGTH = 12;
+const CHECKSUM_LENGTH = 4;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32 (buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Decode the headers section of a message
+ * @private
+ */
+function decodeHeaders (buffer) {
+  const headers = {};
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const nameLength = buffer.readUInt8(offset);
+    const name = buffer.toString('utf8', offset + 1, offset + 1 + nameLength);
+    offset += 1 + nameLength;
+    const type = buffer.readUInt8(offset++);
+
+    switch (type) {
+    case 0: headers[name] = true; break;
+    case 1: headers[name] = false; break;
+    case 2: headers[name] = buffer.readInt8(offset); offset += 1; break;
+    case 3: headers[name] = buffer.readInt16BE(offset); offset += 2; break;
+    case 4: headers[name] = buffer.readInt32BE(offset); offset += 4; break;
+    case 5: headers[name] = buffer.readBigInt64BE(offset); offset += 8; break;
+    case 6:
+    case 7: {
+      const length = buffer.readUInt16BE(offset);
+      const value = buffer.subarray(offset + 2, offset + 2 + length);
+      headers[name] = type === 7 ? value.toString('utf8') : Buffer.from(value);
+      offset += 2 + length;
+      break;
+    }
+    case 8: headers[name] = new Date(Number(buffer.readBigInt64BE(offset))); offset += 8; break;
+    case 9: headers[name] = buffer.subarray(offset, offset + 16).toString('hex'); offset += 16; break;
+    default:
+      throw new Error(`Unsupported event stream header type: ${type}`);
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Decode one complete message
+ * @param {Buffer} message - Bytes of a single message
+ * @returns {Object} { headers, payload }
+ */
+function decodeMessage (message) {
+  const totalLength = message.readUInt32BE(0);
+  const headersLength = message.readUInt32BE(4);
+
+  if (message.readUInt32BE(8) !== crc32(message.subarray(0, 8))) {
+    throw new Error('Event stream prelude checksum mismatch');
+  }
+  if (message.readUInt32BE(totalLength - CHECKSUM_LENGTH) !== crc32(message.subarray(0, totalLength - CHECKSUM_LENGTH))) {
+    throw new Error('Event stream message checksum mismatch');
+  }
+
+  const headersEnd = PRELUDE_LENGTH + headersLength;
+  return {
+    headers: decodeHeaders(message.subarray(PRELUDE_LENGTH, headersEnd)),
+    payload: message.subarray(headersEnd, totalLength - CHECKSUM_LENGTH)
+  };
+}
+
+/**
+ * Split a byte stream into decoded messages; messages may span chunks
+ * @param {AsyncIterable} readable - Byte stream such as an axios response
+ */
+async function * decodeEventStream (readable) {
+  let buffer = Buffer.alloc(0);
+
+  for await (const chunk of readable) {
+    buffer = Buffer.concat([buffer, Buffer.from(chunk)]);
+
+    while (buffer.length >= PRELUDE_LENGTH) {
+      const totalLength = buffer.readUInt32BE(0);
+      if (buffer.length < totalLength) {
+        break;
+      }
+      yield decodeMessage(buffer.subarray(0, totalLength));
+      buffer = buffer.subarray(totalLength);
+    }
+  }
+
+  if (buffer.length > 0) {
+    throw new Error('Event stream ended with an incomplete message');
+  }
+}
+
+module.exports = {
+  decodeEventStream,
+  decodeMessage
+};
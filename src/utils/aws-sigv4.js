@@ -0,0 +1,167 @@
+/**
+ * AWS Signature Version 4
+ *
+ * Signs HTTP requests to AWS services without the AWS SDK:
+ * - canonical request, string to sign and signing key as specified by SigV4
+ * - temporary credentials add the X-Amz-Security-Token header
+ * - credentials resolve from explicit config, environment variables or the
+ *   shared credentials file (~/.aws/credentials), in that order
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+function sha256Hex (data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac (key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// encodeURIComponent leaves !'()* unescaped, SigV4 requires RFC 3986
+function encodeRfc3986 (value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Services other than S3 sign the already-encoded path, so each segment is encoded again
+ */
+function canonicalPath (pathname, service) {
+  if (service === 's3') {
+    return pathname || '/';
+  }
+  return (pathname || '/').split('/').map(segment => encodeRfc3986(segment)).join('/');
+}
+
+function canonicalQuery (searchParams) {
+  return Array.from(searchParams.entries())
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([keyA, valueA], [keyB, valueB]) => (keyA === keyB ? (valueA < valueB ? -1 : 1) : (keyA < keyB ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+function formatAmzDate (date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * Sign a request
+ * @param {Object} request - { method, url, headers, body, region, service, credentials, date }
+ *   credentials is { accessKeyId, secretAccessKey, sessionToken }
+ * @returns {Object} Headers to send, including host, x-amz-date and authorization
+ */
+function signRequest ({ method = 'GET', url, headers = {}, body = '', region, service, credentials, date = new Date() }) {
+  if (!credentials?.accessKeyId || !credentials?.secretAccessKey) {
+    throw new Error('AWS credentials require an accessKeyId and secretAccessKey');
+  }
+
+  const target = new URL(url);
+  const amzDate = formatAmzDate(date);
+  const dateStamp = amzDate.slice(0, 8);
+
+  const signed = { ...headers, host: target.host, 'x-amz-date': amzDate };
+  if (credentials.sessionToken) {
+    signed['x-amz-security-token'] = credentials.sessionToken;
+  }
+
+  const canonicalHeaders = Object.entries(signed)
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+    .sort(([a], [b]) => (a < b ? -1 : 1));
+  const signedHeaders = canonicalHeaders.map(([name]) => name).join(';');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalPath(target.pathname, service),
+    canonicalQuery(target.searchParams),
+    canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(''),
+    signedHeaders,
+    sha256Hex(body || '')
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = [dateStamp, region, service, 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${credentials.secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    authorization: `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+// ============================================================================
+// CREDENTIALS
+// ============================================================================
+
+/**
+ * Read a profile from an AWS shared credentials (INI) file
+ * @returns {Object|null} Credentials, or null when the file or profile is missing
+ */
+function readSharedCredentials (filePath, profile) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+
+  let section = null;
+  const values = {};
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) {
+      continue;
+    }
+    const header = line.match(/^\[\s*(?:profile\s+)?([^\]]+?)\s*\]$/);
+    if (header) {
+      section = header[1];
+      continue;
+    }
+    const pair = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+    if (pair && section === profile) {
+      values[pair[1].toLowerCase()] = pair[2];
+    }
+  }
+
+  if (!values.aws_access_key_id || !values.aws_secret_access_key) {
+    return null;
+  }
+  return {
+    accessKeyId: values.aws_access_key_id,
+    secretAccessKey: values.aws_secret_access_key,
+    sessionToken: values.aws_session_token
+  };
+}
+
+/**
+ * Resolve credentials from the standard sources
+ * @param {Object} config - { accessKeyId, secretAccessKey, sessionToken, profile, credentialsFile }
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} { accessKeyId, secretAccessKey, sessionToken }, or null when none are found
+ */
+function resolveCredentials (config = {}, env = process.env) {
+  if (config.accessKeyId && config.secretAccessKey) {
+    return { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey, sessionToken: config.sessionToken };
+  }
+
+  // An explicit profile skips the environment credentials, as in the AWS CLI
+  if (!config.profile && env.AWS_ACCESS_KEY_ID && env.AWS_SECRET_ACCESS_KEY) {
+    return { accessKeyId: env.AWS_ACCESS_KEY_ID, secretAccessKey: env.AWS_SECRET_ACCESS_KEY, sessionToken: env.AWS_SESSION_TOKEN };
+  }
+
+  const filePath = config.credentialsFile || env.AWS_SHARED_CREDENTIALS_FILE || path.join(os.homedir(), '.aws', 'credentials');
+  return readSharedCredentials(filePath, config.profile || env.AWS_PROFILE || 'default');
+}
+
+module.exports = {
+  signRequest,
+  resolveCredentials
+};
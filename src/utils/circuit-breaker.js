@@ -0,0 +1,135 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops sending requests to a provider that keeps failing:
+ * - closed: requests flow; consecutive failures are counted
+ * - open: requests fail fast until the cool-down has passed
+ * - half-open: a limited number of trial requests decide whether to close or reopen
+ *
+ * Emits 'stateChange' ({ from, to, provider }) plus an event named after the new state.
+ */
+
+const { EventEmitter } = require('events');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {Object} options - { name, failureThreshold, cooldownMs, halfOpenMaxCalls }
+   */
+  constructor (options = {}) {
+    super();
+    this.name = options.name || null;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+
+    this._state = STATES.CLOSED;
+    this._failures = 0;
+    this._openedAt = null;
+    this._halfOpenCalls = 0;
+    this._lastFailure = null;
+  }
+
+  /**
+   * Current state; an open circuit turns half-open once the cool-down has passed
+   * @returns {string} 'closed', 'open' or 'half-open'
+   */
+  get state () {
+    if (this._state === STATES.OPEN && Date.now() - this._openedAt >= this.cooldownMs) {
+      this._transition(STATES.HALF_OPEN);
+    }
+    return this._state;
+  }
+
+  /**
+   * Check whether a request may go through, reserving a trial slot when half-open
+   * @returns {boolean} Whether the request is allowed
+   */
+  allowRequest () {
+    const state = this.state;
+    if (state === STATES.CLOSED) {
+      return true;
+    }
+    if (state === STATES.HALF_OPEN && this._halfOpenCalls < this.halfOpenMaxCalls) {
+      this._halfOpenCalls++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Milliseconds until an open circuit lets trial requests through
+   * @returns {number} Remaining cool-down, 0 when not open
+   */
+  getRetryAfter () {
+    if (this.state !== STATES.OPEN) {
+      return 0;
+    }
+    return Math.max(0, this.cooldownMs - (Date.now() - this._openedAt));
+  }
+
+  recordSuccess () {
+    this._failures = 0;
+    if (this._state !== STATES.CLOSED) {
+      this._transition(STATES.CLOSED);
+    }
+  }
+
+  /**
+   * @param {Error} error - The failure, kept for status reporting
+   */
+  recordFailure (error = null) {
+    this._failures++;
+    this._lastFailure = error ? error.message : null;
+
+    if (this._state === STATES.HALF_OPEN || this._failures >= this.failureThreshold) {
+      this._transition(STATES.OPEN);
+    }
+  }
+
+  /**
+   * Force the circuit closed and clear the failure count
+   */
+  reset () {
+    this._failures = 0;
+    this._lastFailure = null;
+    if (this._state !== STATES.CLOSED) {
+      this._transition(STATES.CLOSED);
+    }
+  }
+
+  getStatus () {
+    return {
+      state: this.state,
+      failures: this._failures,
+      failure_threshold: this.failureThreshold,
+      cooldown_ms: this.cooldownMs,
+      retry_after_ms: this.getRetryAfter(),
+      opened_at: this._openedAt ? new Date(this._openedAt).toISOString() : null,
+      last_failure: this._lastFailure
+    };
+  }
+
+  _transition (to) {
+    const from = this._state;
+    this._state = to;
+    this._halfOpenCalls = 0;
+    this._openedAt = to === STATES.OPEN ? Date.now() : this._openedAt;
+    if (to === STATES.CLOSED) {
+      this._openedAt = null;
+    }
+
+    const event = { from, to, provider: this.name };
+    this.emit('stateChange', event);
+    this.emit(to, event);
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,332 @@
+/**
+ * Cost Tracker
+ *
+ * Turns normalized usage into spend and enforces budgets:
+ * - pricing table per provider and model (USD per million tokens), overridable
+ * - spend accumulated per client, provider, model, conversation and tag
+ * - budgets per day, week, month or in total that reject requests once exceeded
+ */
+
+const { BudgetExceededError } = require('../errors');
+
+// USD per million tokens - first matching pattern wins, so specific names come first
+const DEFAULT_PRICING = {
+  openai: [
+    [/^gpt-4o-mini/, { input: 0.15, output: 0.6 }],
+    [/^gpt-4o/, { input: 2.5, output: 10 }],
+    [/^gpt-4\.1-nano/, { input: 0.1, output: 0.4 }],
+    [/^gpt-4\.1-mini/, { input: 0.4, output: 1.6 }],
+    [/^gpt-4\.1/, { input: 2, output: 8 }],
+    [/^(gpt-4-turbo|gpt-4-\d{4}-preview|gpt-4-vision)/, { input: 10, output: 30 }],
+    [/^gpt-4-32k/, { input: 60, output: 120 }],
+    [/^gpt-4/, { input: 30, output: 60 }],
+    [/^gpt-3\.5-turbo/, { input: 0.5, output: 1.5 }],
+    [/^o1-mini/, { input: 1.1, output: 4.4 }],
+    [/^o1/, { input: 15, output: 60 }],
+    [/^text-embedding-3-small/, { input: 0.02, output: 0 }],
+    [/^text-embedding-3-large/, { input: 0.13, output: 0 }],
+    [/^text-embedding-ada-002/, { input: 0.1, output: 0 }]
+  ],
+  anthropic: [
+    [/opus/, { input: 15, output: 75 }],
+    [/sonnet/, { input: 3, output: 15 }],
+    [/^claude-3-5-haiku/, { input: 0.8, output: 4 }],
+    [/haiku/, { input: 0.25, output: 1.25 }]
+  ],
+  groq: [
+    [/^llama3-70b/, { input: 0.59, output: 0.79 }],
+    [/^llama3-8b/, { input: 0.05, output: 0.08 }],
+    [/^mixtral-8x7b/, { input: 0.24, output: 0.24 }],
+    [/^gemma/, { input: 0.07, output: 0.07 }]
+  ],
+  grok: [
+    [/^grok/, { input: 5, output: 15 }]
+  ],
+  gemini: [
+    [/^gemini-1\.5-flash-8b/, { input: 0.0375, output: 0.15 }],
+    [/^gemini-1\.5-flash/, { input: 0.075, output: 0.3 }],
+    [/^gemini-1\.5-pro/, { input: 1.25, output: 5 }],
+    [/^gemini-2\.0-flash-lite/, { input: 0.075, output: 0.3 }],
+    [/^gemini-2\.0-flash/, { input: 0.1, output: 0.4 }]
+  ],
+  mistral: [
+    [/^(mistral-large|pixtral-large)/, { input: 2, output: 6 }],
+    [/^mistral-medium/, { input: 0.4, output: 2 }],
+    [/^mistral-small/, { input: 0.1, output: 0.3 }],
+    [/^codestral/, { input: 0.3, output: 0.9 }],
+    [/^ministral-8b/, { input: 0.1, output: 0.1 }],
+    [/^ministral-3b/, { input: 0.04, output: 0.04 }],
+    [/^(pixtral-12b|open-mistral-nemo)/, { input: 0.15, output: 0.15 }],
+    [/^mistral-embed/, { input: 0.1, output: 0 }]
+  ],
+  cohere: [
+    [/^command-r7b/, { input: 0.0375, output: 0.15 }],
+    [/^(command-a|command-r-plus)/, { input: 2.5, output: 10 }],
+    [/^command-r/, { input: 0.15, output: 0.6 }],
+    [/^command-light/, { input: 0.3, output: 0.6 }],
+    [/^command/, { input: 1, output: 2 }],
+    [/^embed-/, { input: 0.1, output: 0 }]
+  ],
+  // Bedrock model IDs, optionally with a cross-region prefix like 'us.'
+  bedrock: [
+    [/anthropic\.claude-3-opus/, { input: 15, output: 75 }],
+    [/anthropic\.claude-3-5-haiku/, { input: 0.8, output: 4 }],
+    [/anthropic\.claude-3-haiku/, { input: 0.25, output: 1.25 }],
+    [/anthropic\.claude-.*sonnet/, { input: 3, output: 15 }],
+    [/meta\.llama3-1-405b/, { input: 2.4, output: 2.4 }],
+    [/meta\.llama3-(1|3)-70b/, { input: 0.72, output: 0.72 }],
+    [/meta\.llama3-1-8b/, { input: 0.22, output: 0.22 }],
+    [/meta\.llama3-70b/, { input: 2.65, output: 3.5 }],
+    [/meta\.llama3-8b/, { input: 0.3, output: 0.6 }],
+    [/amazon\.nova-micro/, { input: 0.035, output: 0.14 }],
+    [/amazon\.nova-lite/, { input: 0.06, output: 0.24 }],
+    [/amazon\.nova-pro/, { input: 0.8, output: 3.2 }],
+    [/mistral\.mistral-large/, { input: 4, output: 12 }],
+    [/amazon\.titan-embed-text-v2/, { input: 0.02, output: 0 }]
+  ],
+  // Local models cost nothing per token
+  ollama: [
+    [/.*/, { input: 0, output: 0 }]
+  ]
+};
+
+// Azure OpenAI bills the same models at OpenAI's list prices
+DEFAULT_PRICING.azure = DEFAULT_PRICING.openai;
+
+const PERIODS = ['day', 'week', 'month', 'total'];
+
+class CostTracker {
+  constructor () {
+    this._customPricing = new Map();
+    this._budget = null;
+    this.reset();
+  }
+
+  // ============================================================================
+  // PRICING
+  // ============================================================================
+
+  /**
+   * Set or override the price of a model
+   * @param {string} provider - Provider name
+   * @param {string|RegExp} model - Model name or pattern
+   * @param {Object} price - { input, output } in USD per million tokens
+   */
+  setPricing (provider, model, price) {
+    if (!price || typeof price.input !== 'number' || typeof price.output !== 'number') {
+      throw new Error('Pricing requires numeric input and output prices per million tokens');
+    }
+    const entries = this._customPricing.get(provider) || [];
+    entries.unshift([model, price]);
+    this._customPricing.set(provider, entries);
+  }
+
+  /**
+   * Get the price of a model
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @returns {Object|null} { input, output } in USD per million tokens, or null when unknown
+   */
+  getPricing (provider, model) {
+    const entries = [
+      ...(this._customPricing.get(provider) || []),
+      ...(DEFAULT_PRICING[provider] || [])
+    ];
+    const match = entries.find(([pattern]) => (
+      pattern instanceof RegExp ? pattern.test(model || '') : pattern === model
+    ));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Calculate the cost of a request
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @param {Object} usage - Normalized usage with input_tokens and output_tokens
+   * @returns {number|null} Cost in USD, or null when the model has no pricing
+   */
+  calculateCost (provider, model, usage = {}) {
+    const price = this.getPricing(provider, model);
+    if (!price) {
+      return null;
+    }
+    return ((usage.input_tokens || 0) * price.input + (usage.output_tokens || 0) * price.output) / 1e6;
+  }
+
+  // ============================================================================
+  // SPEND TRACKING
+  // ============================================================================
+
+  /**
+   * Record a completed request
+   * @param {Object} entry - { provider, model, usage, conversationId, tags }
+   * @returns {number|null} Cost in USD, or null when the model has no pricing
+   */
+  record (entry) {
+    const cost = this.calculateCost(entry.provider, entry.model, entry.usage);
+    const amount = cost || 0;
+    const tags = [].concat(entry.tags || []);
+
+    this._totals.requests++;
+    this._totals.costUSD += amount;
+    this._totals.inputTokens += entry.usage?.input_tokens || 0;
+    this._totals.outputTokens += entry.usage?.output_tokens || 0;
+    if (cost === null) {
+      this._totals.unpricedRequests++;
+    }
+
+    this._add(this._byProvider, entry.provider, amount);
+    this._add(this._byModel, `${entry.provider}/${entry.model}`, amount);
+    if (entry.conversationId) {
+      this._add(this._byConversation, entry.conversationId, amount);
+    }
+    tags.forEach(tag => this._add(this._byTag, tag, amount));
+
+    this._rollBudgetPeriod();
+    this._periodSpend += amount;
+
+    return cost;
+  }
+
+  /**
+   * Get accumulated spend, optionally for one conversation or tag
+   * @param {Object} filter - { conversationId, tag }
+   * @returns {number} Spend in USD
+   */
+  getSpend (filter = {}) {
+    if (filter.conversationId) {
+      return this._byConversation.get(filter.conversationId)?.costUSD || 0;
+    }
+    if (filter.tag) {
+      return this._byTag.get(filter.tag)?.costUSD || 0;
+    }
+    return this._totals.costUSD;
+  }
+
+  /**
+   * Get a spend report grouped by provider, model, conversation and tag
+   * @returns {Object} Cost report
+   */
+  getReport () {
+    const toObject = (map) => Object.fromEntries(map);
+    return {
+      ...this._totals,
+      byProvider: toObject(this._byProvider),
+      byModel: toObject(this._byModel),
+      byConversation: toObject(this._byConversation),
+      byTag: toObject(this._byTag),
+      budget: this.getBudgetStatus()
+    };
+  }
+
+  /**
+   * Clear all recorded spend; the budget setting is kept
+   */
+  reset () {
+    this._totals = { requests: 0, costUSD: 0, inputTokens: 0, outputTokens: 0, unpricedRequests: 0 };
+    this._byProvider = new Map();
+    this._byModel = new Map();
+    this._byConversation = new Map();
+    this._byTag = new Map();
+    this._periodStart = this._getPeriodStart(this._budget?.period);
+    this._periodSpend = 0;
+  }
+
+  // ============================================================================
+  // BUDGETS
+  // ============================================================================
+
+  /**
+   * Limit spend per period; pass null to remove the budget
+   * Spend already recorded in the current period counts towards the new budget
+   * @param {Object|null} budget - { maxUSD, period: 'day'|'week'|'month'|'total' }
+   */
+  setBudget (budget) {
+    if (!budget) {
+      this._budget = null;
+      return;
+    }
+
+    const { maxUSD, period = 'month' } = budget;
+    if (typeof maxUSD !== 'number' || maxUSD < 0) {
+      throw new Error('Budget maxUSD must be a non-negative number');
+    }
+    if (!PERIODS.includes(period)) {
+      throw new Error(`Budget period must be one of: ${PERIODS.join(', ')}`);
+    }
+
+    this._budget = { maxUSD, period };
+    this._periodStart = this._getPeriodStart(period);
+    this._periodSpend = period === 'total' ? this._totals.costUSD : this._periodSpend;
+  }
+
+  /**
+   * Get the budget and spend in its current period
+   * @returns {Object|null} Budget status, or null without a budget
+   */
+  getBudgetStatus () {
+    if (!this._budget) {
+      return null;
+    }
+
+    this._rollBudgetPeriod();
+    return {
+      ...this._budget,
+      spentUSD: this._periodSpend,
+      remainingUSD: Math.max(0, this._budget.maxUSD - this._periodSpend),
+      periodStart: new Date(this._periodStart).toISOString()
+    };
+  }
+
+  /**
+   * Reject a request once the budget for the current period is used up
+   * @throws {BudgetExceededError} When the budget is exceeded
+   */
+  assertWithinBudget () {
+    const status = this.getBudgetStatus();
+    if (status && status.spentUSD >= status.maxUSD) {
+      throw new BudgetExceededError(
+        `Budget of $${status.maxUSD} per ${status.period} exceeded ($${status.spentUSD.toFixed(4)} spent)`,
+        { maxUSD: status.maxUSD, spentUSD: status.spentUSD, period: status.period }
+      );
+    }
+  }
+
+  // ============================================================================
+  // PRIVATE METHODS
+  // ============================================================================
+
+  _add (map, key, amount) {
+    const entry = map.get(key) || { requests: 0, costUSD: 0 };
+    entry.requests++;
+    entry.costUSD += amount;
+    map.set(key, entry);
+  }
+
+  _rollBudgetPeriod () {
+    const start = this._getPeriodStart(this._budget?.period);
+    if (start !== this._periodStart) {
+      this._periodStart = start;
+      this._periodSpend = 0;
+    }
+  }
+
+  /**
+   * Start of the current period in UTC (weeks start on Monday)
+   */
+  _getPeriodStart (period) {
+    const now = new Date();
+    switch (period) {
+    case 'day':
+      return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    case 'week':
+      return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - ((now.getUTCDay() + 6) % 7));
+    case 'month':
+      return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    default:
+      return 0;
+    }
+  }
+}
+
+module.exports = CostTracker;
@@ -0,0 +1,186 @@
+/**
+ * JSON Schema Validator
+ *
+ * Validates values against the subset of JSON Schema used for structured output:
+ * - type (including type arrays, integer and null)
+ * - properties, required, additionalProperties
+ * - items, minItems, maxItems
+ * - enum, const
+ * - string length, pattern and numeric bounds
+ * - anyOf, oneOf, allOf
+ */
+
+class SchemaValidator {
+  /**
+   * Validate a value against a schema
+   * @param {*} value - Value to validate
+   * @param {Object} schema - JSON Schema
+   * @returns {Array<string>} Validation errors, empty when valid
+   */
+  validate (value, schema) {
+    const errors = [];
+    this._validateNode(value, schema, '$', errors);
+    return errors;
+  }
+
+  /**
+   * Check whether a value matches a schema
+   * @param {*} value - Value to validate
+   * @param {Object} schema - JSON Schema
+   * @returns {boolean} Whether the value is valid
+   */
+  isValid (value, schema) {
+    return this.validate(value, schema).length === 0;
+  }
+
+  // ============================================================================
+  // PRIVATE VALIDATION METHODS
+  // ============================================================================
+
+  _validateNode (value, schema, path, errors) {
+    if (!schema || schema === true) {
+      return;
+    }
+    if (schema === false) {
+      errors.push(`${path}: no value is allowed here`);
+      return;
+    }
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this._matchesType(value, type))) {
+        errors.push(`${path}: expected ${types.join(' or ')}, got ${this._typeOf(value)}`);
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(option => this._isEqual(option, value))) {
+      errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+
+    if (schema.const !== undefined && !this._isEqual(schema.const, value)) {
+      errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+      this._validateString(value, schema, path, errors);
+    } else if (typeof value === 'number') {
+      this._validateNumber(value, schema, path, errors);
+    } else if (Array.isArray(value)) {
+      this._validateArray(value, schema, path, errors);
+    } else if (value !== null && typeof value === 'object') {
+      this._validateObject(value, schema, path, errors);
+    }
+
+    this._validateCombinators(value, schema, path, errors);
+  }
+
+  _validateString (value, schema, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: must match pattern ${schema.pattern}`);
+    }
+  }
+
+  _validateNumber (value, schema, path, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  _validateArray (value, schema, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => this._validateNode(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  _validateObject (value, schema, path, errors) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}: missing required property '${key}'`);
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        this._validateNode(value[key], properties[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property '${key}'`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        this._validateNode(value[key], schema.additionalProperties, `${path}.${key}`, errors);
+      }
+    });
+  }
+
+  _validateCombinators (value, schema, path, errors) {
+    if (schema.allOf) {
+      schema.allOf.forEach(subschema => this._validateNode(value, subschema, path, errors));
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(subschema => this.isValid(value, subschema))) {
+      errors.push(`${path}: must match at least one schema in anyOf`);
+    }
+
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(subschema => this.isValid(value, subschema)).length;
+      if (matches !== 1) {
+        errors.push(`${path}: must match exactly one schema in oneOf (matched ${matches})`);
+      }
+    }
+  }
+
+  // ============================================================================
+  // UTILITY METHODS
+  // ============================================================================
+
+  _matchesType (value, type) {
+    switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return this._typeOf(value) === type;
+    }
+  }
+
+  _typeOf (value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  _isEqual (a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+module.exports = SchemaValidator;
@@ -0,0 +1,213 @@
+/**
+ * Token Counter
+ *
+ * Local token counting used to size prompts before a request is sent:
+ * - BPE tokenizers (js-tiktoken) for OpenAI-family models
+ * - calibrated character estimators for Claude, Llama and other families
+ * - image parts counted at each family's typical cost per image
+ * - context lengths of well-known hosted models
+ *
+ * Tokenizers are pluggable: any object with count(text) can be registered
+ * for models matching a RegExp or a (model, provider) => boolean function.
+ */
+
+const { getEncoding } = require('js-tiktoken');
+
+// Loading an encoding parses its whole vocabulary, so share them across tokenizers
+const encodings = new Map();
+
+class BPETokenizer {
+  /**
+   * @param {string} encodingName - tiktoken encoding, e.g. 'cl100k_base' or 'o200k_base'
+   */
+  constructor (encodingName = 'cl100k_base') {
+    this.name = encodingName;
+    this.messageOverhead = 3;
+  }
+
+  count (text) {
+    if (!text) {
+      return 0;
+    }
+    if (!encodings.has(this.name)) {
+      encodings.set(this.name, getEncoding(this.name));
+    }
+    return encodings.get(this.name).encode(text).length;
+  }
+
+  /**
+   * OpenAI bills low-detail images at 85 tokens and a 1024px image at 765
+   */
+  imageTokens (part) {
+    const detail = part.image_url?.detail || part.detail;
+    return detail === 'low' ? 85 : 765;
+  }
+}
+
+class EstimatingTokenizer {
+  /**
+   * @param {Object} options - { name, charsPerToken, imageTokens }
+   */
+  constructor (options = {}) {
+    this.name = options.name || 'estimate';
+    this.charsPerToken = options.charsPerToken || 4;
+    this.messageOverhead = 4;
+    this._imageTokens = options.imageTokens || 765;
+  }
+
+  count (text) {
+    return text ? Math.ceil(text.length / this.charsPerToken) : 0;
+  }
+
+  imageTokens (_part) {
+    return this._imageTokens;
+  }
+}
+
+// Context windows of hosted models that do not report one through their API
+const KNOWN_CONTEXT_LENGTHS = [
+  [/^gpt-4\.1/, 1047576],
+  [/^(gpt-4o|gpt-4-turbo|gpt-4-\d{4}-preview|gpt-4-vision)/, 128000],
+  [/^gpt-4-32k/, 32768],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5-turbo/, 16385],
+  [/^o\d/, 200000],
+  [/^claude/, 200000],
+  // Bedrock model IDs, optionally with a cross-region prefix like 'us.'
+  [/anthropic\.claude/, 200000],
+  [/meta\.llama3-[1-9]-/, 128000],
+  [/amazon\.nova-(lite|pro)/, 300000],
+  [/amazon\.nova-micro/, 128000],
+  [/^gemini-1\.5-pro/, 2097152],
+  [/^gemini/, 1048576],
+  [/^grok/, 131072],
+  [/^codestral/, 262144],
+  [/^(mistral-(large|medium|small)|pixtral|ministral|open-mistral-nemo)/, 131072],
+  [/^command-a/, 256000],
+  [/^command-r/, 128000]
+];
+
+/**
+ * Look up the context length of a well-known model
+ * Names ending in a window size, like Groq's 'llama3-70b-8192', are read from the name
+ * @param {string} model - Model name
+ * @returns {number|null} Context length in tokens, or null when unknown
+ */
+function getKnownContextLength (model) {
+  if (!model) {
+    return null;
+  }
+
+  const known = KNOWN_CONTEXT_LENGTHS.find(([pattern]) => pattern.test(model));
+  if (known) {
+    return known[1];
+  }
+
+  const suffix = model.match(/^(llama|mixtral|gemma)[\w.-]*-(\d{4,6})$/);
+  return suffix ? parseInt(suffix[2]) : null;
+}
+
+class TokenCounter {
+  constructor () {
+    this._tokenizers = [];
+    this._defaultTokenizer = new EstimatingTokenizer();
+
+    // Registered last so they are checked last
+    this.register((model, provider) => ['ollama', 'mistral'].includes(provider) || /llama|mistral|mixtral|gemma|qwen|phi|llava/i.test(model),
+      new EstimatingTokenizer({ name: 'open-weights-estimate', charsPerToken: 3.8, imageTokens: 576 }));
+    this.register((model, provider) => provider === 'anthropic' || /claude/i.test(model),
+      new EstimatingTokenizer({ name: 'claude-estimate', charsPerToken: 3.5, imageTokens: 1600 }));
+    this.register((model, provider) => provider === 'gemini' || /^gemini/.test(model),
+      new EstimatingTokenizer({ name: 'gemini-estimate', charsPerToken: 4, imageTokens: 258 }));
+    this.register((model, provider) => ['openai', 'azure', 'grok'].includes(provider) || /^(gpt-|o\d)/.test(model),
+      new BPETokenizer('cl100k_base'));
+    this.register(/^(gpt-4o|gpt-4\.1|gpt-5|o\d)/, new BPETokenizer('o200k_base'));
+  }
+
+  /**
+   * Register a tokenizer; later registrations take precedence
+   * @param {RegExp|Function} matcher - Model name pattern or (model, provider) => boolean
+   * @param {Object} tokenizer - Object with count(text) and optionally imageTokens(part) and messageOverhead
+   * @returns {TokenCounter} The counter, for chaining
+   */
+  register (matcher, tokenizer) {
+    if (!tokenizer || typeof tokenizer.count !== 'function') {
+      throw new Error('Tokenizer must implement count(text)');
+    }
+    this._tokenizers.unshift({ matcher, tokenizer });
+    return this;
+  }
+
+  /**
+   * Find the tokenizer for a model
+   * @param {string} model - Model name
+   * @param {string} provider - Provider name
+   * @returns {Object} Tokenizer
+   */
+  getTokenizer (model = '', provider = '') {
+    const entry = this._tokenizers.find(({ matcher }) => (
+      matcher instanceof RegExp ? matcher.test(model) : matcher(model, provider)
+    ));
+    return entry ? entry.tokenizer : this._defaultTokenizer;
+  }
+
+  /**
+   * Count the tokens of a message or messages, including images and tool calls
+   * @param {string|Array} messages - Message or array of messages in the neutral format
+   * @param {Object} options - { model, provider }
+   * @returns {number} Token count
+   */
+  countMessages (messages, options = {}) {
+    const tokenizer = this.getTokenizer(options.model, options.provider);
+    const list = typeof messages === 'string' ? [messages] : messages;
+    const overhead = tokenizer.messageOverhead ?? 4;
+
+    // Every reply is primed with a few tokens
+    let total = 3;
+
+    for (const message of list) {
+      total += overhead;
+
+      if (typeof message === 'string') {
+        total += tokenizer.count(message);
+        continue;
+      }
+
+      total += this._countContent(message.content, tokenizer);
+      if (message.toolCalls) {
+        total += tokenizer.count(JSON.stringify(message.toolCalls));
+      }
+      if (message.name) {
+        total += tokenizer.count(message.name);
+      }
+    }
+
+    return total;
+  }
+
+  _countContent (content, tokenizer) {
+    if (typeof content === 'string') {
+      return tokenizer.count(content);
+    }
+    if (!Array.isArray(content)) {
+      return content ? tokenizer.count(JSON.stringify(content)) : 0;
+    }
+
+    return content.reduce((sum, part) => {
+      if (typeof part === 'string') {
+        return sum + tokenizer.count(part);
+      }
+      if (part.type === 'image_url' || part.type === 'image') {
+        return sum + (tokenizer.imageTokens ? tokenizer.imageTokens(part) : 765);
+      }
+      return sum + tokenizer.count(part.text || '');
+    }, 0);
+  }
+}
+
+module.exports = {
+  TokenCounter,
+  BPETokenizer,
+  EstimatingTokenizer,
+  getKnownContextLength
+};